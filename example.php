@@ -24,6 +24,64 @@ set_error_handler( 'send_500', E_USER_ERROR );
 set_time_limit( 0 );
 
 $target_dir = dirname( __FILE__ ) . '/chunks/' . $_POST['guid'];
+
+// The client tells which algorithm the hashes were calculated with.
+// Client names mapped to PHP names, PHP calls IEEE CRC32 "crc32b" (crc32c needs PHP 8.1).
+$hash_algorithms = array(
+    'sha1'      => 'sha1',
+    'sha256'    => 'sha256',
+    'sha512'    => 'sha512',
+    'md5'       => 'md5',
+    'crc32'     => 'crc32b',
+    'crc32c'    => 'crc32c'
+);
+$hash_algorithm = isset( $_POST['hash_algorithm'] ) ? $_POST['hash_algorithm'] : 'sha1';
+$entire_hash_algorithm = isset( $_POST['entire_hash_algorithm'] ) ? $_POST['entire_hash_algorithm'] : $hash_algorithm;
+if ( !isset( $hash_algorithms[$hash_algorithm] ) || !isset( $hash_algorithms[$entire_hash_algorithm] ) )
+{
+    trigger_error( "Unsupported hash algorithm", E_USER_ERROR );
+}
+
+// The upload was cancelled, the chunks received so far can go.
+if ( isset( $_POST['cancel'] ) )
+{
+    // The guid is part of the path, it must not point out of the chunks directory.
+    require_valid_guid();
+
+    if ( is_dir( $target_dir ) )
+    {
+        clear_directory( '', $target_dir );
+        rmdir( $target_dir );
+    }
+    die();
+}
+
+// The upload is resumed, telling which chunks are already here.
+if ( isset( $_POST['status'] ) )
+{
+    $chunks = array();
+
+    // The guid is part of the path, no other directory may be listed.
+    require_valid_guid();
+
+    if ( is_dir( $target_dir ) )
+    {
+        foreach ( new DirectoryIterator( $target_dir ) as $file )
+        {
+            if ( $file->isDot() ) continue;
+            if ( $file->isDir() ) continue;
+            // Chunk names end with the zero-padded offset.
+            if ( !preg_match( '/\.(\d{15})$/', $file->getFilename(), $matches ) ) continue;
+
+            $chunks[] = array( 'offset' => (int)$matches[1], 'size' => $file->getSize() );
+        }
+    }
+
+    header( 'Content-Type: application/json' );
+    echo json_encode( array( 'chunks' => $chunks ) );
+    die();
+}
+
 $target_name = basename( $_FILES['chunk']['name'] ) . "." . sprintf( '%015s', $_POST['offset'] );
 $target_path = $target_dir . "/" . $target_name;
 
@@ -33,52 +91,69 @@ if ( !is_dir( $target_dir ) && !@mkdir( $target_dir, 0755, true ) )
      trigger_error( "Unable to create target directory $target_dir\n" . var_export( error_get_last(), true ), E_USER_ERROR );
 }
 
+// The chunk is already here (e.g. a retry after a lost response), no need to store it again.
+if ( !isset( $_POST['entire_hash'] ) && is_file( $target_path )
+    && strtolower( hash_file_stream( $hash_algorithms[$hash_algorithm], $target_path ) ) === strtolower( $_POST['hash'] ) )
+{
+    send_json( array( 'status' => 'skip' ) );
+}
+
 // Moving current chunk to the directory.
 if ( !@move_uploaded_file( $_FILES['chunk']['tmp_name'], $target_path ) )
 {
     trigger_error( "Unable to move uploaded file to $target_path\n" . var_export( error_get_last(), true ), E_USER_ERROR );
 }
 
-// Comparing calculated chunk hash with expected.
-if ( strtolower( sha1_hash_file( $target_path ) ) !== strtolower( $_POST['hash'] ) )
+// Comparing calculated chunk hash with expected, and every other digest sent along as "hash_<algorithm>".
+if ( strtolower( hash_file_stream( $hash_algorithms[$hash_algorithm], $target_path ) ) !== strtolower( $_POST['hash'] )
+    || !check_hash_fields( 'hash_', $target_path, $hash_algorithms ) )
 {
-    trigger_error( "Hash mismatch for chunk.", E_USER_ERROR );
+    // A broken chunk must not be reported as received when the upload is resumed.
+    unlink( $target_path );
+    // Probably damaged on the way, the client sends it again.
+    send_json( array( 'status' => 'resend', 'message' => 'Hash mismatch for chunk.' ) );
 }
 
 if ( !isset( $_POST['entire_hash'] ) )
 {
-    die();
+    send_json( array( 'status' => 'ok' ) );
 }
 
 $final_name = basename( $_FILES['chunk']['name'] );
 // Last chunk, we can combine the file.
 $final_path = combine_chunks( $final_name, $target_dir );
 
-// Comparing calculated file hash with expected.
-if ( strtolower( sha1_hash_file( $final_path ) ) !== strtolower( $_POST['entire_hash'] ) )
+// Comparing calculated file hash with expected, and every other digest sent along as "entire_hash_<algorithm>".
+if ( strtolower( hash_file_stream( $hash_algorithms[$entire_hash_algorithm], $final_path ) ) !== strtolower( $_POST['entire_hash'] )
+    || !check_hash_fields( 'entire_hash_', $final_path, $hash_algorithms ) )
 {
-    trigger_error( "Hash mismatch for file.", E_USER_ERROR );
+    send_json( array( 'status' => 'error', 'message' => 'Hash mismatch for file.' ) );
 }
 
 // Removing chunks.
 clear_directory( $final_name, $target_dir );
 
-die();
+send_json( array(
+    'status'    => 'ok',
+    'file_id'   => $_POST['guid'],
+    'url'       => 'chunks/' . rawurlencode( $_POST['guid'] ) . '/' . rawurlencode( $final_name )
+) );
 
 /**
- * Calculates SHA1 hash of a file.
+ * Calculates the hash of a file.
  *
+ * @param string $algorithm Name of the hash algorithm, e.g. sha1.
  * @param string $path Path of the input file.
  * @return string Hexadecimal annotation fo the calculated hash.
  */
-function sha1_hash_file( $path )
+function hash_file_stream( $algorithm, $path )
 {
     $file_handle = @fopen( $path, 'rb' );
     if ( !$file_handle )
     {
         trigger_error( "Unable to open file $path\n" . var_export( error_get_last(), true ), E_USER_ERROR );
     }
-    $hash_handle = hash_init( 'sha1' );
+    $hash_handle = hash_init( $algorithm );
 
     // Rewinding file.
     fseek( $file_handle, 0 );
@@ -89,6 +164,29 @@ function sha1_hash_file( $path )
     return hash_final( $hash_handle, false );
 }
 
+/**
+ * Compares the digests posted with a prefix (e.g. "hash_sha256") with the ones of a file.
+ *
+ * @param string $prefix Prefix of the field names.
+ * @param string $path Path of the file.
+ * @param array $algorithms Client names of the algorithms mapped to PHP names.
+ * @return boolean False if any of the posted digests differ.
+ */
+function check_hash_fields( $prefix, $path, $algorithms )
+{
+    foreach ( $algorithms as $client_name => $php_name )
+    {
+        if ( !isset( $_POST[$prefix . $client_name] ) ) continue;
+
+        if ( strtolower( hash_file_stream( $php_name, $path ) ) !== strtolower( $_POST[$prefix . $client_name] ) )
+        {
+            return false;
+        }
+    }
+
+    return true;
+}
+
 /**
  * Combines uploaded chunks in a directory into an entire file.
  *
@@ -166,6 +264,36 @@ function clear_directory( $exception, $directory_path )
     }
 }
 
+/**
+ * Stops the script with 400 if the guid field is not in the format of the uploader.
+ *
+ * The guid is used as a directory name, so e.g. "../.." must not get further.
+ */
+function require_valid_guid()
+{
+    if ( !isset( $_POST['guid'] ) || !is_string( $_POST['guid'] ) || !preg_match( '/^[0-9A-Z]+$/', $_POST['guid'] ) )
+    {
+        header( 'HTTP/1.0 400 Bad Request' );
+        send_json( array( 'status' => 'error', 'message' => 'Invalid guid.' ) );
+    }
+}
+
+/**
+ * Sends a JSON answer to the uploader and stops the script.
+ *
+ * The "status" key tells the uploader what to do: "ok", "skip" (the chunk was
+ * already here), "resend" (the chunk must be sent again) or "error" (the upload
+ * cannot succeed). The last chunk is answered with the "file_id" and "url" of the file.
+ *
+ * @param array $data Answer to encode.
+ */
+function send_json( $data )
+{
+    header( 'Content-Type: application/json' );
+    echo json_encode( $data );
+    die();
+}
+
 /**
  * Custom error handler to send 500 HTTP header in case of user error.
  *
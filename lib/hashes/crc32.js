@@ -0,0 +1,228 @@
+/**
+ * @fileOverview Instantiatable objects to calculate CRC32 and CRC32C checksums from chunks (updateable).
+ * @author Zoltan Toth-Czifra
+ * @license New (3 clause) BSD license - see LICENSE file.
+ *
+ * Copyright (C) Zoltan Toth-Czifra
+ *
+ * CRC32 is the IEEE 802.3 checksum (zip, PNG, Ethernet), CRC32C is the
+ * Castagnoli variant of RFC 3720 (iSCSI), verified natively by several
+ * storage services. Both are computed with the reflected table-driven method.
+ */
+
+/**
+ * Creates an instance of Crc32.
+ *
+ * Not a cryptographic hash, it only detects transfer errors, but it is much
+ * faster to calculate than Sha1 or Md5.
+ *
+ * @constructor
+ * @param {number} nPolynomial Optional reflected polynomial, Crc32.POLYNOMIAL_IEEE by default.
+ */
+var Crc32 = function( nPolynomial )
+{
+    /**
+     * Lookup table of the polynomial, one entry per byte value.
+     *
+     * @type {array}
+     */
+    this.aTable = Crc32.getTable( nPolynomial || Crc32.POLYNOMIAL_IEEE );
+
+    /**
+     * Contains the current (inverted) value of the checksum.
+     *
+     * @type {number}
+     */
+    this.nCrc = 0xffffffff;
+};
+/**
+ * "Feeds" the checksum with new input.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes to update the checksum with.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary, it should be true.
+ * @return {object} Return "this" to create fluent interface.
+ */
+Crc32.prototype.feed = function( mInput, bUnicode )
+{
+    var nCrc = this.nCrc;
+    var aInput;
+
+    if ( !mInput )
+    {
+        return this;
+    }
+
+    aInput = this.toBytes( mInput, bUnicode );
+
+    for ( var i = 0; i < aInput.length; i++ )
+    {
+        nCrc = this.aTable[( nCrc ^ aInput[i] ) & 0xff] ^ ( nCrc >>> 8 );
+    }
+    this.nCrc = nCrc;
+
+    // Fluent interface.
+    return this;
+};
+/**
+ * Finalizes the checksum computation and returns the final checksum.
+ *
+ * Once the computation is finalised, you cannot feed more input.
+ *
+ * @param {boolean} bRaw Tells is we want the checksum to be binary or in hexadeciamal notation.
+ *                  Optional, default is false.
+ * @return {string} 8 bytes hexadecimal or 4 bytes binary representation (big-endian) of the checksum.
+ */
+Crc32.prototype.finalize = function( bRaw )
+{
+    var nChecksum = ( this.nCrc ^ 0xffffffff ) >>> 0;
+    var sHash = '';
+
+    this.feed = function()
+    {
+        throw new Error( 'You cannot feed an already finalized hash again.' );
+    }
+
+    if ( bRaw )
+    {
+        for ( var i = 3; i >= 0; i-- )
+        {
+            sHash += String.fromCharCode( ( nChecksum >>> ( i * 8 ) ) & 0xff );
+        }
+        return sHash;
+    }
+
+    sHash = nChecksum.toString( 16 );
+    while ( sHash.length < 8 )
+    {
+        sHash = '0' + sHash;
+    }
+    return sHash;
+};
+/**
+ * Converts the input of feed to bytes.
+ *
+ * Typed arrays and ArrayBuffers are not copied, only viewed as bytes.
+ *
+ * @protected
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary.
+ * @return {Uint8Array} Bytes of the input.
+ */
+Crc32.prototype.toBytes = function( mInput, bUnicode )
+{
+    var aBytes;
+
+    if ( "string" !== typeof mInput )
+    {
+        if ( ArrayBuffer.isView( mInput ) )
+        {
+            return new Uint8Array( mInput.buffer, mInput.byteOffset, mInput.byteLength );
+        }
+        return new Uint8Array( mInput );
+    }
+
+    if ( bUnicode )
+    {
+        mInput = this.utf8Encode( mInput );
+    }
+
+    aBytes = new Uint8Array( mInput.length );
+    for ( var i = 0; i < mInput.length; i++ )
+    {
+        aBytes[i] = mInput.charCodeAt( i ) & 0xff;
+    }
+
+    return aBytes;
+};
+/**
+ * Converts UTF-8 Javascript strings to binary.
+ *
+ * @author: Chris Veness
+ * @license Attribution 3.0 Unported (CC BY 3.0
+ * @param {string} sInput String to convertot binary.
+ * @return {string} Converted string.
+ */
+Crc32.prototype.utf8Encode = function( sInput )
+{
+    // Regural expressions in this case are proved to be quick.
+    sInput = sInput.replace(
+        /[\u0080-\u07ff]/g,  // U+0080 - U+07FF => 2 bytes 110yyyyy, 10zzzzzz
+        function( sUnicodeChar )
+        {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xc0 | nCharcode>>6, 0x80 | nCharcode&0x3f );
+        }
+    );
+    sInput = sInput.replace(
+        /[\u0800-\uffff]/g,  // U+0800 - U+FFFF => 3 bytes 1110xxxx, 10yyyyyy, 10zzzzzz
+        function( sUnicodeChar ) {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xe0 | nCharcode >> 12, 0x80 | nCharcode >> 6&0x3F, 0x80 | nCharcode & 0x3f );
+        }
+    );
+    return sInput;
+};
+/**
+ * Returns the lookup table of a polynomial, calculated once per polynomial.
+ *
+ * @protected
+ * @param {number} nPolynomial Reflected polynomial.
+ * @return {array} 256 items, the checksum of each byte value.
+ */
+Crc32.getTable = function( nPolynomial )
+{
+    var aTable;
+
+    if ( Crc32.oTables[nPolynomial] )
+    {
+        return Crc32.oTables[nPolynomial];
+    }
+
+    aTable = new Array( 256 );
+    for ( var i = 0; i < 256; i++ )
+    {
+        var nEntry = i;
+        for ( var j = 0; j < 8; j++ )
+        {
+            nEntry = ( nEntry & 1 ) ? ( nPolynomial ^ ( nEntry >>> 1 ) ) : ( nEntry >>> 1 );
+        }
+        aTable[i] = nEntry;
+    }
+
+    Crc32.oTables[nPolynomial] = aTable;
+    return aTable;
+};
+/**
+ * Lookup tables calculated so far, keyed by polynomial.
+ *
+ * @protected
+ * @type object
+ */
+Crc32.oTables = {};
+/**
+ * Reflected polynomial of CRC32 (IEEE 802.3).
+ *
+ * @final
+ * @type number
+ */
+Crc32.POLYNOMIAL_IEEE = 0xEDB88320;
+/**
+ * Reflected polynomial of CRC32C (Castagnoli).
+ *
+ * @final
+ * @type number
+ */
+Crc32.POLYNOMIAL_CASTAGNOLI = 0x82F63B78;
+
+
+/**
+ * Creates an instance of Crc32c, Crc32 with the Castagnoli polynomial.
+ *
+ * @constructor
+ */
+var Crc32c = function()
+{
+    Crc32.call( this, Crc32.POLYNOMIAL_CASTAGNOLI );
+};
+Crc32c.prototype = new Crc32();
+Crc32c.prototype.constructor = Crc32c;
@@ -0,0 +1,431 @@
+/**
+ * @fileOverview Instantiatable object to calculate MD5 hash from chunks (updateable).
+ * @author Zoltan Toth-Czifra
+ * @license New (3 clause) BSD license - see LICENSE file.
+ *
+ * Copyright (C) Zoltan Toth-Czifra
+ *
+ * Based on RFC 1321 - The MD5 Message-Digest Algorithm
+ * http://www.faqs.org/rfcs/rfc1321.html
+ */
+
+/**
+ * Creates an instance of Md5.
+ *
+ * @constructor
+ */
+var Md5 = function()
+{
+    /**
+     * Contains the current state of the hash computation result.
+     *
+     * Initializing - RFC 3.3.
+     *
+     * @type {object}
+     */
+    this.aResults = {
+        a: 0x67452301,
+        b: 0xEFCDAB89,
+        c: 0x98BADCFE,
+        d: 0x10325476
+    };
+
+    /**
+     * Contains the end of the fed input that does not fill a whole block.
+     *
+     * It is merged with the next input, and padded when the hash is finalized.
+     *
+     * @type {Uint8Array}
+     */
+    this.aBuffer = new Uint8Array( 64 );
+
+    /**
+     * Number of bytes used in the buffer.
+     *
+     * @type {number}
+     */
+    this.nBuffered = 0;
+
+    /**
+     * Contains total message length of all fed inputs. Increments contatnly.
+     *
+     * @type {number}
+     */
+    this.nAccumulatedMessageLength = 0;
+};
+/**
+ * "Feeds" the hash with new input.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes to update the hash with.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary, it should be true.
+ * @return {object} Return "this" to create fluent interface.
+ */
+Md5.prototype.feed = function( mInput, bUnicode )
+{
+    var aInput;
+
+    if ( !mInput )
+    {
+        return this;
+    }
+
+    aInput = this.toBytes( mInput, bUnicode );
+
+    this.nAccumulatedMessageLength += aInput.length;
+    this.feedHashWithBytes( aInput );
+
+    // Fluent interface.
+    return this;
+};
+/**
+ * Finalizes the hash computation and returns the final hash.
+ *
+ * Onc hash computation is finalised,you cannot feed more input.
+ *
+ * @param {boolean} bRaw Tells is we want the hash to be binary or in hexadeciamal notation.
+ *                  Optional, default is false.
+ * @return {string} Hexadecimal annotated or binary representation of the final hash.
+ */
+Md5.prototype.finalize = function( bRaw )
+{
+    bRaw = bRaw || false;
+
+    this.feedHashWithBytes( this.toBytes( this.createPadding(), false ) );
+
+    this.feed = function()
+    {
+        throw new Error( 'You cannot feed an already finalized hash again.' );
+    }
+
+    if ( bRaw )
+    {
+        return this.formatHashBinary();
+    }
+    return this.formatHashHex();
+};
+/**
+ * Updates the hash with every whole block of the buffer and the input, and
+ * keeps the rest in the buffer.
+ *
+ * The input is read in place, only the bytes of the incomplete blocks are copied.
+ *
+ * @protected
+ * @param {Uint8Array} aInput Bytes input.
+ */
+Md5.prototype.feedHashWithBytes = function( aInput )
+{
+    var nOffset = 0;
+
+    // Completing the block started by the previous input.
+    if ( this.nBuffered )
+    {
+        while ( this.nBuffered < 64 && nOffset < aInput.length )
+        {
+            this.aBuffer[this.nBuffered++] = aInput[nOffset++];
+        }
+        if ( this.nBuffered < 64 )
+        {
+            return;
+        }
+        this.feedHashWithBlock( this.readBlock( this.aBuffer, 0 ) );
+        this.nBuffered = 0;
+    }
+
+    for ( ; nOffset + 64 <= aInput.length; nOffset += 64 )
+    {
+        this.feedHashWithBlock( this.readBlock( aInput, nOffset ) );
+    }
+
+    while ( nOffset < aInput.length )
+    {
+        this.aBuffer[this.nBuffered++] = aInput[nOffset++];
+    }
+};
+/**
+ * Message padding according to RFC 3.1 and 3.2.
+ *
+ * A single 1 bit, 0 bits until the length is 56 MOD 64 bytes, then the
+ * 64 bits length of the message in bits (little-endian).
+ *
+ * @protected
+ * @return {string} Binary string to append to the message.
+ */
+Md5.prototype.createPadding = function()
+{
+    var sPadding    = String.fromCharCode( 0x80 );
+    var nLengthLow  = ( this.nAccumulatedMessageLength * 8 ) % 0x100000000;
+    var nLengthHigh = Math.floor( this.nAccumulatedMessageLength / 0x20000000 );
+
+    while ( ( this.nBuffered + sPadding.length ) % 64 !== 56 )
+    {
+        sPadding += String.fromCharCode( 0 );
+    }
+
+    return sPadding + this.wordToBinaryString( nLengthLow ) + this.wordToBinaryString( nLengthHigh );
+};
+/**
+ * Reads a 64 bytes block of the input into 16 little-endian 32 bits words.
+ *
+ * @protected
+ * @param {Uint8Array} aInput Bytes input.
+ * @param {number} nOffset Offset of the first byte of the block.
+ * @return {array} 16 pieces of 32 bits words.
+ */
+Md5.prototype.readBlock = function( aInput, nOffset )
+{
+    var aWords = new Array( 16 );
+
+    for ( var i = 0; i < 16; i++ )
+    {
+        aWords[i] = aInput[nOffset + i * 4]                |
+                    ( aInput[nOffset + i * 4 + 1] << 8 )   |
+                    ( aInput[nOffset + i * 4 + 2] << 16 )  |
+                    ( aInput[nOffset + i * 4 + 3] << 24 );
+    }
+
+    return aWords;
+};
+/**
+ * Updates the current value of the hash with a 512b block (16pcs of 32b words).
+ *
+ * RFC 3.4.
+ *
+ * @protected
+ * @param {array} aWords 16 items array containing 32b words.
+ */
+Md5.prototype.feedHashWithBlock = function( aWords )
+{
+    var nA = this.aResults.a;
+    var nB = this.aResults.b;
+    var nC = this.aResults.c;
+    var nD = this.aResults.d;
+
+    for ( var i = 0; i < 64; i++ )
+    {
+        var nTemp;
+        var nRound = Math.floor( i / 16 );
+
+        nTemp = nA + Md5.logicalFunctions[nRound]( nB, nC, nD ) + Md5.constants[i] + aWords[Md5.wordIndexes[nRound]( i )];
+        nTemp = nB + this.leftRotate( nTemp & 0xffffffff, Md5.shifts[nRound][i % 4] );
+
+        nA = nD;
+        nD = nC;
+        nC = nB;
+        nB = nTemp & 0xffffffff;
+    }
+
+    // Adding values to the current results while trimming bit overflow.
+    this.aResults.a = ( this.aResults.a + nA ) & 0xffffffff;
+    this.aResults.b = ( this.aResults.b + nB ) & 0xffffffff;
+    this.aResults.c = ( this.aResults.c + nC ) & 0xffffffff;
+    this.aResults.d = ( this.aResults.d + nD ) & 0xffffffff;
+};
+/**
+ * Formats hash computation results in hexadecimal annotation.
+ *
+ * @protected
+ * @return {string} 32-bytes hexadecimal represeantion of the final hash.
+ */
+Md5.prototype.formatHashHex = function()
+{
+    var sBinary = this.formatHashBinary();
+    var sHash = '';
+
+    for ( var i = 0; i < sBinary.length; i++ )
+    {
+        sHash += ( sBinary.charCodeAt( i ) < 16 ? '0' : '' ) + sBinary.charCodeAt( i ).toString( 16 );
+    }
+
+    return sHash;
+};
+/**
+ * Formats hash computation results in a binary string.
+ *
+ * @protected
+ * @return {string} 16-bytes binary represeantion of the final hash.
+ */
+Md5.prototype.formatHashBinary = function()
+{
+    return  this.wordToBinaryString( this.aResults.a ) +
+            this.wordToBinaryString( this.aResults.b ) +
+            this.wordToBinaryString( this.aResults.c ) +
+            this.wordToBinaryString( this.aResults.d );
+};
+/**
+ * Converts a 32 bits word to 4 bytes binary string, low-order byte first.
+ *
+ * @protected
+ * @param {number} nWord 32 bits integer.
+ * @return {string} 4 bytes binary string.
+ */
+Md5.prototype.wordToBinaryString = function( nWord )
+{
+    return  String.fromCharCode( nWord & 0xff ) +
+            String.fromCharCode( ( nWord >>> 8 ) & 0xff ) +
+            String.fromCharCode( ( nWord >>> 16 ) & 0xff ) +
+            String.fromCharCode( ( nWord >>> 24 ) & 0xff );
+};
+/**
+ * Converts the input of feed to bytes.
+ *
+ * Typed arrays and ArrayBuffers are not copied, only viewed as bytes.
+ *
+ * @protected
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary.
+ * @return {Uint8Array} Bytes of the input.
+ */
+Md5.prototype.toBytes = function( mInput, bUnicode )
+{
+    var aBytes;
+
+    if ( "string" !== typeof mInput )
+    {
+        if ( ArrayBuffer.isView( mInput ) )
+        {
+            return new Uint8Array( mInput.buffer, mInput.byteOffset, mInput.byteLength );
+        }
+        return new Uint8Array( mInput );
+    }
+
+    if ( bUnicode )
+    {
+        mInput = this.utf8Encode( mInput );
+    }
+
+    aBytes = new Uint8Array( mInput.length );
+    for ( var i = 0; i < mInput.length; i++ )
+    {
+        aBytes[i] = mInput.charCodeAt( i ) & 0xff;
+    }
+
+    return aBytes;
+};
+/**
+ * Converts UTF-8 Javascript strings to binary.
+ *
+ * @author: Chris Veness
+ * @license Attribution 3.0 Unported (CC BY 3.0
+ * @param {string} sInput String to convertot binary.
+ * @return {string} Converted string.
+ */
+Md5.prototype.utf8Encode = function( sInput )
+{
+    // Regural expressions in this case are proved to be quick.
+    sInput = sInput.replace(
+        /[\u0080-\u07ff]/g,  // U+0080 - U+07FF => 2 bytes 110yyyyy, 10zzzzzz
+        function( sUnicodeChar )
+        {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xc0 | nCharcode>>6, 0x80 | nCharcode&0x3f );
+        }
+    );
+    sInput = sInput.replace(
+        /[\u0800-\uffff]/g,  // U+0800 - U+FFFF => 3 bytes 1110xxxx, 10yyyyyy, 10zzzzzz
+        function( sUnicodeChar ) {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xe0 | nCharcode >> 12, 0x80 | nCharcode >> 6&0x3F, 0x80 | nCharcode & 0x3f );
+        }
+    );
+    return sInput;
+};
+/**
+ * Circular left shift bitwise operation.
+ *
+ * @protected
+ * @param {number} nInput The input integer to rotate.
+ * @param {number} nOffset The bit offset to shift with.
+ * @return {number} Number consisting of the rotated bits.
+ */
+Md5.prototype.leftRotate = function( nInput, nOffset )
+{
+    return ( nInput << nOffset ) | ( nInput >>> ( 32 - nOffset ) );
+};
+/**
+ * Auxiliary functions of the four rounds - RFC 3.4.
+ *
+ * @final
+ * @type array
+ */
+Md5.logicalFunctions = [
+    // F, round 1.
+    function( nB, nC, nD )
+    {
+        return ( nB & nC ) | ( ( ~nB ) & nD );
+    },
+    // G, round 2.
+    function( nB, nC, nD )
+    {
+        return ( nB & nD ) | ( nC & ( ~nD ) );
+    },
+    // H, round 3.
+    function( nB, nC, nD )
+    {
+        return nB ^ nC ^ nD;
+    },
+    // I, round 4.
+    function( nB, nC, nD )
+    {
+        return nC ^ ( nB | ( ~nD ) );
+    }
+];
+/**
+ * Functions returning the index of the word used in each step of the four rounds - RFC 3.4.
+ *
+ * @final
+ * @type array
+ */
+Md5.wordIndexes = [
+    function( i )
+    {
+        return i;
+    },
+    function( i )
+    {
+        return ( 5 * i + 1 ) % 16;
+    },
+    function( i )
+    {
+        return ( 3 * i + 5 ) % 16;
+    },
+    function( i )
+    {
+        return ( 7 * i ) % 16;
+    }
+];
+/**
+ * Left rotation amounts of the four rounds - RFC 3.4.
+ *
+ * @final
+ * @type array
+ */
+Md5.shifts = [
+    [ 7, 12, 17, 22 ],
+    [ 5, 9, 14, 20 ],
+    [ 4, 11, 16, 23 ],
+    [ 6, 10, 15, 21 ]
+];
+/**
+ * Constants used in the 64 steps, the integer part of 4294967296 * abs(sin(i)) - RFC 3.4.
+ *
+ * @final
+ * @type array
+ */
+Md5.constants = [
+    0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee,
+    0xf57c0faf, 0x4787c62a, 0xa8304613, 0xfd469501,
+    0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be,
+    0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821,
+    0xf61e2562, 0xc040b340, 0x265e5a51, 0xe9b6c7aa,
+    0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
+    0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed,
+    0xa9e3e905, 0xfcefa3f8, 0x676f02d9, 0x8d2a4c8a,
+    0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c,
+    0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70,
+    0x289b7ec6, 0xeaa127fa, 0xd4ef3085, 0x04881d05,
+    0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
+    0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039,
+    0x655b59c3, 0x8f0ccc92, 0xffeff47d, 0x85845dd1,
+    0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1,
+    0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391
+];
@@ -51,29 +51,30 @@ var Sha1 = function()
     this.nAccumulatedMessageLength = 0;
 };
 /**
- * "Feeds" the hash with new string input.
+ * "Feeds" the hash with new input.
  *
- * @param {string} sInput String chunk to update the hash with.
- * @param {boolean} bUnicode UTF8 input to first converted to binary, it should be true.
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes to update the hash with.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary, it should be true.
  * @return {object} Return "this" to create fluent interface.
  */
-Sha1.prototype.feed = function( sInput, bUnicode )
+Sha1.prototype.feed = function( mInput, bUnicode )
 {
-    var aWords, sFeed;
+    var aWords, aInput, aFeed, aLastBytes;
 
-    if ( !sInput )
+    if ( !mInput )
     {
         return this;
     }
 
-    if ( bUnicode )
+    aInput = this.toBytes( mInput, bUnicode );
+    if ( !aInput.length )
     {
-        sInput = this.utf8Encode( sInput );
+        return this;
     }
 
-    sFeed = sInput;
+    aFeed = aInput;
 
-    // If there is a last block alread saved, we extract it to string and
+    // If there is a last block alread saved, we extract it to bytes and
     // add it to the beginning of the current feed.
     if ( this.aLastBlock )
     {
@@ -82,16 +83,20 @@ Sha1.prototype.feed = function( sInput, bUnicode )
         //
         // If "Overall message length MOD 64" == 0, means we have a full
         // block, so the payload length is 64 ( 0 || 64 ).
-        sFeed = this.extractBlock( this.aLastBlock, ( this.nAccumulatedMessageLength % 64 ) || 64 ) + sFeed;
+        aLastBytes = this.extractBlock( this.aLastBlock, ( this.nAccumulatedMessageLength % 64 ) || 64 );
+
+        aFeed = new Uint8Array( aLastBytes.length + aInput.length );
+        aFeed.set( aLastBytes, 0 );
+        aFeed.set( aInput, aLastBytes.length );
     }
 
-    aWords = this.chunk( sFeed );
+    aWords = this.chunk( aFeed );
 
     // We save the last block and skip it from the current process, because
     // at the end of hash generation (finalize) we will need to append
     // extra information to this.
     this.aLastBlock                    = aWords.pop();
-    this.nAccumulatedMessageLength  += sInput.length;
+    this.nAccumulatedMessageLength  += aInput.length;
 
     this.feedHashWithBlocks( aWords );
 
@@ -111,6 +116,12 @@ Sha1.prototype.finalize = function( bRaw )
 {
     bRaw = bRaw || false;
 
+    // An empty input is padded too, in a block of its own.
+    if ( !this.aLastBlock && 0 == this.nAccumulatedMessageLength )
+    {
+        this.aLastBlock = this.createEmptyBlock();
+    }
+
     if ( this.aLastBlock )
     {
         this.feedHashWithBlocks( this.padLastBlock( this.aLastBlock ) );
@@ -172,6 +183,42 @@ Sha1.prototype.formatHashBinary = function()
 
     return sHash;
 };
+/**
+ * Converts the input of feed to bytes.
+ *
+ * Typed arrays and ArrayBuffers are not copied, only viewed as bytes.
+ *
+ * @protected
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary.
+ * @return {Uint8Array} Bytes of the input.
+ */
+Sha1.prototype.toBytes = function( mInput, bUnicode )
+{
+    var aBytes;
+
+    if ( "string" !== typeof mInput )
+    {
+        if ( ArrayBuffer.isView( mInput ) )
+        {
+            return new Uint8Array( mInput.buffer, mInput.byteOffset, mInput.byteLength );
+        }
+        return new Uint8Array( mInput );
+    }
+
+    if ( bUnicode )
+    {
+        mInput = this.utf8Encode( mInput );
+    }
+
+    aBytes = new Uint8Array( mInput.length );
+    for ( var i = 0; i < mInput.length; i++ )
+    {
+        aBytes[i] = mInput.charCodeAt( i ) & 0xff;
+    }
+
+    return aBytes;
+};
 /**
  * Converts UTF-8 Javascript strings to binary.
  *
@@ -201,17 +248,17 @@ Sha1.prototype.utf8Encode = function( sInput )
     return sInput;
 };
 /**
- * Chunks the input string into blocks and words inside the block. RFC - 6.1.
+ * Chunks the input bytes into blocks and words inside the block. RFC - 6.1.
  *
  * The last block is padded with 0s, just like the last used word.
  *
  * @protected
- * @param {string} sInput The input string to chunk.
+ * @param {Uint8Array} aInput The input bytes to chunk.
  * @return {array} Array containing arrays (blocks) of 16 pieces of 32 bits words each.
  */
-Sha1.prototype.chunk = function( sInput )
+Sha1.prototype.chunk = function( aInput )
 {
-    var nWords  = sInput.length / 4;
+    var nWords  = aInput.length / 4;
     var nBlocks = Math.ceil( nWords / 16 );
     var aResult = new Array( nBlocks );
 
@@ -220,11 +267,11 @@ Sha1.prototype.chunk = function( sInput )
         aResult[i] = new Array(16);
         for ( var j = 0; j < 16; j++ )
         {
-            // Non-existing sting offsets will be converted to 0.
-            aResult[i][j] = ( +sInput.charCodeAt( ( i * 64 ) + ( j * 4 ) )        << 24 ) |
-                            ( +sInput.charCodeAt( ( i * 64 ) + ( j * 4 ) + 1 )    << 16 ) |
-                            ( +sInput.charCodeAt( ( i * 64 ) + ( j * 4 ) + 2 )    << 8 )  |
-                            ( +sInput.charCodeAt( ( i * 64 ) + ( j * 4 ) + 3 ) );
+            // Non-existing offsets will be converted to 0.
+            aResult[i][j] = ( aInput[( i * 64 ) + ( j * 4 )]        << 24 ) |
+                            ( aInput[( i * 64 ) + ( j * 4 ) + 1]    << 16 ) |
+                            ( aInput[( i * 64 ) + ( j * 4 ) + 2]    << 8 )  |
+                            ( aInput[( i * 64 ) + ( j * 4 ) + 3] );
         }
     }
 
@@ -303,8 +350,8 @@ Sha1.prototype.padLastBlock = function( aLastBlock )
 
     // We need to add one extra bit to the message. If this bit would result in
     // the message to be too long for the block, we would need to add another
-    // block.
-    if ( 0 == nPaddingByteWord && 0 == nPaddingByteByte )
+    // block. The block of an empty input has room for it.
+    if ( 0 == nPaddingByteWord && 0 == nPaddingByteByte && this.nAccumulatedMessageLength )
     {
         aReturn.push( aLastBlock );
         aLastBlock = this.createEmptyBlock();
@@ -336,18 +383,19 @@ Sha1.prototype.padLastBlock = function( aLastBlock )
  * @protected
  * @param {array} aBlock The block to restore.
  * @param {number} nLengthPayload The length of used bytes inside the block
- *                                (will be the length of the retuned string).
- * @return {string} Restored input string.
+ *                                (will be the length of the retuned array).
+ * @return {Uint8Array} Restored input bytes.
  */
 Sha1.prototype.extractBlock = function( aBlock, nLengthPayload )
 {
-    var sReturn = '';
+    var aReturn = new Uint8Array( nLengthPayload );
+    var nByte = 0;
     var nLastUsedWord = Math.floor( nLengthPayload / 4 ); // Zero-based.
     var nLastUsedByteInWord = nLengthPayload - nLastUsedWord * 4 - 1; // Zero-based.
 
     if ( 0 == nLengthPayload )
     {
-        return sReturn;
+        return aReturn;
     }
 
     // Iterating over all the words in the block.
@@ -362,11 +410,11 @@ Sha1.prototype.extractBlock = function( aBlock, nLengthPayload )
         // Chopping the words into bytes.
         for ( var j = 0; j <= nLastByte; j++ )
         {
-            sReturn += String.fromCharCode( ( aBlock[i] >>> ( 24 - j * 8 ) ) & 0xff );
+            aReturn[nByte++] = ( aBlock[i] >>> ( 24 - j * 8 ) ) & 0xff;
         }
     }
 
-    return sReturn;
+    return aReturn;
 };
 /**
  * Creates an empty input block consiting of 16 0-filled 32bits words.
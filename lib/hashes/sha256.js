@@ -0,0 +1,392 @@
+/**
+ * @fileOverview Instantiatable object to calculate SHA-256 hash from chunks (updateable).
+ * @author Zoltan Toth-Czifra
+ * @license New (3 clause) BSD license - see LICENSE file.
+ *
+ * Copyright (C) Zoltan Toth-Czifra
+ *
+ * Based on FIPS 180-4 - Secure Hash Standard (SHS)
+ * http://csrc.nist.gov/publications/fips/fips180-4/fips-180-4.pdf
+ */
+
+/**
+ * Creates an instance of Sha256.
+ *
+ * @constructor
+ */
+var Sha256 = function()
+{
+    /**
+     * Contains the current state of the hash computation result.
+     *
+     * Initializing - FIPS 5.3.3.
+     *
+     * @type {array}
+     */
+    this.aResults = Sha256.initialValues.slice( 0 );
+
+    /**
+     * Contains the end of the fed input that does not fill a whole block.
+     *
+     * It is merged with the next input, and padded when the hash is finalized.
+     *
+     * @type {Uint8Array}
+     */
+    this.aBuffer = new Uint8Array( 64 );
+
+    /**
+     * Number of bytes used in the buffer.
+     *
+     * @type {number}
+     */
+    this.nBuffered = 0;
+
+    /**
+     * Contains total message length of all fed inputs. Increments contatnly.
+     *
+     * @type {number}
+     */
+    this.nAccumulatedMessageLength = 0;
+};
+/**
+ * "Feeds" the hash with new input.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes to update the hash with.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary, it should be true.
+ * @return {object} Return "this" to create fluent interface.
+ */
+Sha256.prototype.feed = function( mInput, bUnicode )
+{
+    var aInput;
+
+    if ( !mInput )
+    {
+        return this;
+    }
+
+    aInput = this.toBytes( mInput, bUnicode );
+
+    this.nAccumulatedMessageLength += aInput.length;
+    this.feedHashWithBytes( aInput );
+
+    // Fluent interface.
+    return this;
+};
+/**
+ * Finalizes the hash computation and returns the final hash.
+ *
+ * Onc hash computation is finalised,you cannot feed more input.
+ *
+ * @param {boolean} bRaw Tells is we want the hash to be binary or in hexadeciamal notation.
+ *                  Optional, default is false.
+ * @return {string} Hexadecimal annotated or binary representation of the final hash.
+ */
+Sha256.prototype.finalize = function( bRaw )
+{
+    bRaw = bRaw || false;
+
+    this.feedHashWithBytes( this.toBytes( this.createPadding(), false ) );
+
+    this.feed = function()
+    {
+        throw new Error( 'You cannot feed an already finalized hash again.' );
+    }
+
+    if ( bRaw )
+    {
+        return this.formatHashBinary();
+    }
+    return this.formatHashHex();
+};
+/**
+ * Updates the hash with every whole block of the buffer and the input, and
+ * keeps the rest in the buffer.
+ *
+ * The input is read in place, only the bytes of the incomplete blocks are copied.
+ *
+ * @protected
+ * @param {Uint8Array} aInput Bytes input.
+ */
+Sha256.prototype.feedHashWithBytes = function( aInput )
+{
+    var nOffset = 0;
+
+    // Completing the block started by the previous input.
+    if ( this.nBuffered )
+    {
+        while ( this.nBuffered < 64 && nOffset < aInput.length )
+        {
+            this.aBuffer[this.nBuffered++] = aInput[nOffset++];
+        }
+        if ( this.nBuffered < 64 )
+        {
+            return;
+        }
+        this.feedHashWithBlock( this.readBlock( this.aBuffer, 0 ) );
+        this.nBuffered = 0;
+    }
+
+    for ( ; nOffset + 64 <= aInput.length; nOffset += 64 )
+    {
+        this.feedHashWithBlock( this.readBlock( aInput, nOffset ) );
+    }
+
+    while ( nOffset < aInput.length )
+    {
+        this.aBuffer[this.nBuffered++] = aInput[nOffset++];
+    }
+};
+/**
+ * Message padding according to FIPS 5.1.1.
+ *
+ * A single 1 bit, 0 bits until the length is 56 MOD 64 bytes, then the
+ * 64 bits length of the message in bits (big-endian).
+ *
+ * @protected
+ * @return {string} Binary string to append to the message.
+ */
+Sha256.prototype.createPadding = function()
+{
+    var sPadding    = String.fromCharCode( 0x80 );
+    var nLengthLow  = ( this.nAccumulatedMessageLength * 8 ) % 0x100000000;
+    var nLengthHigh = Math.floor( this.nAccumulatedMessageLength / 0x20000000 );
+
+    while ( ( this.nBuffered + sPadding.length ) % 64 !== 56 )
+    {
+        sPadding += String.fromCharCode( 0 );
+    }
+
+    return sPadding + this.wordToBinaryString( nLengthHigh ) + this.wordToBinaryString( nLengthLow );
+};
+/**
+ * Reads a 64 bytes block of the input into 16 big-endian 32 bits words.
+ *
+ * @protected
+ * @param {Uint8Array} aInput Bytes input.
+ * @param {number} nOffset Offset of the first byte of the block.
+ * @return {array} 16 pieces of 32 bits words.
+ */
+Sha256.prototype.readBlock = function( aInput, nOffset )
+{
+    var aWords = new Array( 16 );
+
+    for ( var i = 0; i < 16; i++ )
+    {
+        aWords[i] = ( aInput[nOffset + i * 4] << 24 )      |
+                    ( aInput[nOffset + i * 4 + 1] << 16 )  |
+                    ( aInput[nOffset + i * 4 + 2] << 8 )   |
+                    aInput[nOffset + i * 4 + 3];
+    }
+
+    return aWords;
+};
+/**
+ * Updates the current value of the hash with a 512b block (16pcs of 32b words).
+ *
+ * FIPS 6.2.2.
+ *
+ * @protected
+ * @param {array} aWords 16 items array containing 32b words.
+ */
+Sha256.prototype.feedHashWithBlock = function( aWords )
+{
+    var aState = this.aResults.slice( 0 );
+    var i;
+
+    // Exending words in the block to 64 words using formula.
+    for ( i = 16; i < 64; i++ )
+    {
+        var nSigma0 = this.rightRotate( aWords[i - 15], 7 ) ^ this.rightRotate( aWords[i - 15], 18 ) ^ ( aWords[i - 15] >>> 3 );
+        var nSigma1 = this.rightRotate( aWords[i - 2], 17 ) ^ this.rightRotate( aWords[i - 2], 19 ) ^ ( aWords[i - 2] >>> 10 );
+
+        aWords[i] = ( aWords[i - 16] + nSigma0 + aWords[i - 7] + nSigma1 ) & 0xffffffff;
+    }
+
+    for ( i = 0; i < 64; i++ )
+    {
+        var nA = aState[0], nE = aState[4];
+        var nTemp1, nTemp2;
+
+        nTemp1 = aState[7] +
+                 ( this.rightRotate( nE, 6 ) ^ this.rightRotate( nE, 11 ) ^ this.rightRotate( nE, 25 ) ) +
+                 ( ( nE & aState[5] ) ^ ( ( ~nE ) & aState[6] ) ) +
+                 Sha256.constants[i] + aWords[i];
+        nTemp2 = ( this.rightRotate( nA, 2 ) ^ this.rightRotate( nA, 13 ) ^ this.rightRotate( nA, 22 ) ) +
+                 ( ( nA & aState[1] ) ^ ( nA & aState[2] ) ^ ( aState[1] & aState[2] ) );
+
+        aState[7] = aState[6];
+        aState[6] = aState[5];
+        aState[5] = nE;
+        aState[4] = ( aState[3] + nTemp1 ) & 0xffffffff;
+        aState[3] = aState[2];
+        aState[2] = aState[1];
+        aState[1] = nA;
+        aState[0] = ( nTemp1 + nTemp2 ) & 0xffffffff;
+    }
+
+    // Adding values to the current results while trimming bit overflow.
+    for ( i = 0; i < 8; i++ )
+    {
+        this.aResults[i] = ( this.aResults[i] + aState[i] ) & 0xffffffff;
+    }
+};
+/**
+ * Formats hash computation results in hexadecimal annotation.
+ *
+ * @protected
+ * @return {string} 64-bytes hexadecimal represeantion of the final hash.
+ */
+Sha256.prototype.formatHashHex = function()
+{
+    var sHash = '';
+
+    for ( var i = 0; i < 8; i++ )
+    {
+        sHash += ( '0000000' + ( this.aResults[i] >>> 0 ).toString( 16 ) ).slice( -8 );
+    }
+
+    return sHash;
+};
+/**
+ * Formats hash computation results in a binary string.
+ *
+ * @protected
+ * @return {string} 32-bytes binary represeantion of the final hash.
+ */
+Sha256.prototype.formatHashBinary = function()
+{
+    var sHash = '';
+
+    for ( var i = 0; i < 8; i++ )
+    {
+        sHash += this.wordToBinaryString( this.aResults[i] );
+    }
+
+    return sHash;
+};
+/**
+ * Converts a 32 bits word to 4 bytes binary string, high-order byte first.
+ *
+ * @protected
+ * @param {number} nWord 32 bits integer.
+ * @return {string} 4 bytes binary string.
+ */
+Sha256.prototype.wordToBinaryString = function( nWord )
+{
+    return  String.fromCharCode( ( nWord >>> 24 ) & 0xff ) +
+            String.fromCharCode( ( nWord >>> 16 ) & 0xff ) +
+            String.fromCharCode( ( nWord >>> 8 ) & 0xff ) +
+            String.fromCharCode( nWord & 0xff );
+};
+/**
+ * Converts the input of feed to bytes.
+ *
+ * Typed arrays and ArrayBuffers are not copied, only viewed as bytes.
+ *
+ * @protected
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary.
+ * @return {Uint8Array} Bytes of the input.
+ */
+Sha256.prototype.toBytes = function( mInput, bUnicode )
+{
+    var aBytes;
+
+    if ( "string" !== typeof mInput )
+    {
+        if ( ArrayBuffer.isView( mInput ) )
+        {
+            return new Uint8Array( mInput.buffer, mInput.byteOffset, mInput.byteLength );
+        }
+        return new Uint8Array( mInput );
+    }
+
+    if ( bUnicode )
+    {
+        mInput = this.utf8Encode( mInput );
+    }
+
+    aBytes = new Uint8Array( mInput.length );
+    for ( var i = 0; i < mInput.length; i++ )
+    {
+        aBytes[i] = mInput.charCodeAt( i ) & 0xff;
+    }
+
+    return aBytes;
+};
+/**
+ * Converts UTF-8 Javascript strings to binary.
+ *
+ * @author: Chris Veness
+ * @license Attribution 3.0 Unported (CC BY 3.0
+ * @param {string} sInput String to convertot binary.
+ * @return {string} Converted string.
+ */
+Sha256.prototype.utf8Encode = function( sInput )
+{
+    // Regural expressions in this case are proved to be quick.
+    sInput = sInput.replace(
+        /[\u0080-\u07ff]/g,  // U+0080 - U+07FF => 2 bytes 110yyyyy, 10zzzzzz
+        function( sUnicodeChar )
+        {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xc0 | nCharcode>>6, 0x80 | nCharcode&0x3f );
+        }
+    );
+    sInput = sInput.replace(
+        /[\u0800-\uffff]/g,  // U+0800 - U+FFFF => 3 bytes 1110xxxx, 10yyyyyy, 10zzzzzz
+        function( sUnicodeChar ) {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xe0 | nCharcode >> 12, 0x80 | nCharcode >> 6&0x3F, 0x80 | nCharcode & 0x3f );
+        }
+    );
+    return sInput;
+};
+/**
+ * Circular right shift bitwise operation - FIPS 3.2.
+ *
+ * @protected
+ * @param {number} nInput The input integer to rotate.
+ * @param {number} nOffset The bit offset to shift with.
+ * @return {number} Number consisting of the rotated bits.
+ */
+Sha256.prototype.rightRotate = function( nInput, nOffset )
+{
+    return ( nInput >>> nOffset ) | ( nInput << ( 32 - nOffset ) );
+};
+/**
+ * Initial hash value, the first 32 bits of the fractional parts of the square
+ * roots of the first 8 primes - FIPS 5.3.3.
+ *
+ * @final
+ * @type array
+ */
+Sha256.initialValues = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+/**
+ * Constants used in the 64 steps, the first 32 bits of the fractional parts
+ * of the cube roots of the first 64 primes - FIPS 4.2.2.
+ *
+ * @final
+ * @type array
+ */
+Sha256.constants = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5,
+    0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc,
+    0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7,
+    0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3,
+    0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5,
+    0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
@@ -0,0 +1,511 @@
+/**
+ * @fileOverview Instantiatable object to calculate SHA-512 hash from chunks (updateable).
+ * @author Zoltan Toth-Czifra
+ * @license New (3 clause) BSD license - see LICENSE file.
+ *
+ * Copyright (C) Zoltan Toth-Czifra
+ *
+ * Based on FIPS 180-4 - Secure Hash Standard (SHS)
+ * http://csrc.nist.gov/publications/fips/fips180-4/fips-180-4.pdf
+ *
+ * Javascript has no 64 bits integers, so every 64 bits word is stored as two
+ * 32 bits numbers, the high-order half first.
+ */
+
+/**
+ * Creates an instance of Sha512.
+ *
+ * @constructor
+ */
+var Sha512 = function()
+{
+    /**
+     * Contains the current state of the hash computation result,
+     * 8 words as 16 halves.
+     *
+     * Initializing - FIPS 5.3.5.
+     *
+     * @type {array}
+     */
+    this.aResults = Sha512.initialValues.slice( 0 );
+
+    /**
+     * Contains the end of the fed input that does not fill a whole block.
+     *
+     * It is merged with the next input, and padded when the hash is finalized.
+     *
+     * @type {Uint8Array}
+     */
+    this.aBuffer = new Uint8Array( 128 );
+
+    /**
+     * Number of bytes used in the buffer.
+     *
+     * @type {number}
+     */
+    this.nBuffered = 0;
+
+    /**
+     * Contains total message length of all fed inputs. Increments contatnly.
+     *
+     * @type {number}
+     */
+    this.nAccumulatedMessageLength = 0;
+};
+/**
+ * "Feeds" the hash with new input.
+ *
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes to update the hash with.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary, it should be true.
+ * @return {object} Return "this" to create fluent interface.
+ */
+Sha512.prototype.feed = function( mInput, bUnicode )
+{
+    var aInput;
+
+    if ( !mInput )
+    {
+        return this;
+    }
+
+    aInput = this.toBytes( mInput, bUnicode );
+
+    this.nAccumulatedMessageLength += aInput.length;
+    this.feedHashWithBytes( aInput );
+
+    // Fluent interface.
+    return this;
+};
+/**
+ * Finalizes the hash computation and returns the final hash.
+ *
+ * Onc hash computation is finalised,you cannot feed more input.
+ *
+ * @param {boolean} bRaw Tells is we want the hash to be binary or in hexadeciamal notation.
+ *                  Optional, default is false.
+ * @return {string} Hexadecimal annotated or binary representation of the final hash.
+ */
+Sha512.prototype.finalize = function( bRaw )
+{
+    bRaw = bRaw || false;
+
+    this.feedHashWithBytes( this.toBytes( this.createPadding(), false ) );
+
+    this.feed = function()
+    {
+        throw new Error( 'You cannot feed an already finalized hash again.' );
+    }
+
+    if ( bRaw )
+    {
+        return this.formatHashBinary();
+    }
+    return this.formatHashHex();
+};
+/**
+ * Updates the hash with every whole block of the buffer and the input, and
+ * keeps the rest in the buffer.
+ *
+ * The input is read in place, only the bytes of the incomplete blocks are copied.
+ *
+ * @protected
+ * @param {Uint8Array} aInput Bytes input.
+ */
+Sha512.prototype.feedHashWithBytes = function( aInput )
+{
+    var nOffset = 0;
+
+    // Completing the block started by the previous input.
+    if ( this.nBuffered )
+    {
+        while ( this.nBuffered < 128 && nOffset < aInput.length )
+        {
+            this.aBuffer[this.nBuffered++] = aInput[nOffset++];
+        }
+        if ( this.nBuffered < 128 )
+        {
+            return;
+        }
+        this.feedHashWithBlock( this.readBlock( this.aBuffer, 0 ) );
+        this.nBuffered = 0;
+    }
+
+    for ( ; nOffset + 128 <= aInput.length; nOffset += 128 )
+    {
+        this.feedHashWithBlock( this.readBlock( aInput, nOffset ) );
+    }
+
+    while ( nOffset < aInput.length )
+    {
+        this.aBuffer[this.nBuffered++] = aInput[nOffset++];
+    }
+};
+/**
+ * Message padding according to FIPS 5.1.2.
+ *
+ * A single 1 bit, 0 bits until the length is 112 MOD 128 bytes, then the
+ * 128 bits length of the message in bits (big-endian).
+ *
+ * @protected
+ * @return {string} Binary string to append to the message.
+ */
+Sha512.prototype.createPadding = function()
+{
+    var sPadding    = String.fromCharCode( 0x80 );
+    var nLengthLow  = ( this.nAccumulatedMessageLength * 8 ) % 0x100000000;
+    var nLengthHigh = Math.floor( this.nAccumulatedMessageLength / 0x20000000 );
+
+    while ( ( this.nBuffered + sPadding.length ) % 128 !== 112 )
+    {
+        sPadding += String.fromCharCode( 0 );
+    }
+
+    return  sPadding +
+            this.wordToBinaryString( 0 ) + this.wordToBinaryString( 0 ) +
+            this.wordToBinaryString( nLengthHigh ) + this.wordToBinaryString( nLengthLow );
+};
+/**
+ * Reads a 128 bytes block of the input into 16 big-endian 64 bits words (32 halves).
+ *
+ * @protected
+ * @param {Uint8Array} aInput Bytes input.
+ * @param {number} nOffset Offset of the first byte of the block.
+ * @return {array} 32 pieces of 32 bits halves.
+ */
+Sha512.prototype.readBlock = function( aInput, nOffset )
+{
+    var aWords = new Array( 32 );
+
+    for ( var i = 0; i < 32; i++ )
+    {
+        aWords[i] = ( aInput[nOffset + i * 4] << 24 )      |
+                    ( aInput[nOffset + i * 4 + 1] << 16 )  |
+                    ( aInput[nOffset + i * 4 + 2] << 8 )   |
+                    aInput[nOffset + i * 4 + 3];
+    }
+
+    return aWords;
+};
+/**
+ * Updates the current value of the hash with a 1024b block (16pcs of 64b words).
+ *
+ * FIPS 6.4.2.
+ *
+ * @protected
+ * @param {array} aWords 32 items array containing the 32b halves of the words.
+ */
+Sha512.prototype.feedHashWithBlock = function( aWords )
+{
+    var aState = this.aResults.slice( 0 );
+    var i, nHigh, nLow, nSigmaHigh, nSigmaLow, nSigma2High, nSigma2Low;
+
+    // Exending words in the block to 80 words using formula.
+    for ( i = 16; i < 80; i++ )
+    {
+        // Sigma0 of word i - 15.
+        nHigh       = aWords[( i - 15 ) * 2];
+        nLow        = aWords[( i - 15 ) * 2 + 1];
+        nSigmaHigh  = this.rotateHigh( nHigh, nLow, 1 ) ^ this.rotateHigh( nHigh, nLow, 8 ) ^ ( nHigh >>> 7 );
+        nSigmaLow   = this.rotateLow( nHigh, nLow, 1 ) ^ this.rotateLow( nHigh, nLow, 8 ) ^ this.shiftLow( nHigh, nLow, 7 );
+
+        // Sigma1 of word i - 2.
+        nHigh       = aWords[( i - 2 ) * 2];
+        nLow        = aWords[( i - 2 ) * 2 + 1];
+        nSigma2High = this.rotateHigh( nHigh, nLow, 19 ) ^ this.rotateHigh( nHigh, nLow, 61 ) ^ ( nHigh >>> 6 );
+        nSigma2Low  = this.rotateLow( nHigh, nLow, 19 ) ^ this.rotateLow( nHigh, nLow, 61 ) ^ this.shiftLow( nHigh, nLow, 6 );
+
+        this.add( aWords, i * 2, [
+            aWords[( i - 16 ) * 2], aWords[( i - 16 ) * 2 + 1],
+            nSigmaHigh, nSigmaLow,
+            aWords[( i - 7 ) * 2], aWords[( i - 7 ) * 2 + 1],
+            nSigma2High, nSigma2Low
+        ] );
+    }
+
+    for ( i = 0; i < 80; i++ )
+    {
+        var aTemp1 = [], aTemp2 = [];
+        var nAHigh = aState[0], nALow = aState[1];
+        var nEHigh = aState[8], nELow = aState[9];
+
+        // Temp1 = H + Sigma1( E ) + Ch( E, F, G ) + K + W.
+        this.add( aTemp1, 0, [
+            aState[14], aState[15],
+            this.rotateHigh( nEHigh, nELow, 14 ) ^ this.rotateHigh( nEHigh, nELow, 18 ) ^ this.rotateHigh( nEHigh, nELow, 41 ),
+            this.rotateLow( nEHigh, nELow, 14 ) ^ this.rotateLow( nEHigh, nELow, 18 ) ^ this.rotateLow( nEHigh, nELow, 41 ),
+            ( nEHigh & aState[10] ) ^ ( ( ~nEHigh ) & aState[12] ),
+            ( nELow & aState[11] ) ^ ( ( ~nELow ) & aState[13] ),
+            Sha512.constants[i * 2], Sha512.constants[i * 2 + 1],
+            aWords[i * 2], aWords[i * 2 + 1]
+        ] );
+        // Temp2 = Sigma0( A ) + Maj( A, B, C ).
+        this.add( aTemp2, 0, [
+            this.rotateHigh( nAHigh, nALow, 28 ) ^ this.rotateHigh( nAHigh, nALow, 34 ) ^ this.rotateHigh( nAHigh, nALow, 39 ),
+            this.rotateLow( nAHigh, nALow, 28 ) ^ this.rotateLow( nAHigh, nALow, 34 ) ^ this.rotateLow( nAHigh, nALow, 39 ),
+            ( nAHigh & aState[2] ) ^ ( nAHigh & aState[4] ) ^ ( aState[2] & aState[4] ),
+            ( nALow & aState[3] ) ^ ( nALow & aState[5] ) ^ ( aState[3] & aState[5] )
+        ] );
+
+        // Shifting the words: H = G, G = F, F = E, E = D + Temp1, D = C, C = B, B = A, A = Temp1 + Temp2.
+        aState.splice( 14, 2 );
+        aState.splice( 0, 0, 0, 0 );
+        this.add( aState, 8, [ aState[8], aState[9], aTemp1[0], aTemp1[1] ] );
+        this.add( aState, 0, [ aTemp1[0], aTemp1[1], aTemp2[0], aTemp2[1] ] );
+    }
+
+    // Adding values to the current results while trimming bit overflow.
+    for ( i = 0; i < 8; i++ )
+    {
+        this.add( this.aResults, i * 2, [ this.aResults[i * 2], this.aResults[i * 2 + 1], aState[i * 2], aState[i * 2 + 1] ] );
+    }
+};
+/**
+ * Adds 64 bits words, and stores the result (MOD 2^64) in an array.
+ *
+ * @protected
+ * @param {array} aTarget Array to store the result in.
+ * @param {number} nIndex Index of the high-order half of the result in aTarget.
+ * @param {array} aHalves High and low-order halves of the words to add, alternating.
+ */
+Sha512.prototype.add = function( aTarget, nIndex, aHalves )
+{
+    var nHigh = 0;
+    var nLow = 0;
+
+    for ( var i = 0; i < aHalves.length; i += 2 )
+    {
+        nHigh   += aHalves[i];
+        nLow    += aHalves[i + 1] >>> 0;
+    }
+
+    // The carry of the low-order halves goes to the high-order half.
+    aTarget[nIndex]     = ( nHigh + Math.floor( nLow / 0x100000000 ) ) & 0xffffffff;
+    aTarget[nIndex + 1] = nLow & 0xffffffff;
+};
+/**
+ * Returns the high-order half of a 64 bits word rotated right - FIPS 3.2.
+ *
+ * @protected
+ * @param {number} nHigh High-order half of the word.
+ * @param {number} nLow Low-order half of the word.
+ * @param {number} nOffset The bit offset to rotate with (1-63).
+ * @return {number} High-order half of the rotated word.
+ */
+Sha512.prototype.rotateHigh = function( nHigh, nLow, nOffset )
+{
+    if ( nOffset >= 32 )
+    {
+        return this.rotateLow( nHigh, nLow, nOffset - 32 );
+    }
+    return ( nHigh >>> nOffset ) | ( nLow << ( 32 - nOffset ) );
+};
+/**
+ * Returns the low-order half of a 64 bits word rotated right - FIPS 3.2.
+ *
+ * @protected
+ * @param {number} nHigh High-order half of the word.
+ * @param {number} nLow Low-order half of the word.
+ * @param {number} nOffset The bit offset to rotate with (1-63).
+ * @return {number} Low-order half of the rotated word.
+ */
+Sha512.prototype.rotateLow = function( nHigh, nLow, nOffset )
+{
+    if ( nOffset >= 32 )
+    {
+        return this.rotateHigh( nHigh, nLow, nOffset - 32 );
+    }
+    if ( 0 === nOffset )
+    {
+        return nLow;
+    }
+    return ( nLow >>> nOffset ) | ( nHigh << ( 32 - nOffset ) );
+};
+/**
+ * Returns the low-order half of a 64 bits word shifted right - FIPS 3.2.
+ *
+ * The high-order half is simply nHigh >>> nOffset.
+ *
+ * @protected
+ * @param {number} nHigh High-order half of the word.
+ * @param {number} nLow Low-order half of the word.
+ * @param {number} nOffset The bit offset to shift with (1-31).
+ * @return {number} Low-order half of the shifted word.
+ */
+Sha512.prototype.shiftLow = function( nHigh, nLow, nOffset )
+{
+    return ( nLow >>> nOffset ) | ( nHigh << ( 32 - nOffset ) );
+};
+/**
+ * Formats hash computation results in hexadecimal annotation.
+ *
+ * @protected
+ * @return {string} 128-bytes hexadecimal represeantion of the final hash.
+ */
+Sha512.prototype.formatHashHex = function()
+{
+    var sHash = '';
+
+    for ( var i = 0; i < 16; i++ )
+    {
+        sHash += ( '0000000' + ( this.aResults[i] >>> 0 ).toString( 16 ) ).slice( -8 );
+    }
+
+    return sHash;
+};
+/**
+ * Formats hash computation results in a binary string.
+ *
+ * @protected
+ * @return {string} 64-bytes binary represeantion of the final hash.
+ */
+Sha512.prototype.formatHashBinary = function()
+{
+    var sHash = '';
+
+    for ( var i = 0; i < 16; i++ )
+    {
+        sHash += this.wordToBinaryString( this.aResults[i] );
+    }
+
+    return sHash;
+};
+/**
+ * Converts a 32 bits number to 4 bytes binary string, high-order byte first.
+ *
+ * @protected
+ * @param {number} nWord 32 bits integer.
+ * @return {string} 4 bytes binary string.
+ */
+Sha512.prototype.wordToBinaryString = function( nWord )
+{
+    return  String.fromCharCode( ( nWord >>> 24 ) & 0xff ) +
+            String.fromCharCode( ( nWord >>> 16 ) & 0xff ) +
+            String.fromCharCode( ( nWord >>> 8 ) & 0xff ) +
+            String.fromCharCode( nWord & 0xff );
+};
+/**
+ * Converts the input of feed to bytes.
+ *
+ * Typed arrays and ArrayBuffers are not copied, only viewed as bytes.
+ *
+ * @protected
+ * @param {string|Uint8Array|ArrayBuffer} mInput Binary string or bytes.
+ * @param {boolean} bUnicode UTF8 string input to first converted to binary.
+ * @return {Uint8Array} Bytes of the input.
+ */
+Sha512.prototype.toBytes = function( mInput, bUnicode )
+{
+    var aBytes;
+
+    if ( "string" !== typeof mInput )
+    {
+        if ( ArrayBuffer.isView( mInput ) )
+        {
+            return new Uint8Array( mInput.buffer, mInput.byteOffset, mInput.byteLength );
+        }
+        return new Uint8Array( mInput );
+    }
+
+    if ( bUnicode )
+    {
+        mInput = this.utf8Encode( mInput );
+    }
+
+    aBytes = new Uint8Array( mInput.length );
+    for ( var i = 0; i < mInput.length; i++ )
+    {
+        aBytes[i] = mInput.charCodeAt( i ) & 0xff;
+    }
+
+    return aBytes;
+};
+/**
+ * Converts UTF-8 Javascript strings to binary.
+ *
+ * @author: Chris Veness
+ * @license Attribution 3.0 Unported (CC BY 3.0
+ * @param {string} sInput String to convertot binary.
+ * @return {string} Converted string.
+ */
+Sha512.prototype.utf8Encode = function( sInput )
+{
+    // Regural expressions in this case are proved to be quick.
+    sInput = sInput.replace(
+        /[\u0080-\u07ff]/g,  // U+0080 - U+07FF => 2 bytes 110yyyyy, 10zzzzzz
+        function( sUnicodeChar )
+        {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xc0 | nCharcode>>6, 0x80 | nCharcode&0x3f );
+        }
+    );
+    sInput = sInput.replace(
+        /[\u0800-\uffff]/g,  // U+0800 - U+FFFF => 3 bytes 1110xxxx, 10yyyyyy, 10zzzzzz
+        function( sUnicodeChar ) {
+            var nCharcode = sUnicodeChar.charCodeAt( 0 );
+            return String.fromCharCode( 0xe0 | nCharcode >> 12, 0x80 | nCharcode >> 6&0x3F, 0x80 | nCharcode & 0x3f );
+        }
+    );
+    return sInput;
+};
+/**
+ * Initial hash value, the first 64 bits of the fractional parts of the square
+ * roots of the first 8 primes - FIPS 5.3.5.
+ *
+ * @final
+ * @type array
+ */
+Sha512.initialValues = [
+    0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b,
+    0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+    0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f,
+    0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+];
+/**
+ * Constants used in the 80 steps, the first 64 bits of the fractional parts
+ * of the cube roots of the first 80 primes - FIPS 4.2.3.
+ *
+ * @final
+ * @type array
+ */
+Sha512.constants = [
+    0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd,
+    0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+    0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+    0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+    0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe,
+    0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+    0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1,
+    0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+    0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+    0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+    0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483,
+    0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+    0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210,
+    0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+    0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+    0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+    0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926,
+    0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+    0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8,
+    0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+    0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+    0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+    0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910,
+    0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+    0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53,
+    0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+    0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+    0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+    0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60,
+    0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+    0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9,
+    0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+    0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+    0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+    0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6,
+    0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+    0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493,
+    0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+    0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+    0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+];
@@ -7,68 +7,343 @@
  */
 
 
-// If Sha1 object is not present in a combined JS, we include it.
-// @todo Support more hashing algorithms.
-if ( "undefined" === typeof Sha1 )
-{
-    importScripts( 'hashes/sha1.js' );
-}
+/**
+ * Supported hash algorithms: the script and the name of the constructor of each.
+ *
+ * @type object
+ */
+var oHashAlgorithms   = {
+    "sha1"  : { "script": "hashes/sha1.js",   "constructor": "Sha1" },
+    "md5"   : { "script": "hashes/md5.js",    "constructor": "Md5" },
+    "sha256": { "script": "hashes/sha256.js", "constructor": "Sha256" },
+    "sha512": { "script": "hashes/sha512.js", "constructor": "Sha512" },
+    "crc32" : { "script": "hashes/crc32.js",  "constructor": "Crc32" },
+    "crc32c": { "script": "hashes/crc32.js",  "constructor": "Crc32c" }
+};
 
 /**
- * Sha1 object used for hash calculation (included in package).
+ * Hash objects used for hash calculation (included in package), keyed by algorithm.
  *
- * This is used globally for the whole file and not the chunk.
- * Its result is sent with the last chunk.
+ * These are used globally for the whole file and not the chunk.
+ * Their results are sent with the last chunk. Created with the first chunk.
+ */
+var oHashesWhole      = null;
+
+/**
+ * Messages waiting to be processed.
  *
- * @requires Sha1
+ * The main thread sends chunks ahead, but they must be hashed one by one in
+ * order, even if the file is read asynchronously.
+ *
+ * @type array
  */
-var oSha1Whole        = new Sha1();
+var aQueue            = [];
+
+/**
+ * True while a message is being processed.
+ *
+ * @type boolean
+ */
+var bBusy             = false;
 
 /**
  * Events handler for when the thread is messaged.
  *
+ * The "action" key of the message tells what to do: "fingerprint", "entire",
+ * "header" or "chunk" by default.
+ *
  * @param {object} oEvent Object containing data sent from other theads (data attribute).
  */
 self.addEventListener('message', function( oEvent )
 {
-    var oSha1Chunk       = new Sha1();
-    var oFile            = oEvent.data.file;
-    var nFileSize        = oEvent.data.file.size;
-    var nChunkSize       = oEvent.data.chunkSize;
-    var nOffset          = oEvent.data.offset;
-    var bLast            = oEvent.data.last;
+    aQueue.push( oEvent.data );
+    processQueue();
+});
+
+/**
+ * Processes the next message of the queue if there is no other in progress.
+ */
+var processQueue = function()
+{
+    var oData;
+    var fpAction;
+
+    if ( bBusy || !aQueue.length )
+    {
+        return;
+    }
+
+    bBusy = true;
+    oData = aQueue.shift();
+    fpAction = {
+        "fingerprint"   : hashFingerprint,
+        "entire"        : hashEntire,
+        "header"        : readHeader
+    }[oData.action] || hashChunk;
+
+    fpAction( oData, function()
+    {
+        bBusy = false;
+        processQueue();
+    } );
+};
+
+/**
+ * Creates an object calculating a hash with the given algorithm.
+ *
+ * @param {string} sAlgorithm Name of the algorithm, see oHashAlgorithms.
+ * @return {object} Object with feed and finalize methods, like Sha1.
+ */
+var createHash = function( sAlgorithm )
+{
+    var oAlgorithm = oHashAlgorithms[sAlgorithm];
+
+    if ( !oAlgorithm )
+    {
+        throw new Error( 'Hash algorithm ' + sAlgorithm + ' is not supported.' );
+    }
+
+    // If the object is not present in a combined JS, we include it.
+    if ( "undefined" === typeof self[oAlgorithm.constructor] )
+    {
+        importScripts( oAlgorithm.script );
+    }
+
+    return new self[oAlgorithm.constructor]();
+};
+
+/**
+ * Creates one hash object for each algorithm.
+ *
+ * @param {array} aAlgorithms Names of the algorithms, see oHashAlgorithms.
+ * @return {object} Hash objects keyed by algorithm.
+ */
+var createHashes = function( aAlgorithms )
+{
+    var oHashes = {};
+
+    for ( var i = 0; i < aAlgorithms.length; i++ )
+    {
+        oHashes[aAlgorithms[i]] = createHash( aAlgorithms[i] );
+    }
+
+    return oHashes;
+};
+
+/**
+ * Feeds every hash object with the same input.
+ *
+ * @param {object} oHashes Hash objects keyed by algorithm.
+ * @param {Uint8Array} aBytes Bytes input.
+ */
+var feedHashes = function( oHashes, aBytes )
+{
+    for ( var sAlgorithm in oHashes )
+    {
+        if ( oHashes.hasOwnProperty( sAlgorithm ) )
+        {
+            oHashes[sAlgorithm].feed( aBytes, false );
+        }
+    }
+};
+
+/**
+ * Finalizes every hash object.
+ *
+ * @param {object} oHashes Hash objects keyed by algorithm.
+ * @return {object} Hexadecimal digests keyed by algorithm.
+ */
+var finalizeHashes = function( oHashes )
+{
+    var oDigests = {};
+
+    for ( var sAlgorithm in oHashes )
+    {
+        if ( oHashes.hasOwnProperty( sAlgorithm ) )
+        {
+            oDigests[sAlgorithm] = oHashes[sAlgorithm].finalize();
+        }
+    }
+
+    return oDigests;
+};
+
+/**
+ * Reads the next chunk of the file, feeds the hashes of the whole file with it
+ * and posts back the chunk with its own hashes.
+ *
+ * The ArrayBuffer of the chunk is transferred to the main thread, not copied.
+ *
+ * The first algorithm of each list gives the "hash" and "entire_hash" keys,
+ * every digest is in "hashes" and "entire_hashes" too.
+ *
+ * @param {object} oData Message containing keys "file", "offset", "chunkSize", "last",
+ *                       "algorithms" (of the entire hash) and "chunkAlgorithms".
+ * @param {callback} fpDone Function to call when the chunk is posted back.
+ */
+var hashChunk = function( oData, fpDone )
+{
+    var oHashesChunk     = createHashes( oData.chunkAlgorithms );
+    var oFile            = oData.file;
+    var nFileSize        = oData.file.size;
+    var nChunkSize       = oData.chunkSize;
+    var nOffset          = oData.offset;
+    var bLast            = oData.last;
     var oChunk           = sliceFile ( oFile, nOffset, nChunkSize );
-    var sHash;
+    var oDigests;
     var oResponse;
 
     // We need this callback because Firefox does not support sync file reading.
     // Chrome does. We hide this infomation in the readChunk function.
-    readChunk( oChunk, function( sBinary )
+    readChunk( oChunk, function( oBuffer )
     {
-        // Feeding chunk hash.
-        oSha1Chunk.feed( sBinary, false );
-        // Feeding file hash.
-        oSha1Whole.feed( sBinary, false );
+        var aBytes = new Uint8Array( oBuffer );
 
-        sHash = oSha1Chunk.finalize();
+        oHashesWhole = oHashesWhole || createHashes( oData.algorithms );
+
+        // Feeding chunk hashes.
+        feedHashes( oHashesChunk, aBytes );
+        // Feeding file hashes.
+        feedHashes( oHashesWhole, aBytes );
+
+        oDigests = finalizeHashes( oHashesChunk );
 
         oResponse = {
+            "action"    : "chunk",
             "offset"    : nOffset,
             "size"      : Math.min( nChunkSize, ( nFileSize - nOffset ) ),
-            "binary"    : sBinary,
-            "hash"      : sHash
+            "buffer"    : oBuffer,
+            "hash"      : oDigests[oData.chunkAlgorithms[0]],
+            "hashes"    : oDigests
         };
 
-        // If it's the last piece, we give the overall hash and size too.
+        // If it's the last piece, we give the overall hashes and size too.
         if ( bLast )
         {
+            oDigests = finalizeHashes( oHashesWhole );
             oResponse["entire_size"] = nFileSize;
-            oResponse["entire_hash"] = oSha1Whole.finalize();
+            oResponse["entire_hash"] = oDigests[oData.algorithms[0]];
+            oResponse["entire_hashes"] = oDigests;
         }
 
-        postMessage( oResponse );
+        postMessage( oResponse, [ oBuffer ] );
+        fpDone();
     } );
-});
+};
+
+/**
+ * Posts back the hash of the beginning of the file, used to recognize the
+ * file when its upload is resumed.
+ *
+ * The hash of the whole file is not affected.
+ *
+ * @param {object} oData Message containing keys "file", "chunkSize" and "algorithm".
+ * @param {callback} fpDone Function to call when the hash is posted back.
+ */
+var hashFingerprint = function( oData, fpDone )
+{
+    readChunk( sliceFile( oData.file, 0, oData.chunkSize ), function( oBuffer )
+    {
+        postMessage( {
+            "action"    : "fingerprint",
+            "hash"      : createHash( oData.algorithm ).feed( oBuffer, false ).finalize()
+        } );
+        fpDone();
+    } );
+};
+
+/**
+ * Posts back the first bytes of the file in hexadecimal, used to check the
+ * type of the file before the upload.
+ *
+ * The hash of the whole file is not affected.
+ *
+ * @param {object} oData Message containing keys "file" and "size" (number of bytes).
+ * @param {callback} fpDone Function to call when the bytes are posted back.
+ */
+var readHeader = function( oData, fpDone )
+{
+    readChunk( sliceFile( oData.file, 0, oData.size ), function( oBuffer )
+    {
+        var aBytes = new Uint8Array( oBuffer );
+        var sHeader = '';
+
+        for ( var i = 0; i < aBytes.length; i++ )
+        {
+            sHeader += ( aBytes[i] < 16 ? '0' : '' ) + aBytes[i].toString( 16 );
+        }
+
+        postMessage( {
+            "action"    : "header",
+            "header"    : sHeader
+        } );
+        fpDone();
+    } );
+};
+
+/**
+ * Posts back the hashes of the entire file, read in chunks.
+ *
+ * Used when the hash of the entire file is needed before the upload, the hashes
+ * calculated while the chunks are read are not affected. The number of bytes
+ * hashed so far is posted back after every chunk ("entire_progress" action).
+ *
+ * @param {object} oData Message containing keys "file", "chunkSize" and "algorithms".
+ * @param {callback} fpDone Function to call when the hashes are posted back.
+ */
+var hashEntire = function( oData, fpDone )
+{
+    var oHashes = createHashes( oData.algorithms );
+    var nFileSize = oData.file.size;
+    var nOffset = 0;
+    var bReading = false;
+    var oDigests;
+
+    var onRead = function( oBuffer )
+    {
+        feedHashes( oHashes, new Uint8Array( oBuffer ) );
+        nOffset += oData.chunkSize;
+        postMessage( {
+            "action"        : "entire_progress",
+            "hashed"        : Math.min( nOffset, nFileSize )
+        } );
+
+        // Synchronous reads go on in the loop of readNext, asynchronous ones start it again.
+        if ( !bReading )
+        {
+            readNext();
+        }
+    };
+
+    var readNext = function()
+    {
+        var nReadOffset;
+
+        bReading = true;
+        while ( nOffset < nFileSize )
+        {
+            nReadOffset = nOffset;
+            readChunk( sliceFile( oData.file, nOffset, oData.chunkSize ), onRead );
+            if ( nReadOffset === nOffset )
+            {
+                bReading = false;
+                return;
+            }
+        }
+        bReading = false;
+
+        oDigests = finalizeHashes( oHashes );
+        postMessage( {
+            "action"        : "entire",
+            "entire_size"   : nFileSize,
+            "entire_hash"   : oDigests[oData.algorithms[0]],
+            "entire_hashes" : oDigests
+        } );
+        fpDone();
+    };
+
+    readNext();
+};
 
 /**
  * Slices a file object to a blob from a certain offset with a certain length.
@@ -105,7 +380,8 @@ var sliceFile = function( oFile, nOffset, nLength )
         // We use the standard way.
         sliceFile = function( oFile, nOffset, nLength )
         {
-            return oFile.slice( nOffset, nLength );
+            // Note the 2nd parameter is not length but end offset.
+            return oFile.slice( nOffset, nOffset + nLength );
         }
     }
 
@@ -119,7 +395,7 @@ var sliceFile = function( oFile, nOffset, nLength )
  * need to trick with callbacks.
  *
  * @param {object} oChunk Blog object of the file chunk to read.
- * @param {callback} fpCallback Function to call with the binary input when reading is finished.
+ * @param {callback} fpCallback Function to call with the ArrayBuffer of the chunk when reading is finished.
  */
 var readChunk = function( oChunk, fpCallback )
 {
@@ -138,7 +414,7 @@ var readChunk = function( oChunk, fpCallback )
 
         readChunk = function( oChunk, fpCallback )
         {
-            fpCallback( oFileReader.readAsBinaryString( oChunk ) );
+            fpCallback( oFileReader.readAsArrayBuffer( oChunk ) );
         }
     }
     else if ( "undefined" !== typeof FileReader )
@@ -151,7 +427,7 @@ var readChunk = function( oChunk, fpCallback )
             {
                  fpCallback( oEvent.target.result );
             }
-            oFileReader.readAsBinaryString( oChunk );
+            oFileReader.readAsArrayBuffer( oChunk );
         }
     }
     else
@@ -10,394 +10,4069 @@
  * Creates an instance of SecureUploader.
  *
  * @constructor
- * @param {object} oFileInput File input DOM object.
+ * @param {object} oFileInput File input DOM object, or null if the files come from elsewhere,
+ *                            see addFile, bindDropZone and bindPaste.
  * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
  */
 var SecureUploader = function( oFileInput, oSettings )
 {
-    this.oFileInput         = oFileInput;
+    this.oFileInput         = oFileInput || null;
     this.oSettings          = new SecureUploaderSettings( oSettings );
-    this.oUploader          = null;
+    // Every SecureUploaderFile added to the queue, in any state.
+    this.aFiles             = [];
+    // The FileList of the input that was added to the queue the last time.
+    this.oLastFileList      = null;
+    this.bRunning           = false;
+    // DOM event listeners of the uploader, objects with "element", "event" and "handler", see unbind.
+    this.aListeners         = [];
+
+    if ( null !== this.oSettings.max_bytes_per_second )
+    {
+        this.setMaxBytesPerSecond( this.oSettings.max_bytes_per_second );
+    }
+
+    // Event handlers can be given in the settings or assigned to the instance
+    // later, e.g. oUploader.onsuccess = function( oEvent ) {}.
+    for ( var i = 0; i < SecureUploader.EVENTS.length; i++ )
+    {
+        this['on' + SecureUploader.EVENTS[i]] = this.oSettings['on' + SecureUploader.EVENTS[i]];
+    }
 
     this.attachEvents();
 };
 /**
  * If start_on_change is off, you can trigger upload with this method.
+ *
+ * Adds the files currently selected in the input to the queue and starts
+ * processing it.
  */
 SecureUploader.prototype.start = function()
 {
-    if ( !this.oFileInput.files[0] )
+    var oFileList = this.oFileInput ? this.oFileInput.files : null;
+
+    if ( oFileList && oFileList !== this.oLastFileList )
     {
-        return;
+        this.oLastFileList = oFileList;
+        for ( var i = 0; i < oFileList.length; i++ )
+        {
+            this.addFile( oFileList[i] );
+        }
     }
-    this.oUploader = new SecureUploaderFile( this.oFileInput.files[0], this.oSettings );
-    this.oUploader.start();
+
+    this.bRunning = true;
+    this.processQueue();
 };
 /**
- * Returns a fraction number representing upload progress (0-1).
+ * Limits the upload bandwidth of the page, see max_bytes_per_second setting.
  *
- * @return {number} Fraction representing progress.
+ * The limit is shared by every uploader on the page, and can be changed while
+ * uploading, e.g. lifted when the page is hidden.
+ *
+ * @param {number} nBytesPerSecond Limit in bytes per second, 0 for no limit.
+ */
+SecureUploader.prototype.setMaxBytesPerSecond = function( nBytesPerSecond )
+{
+    this.oSettings.max_bytes_per_second = nBytesPerSecond;
+    SecureUploaderThrottle.getInstance().setLimit( nBytesPerSecond );
+};
+/**
+ * Adds a file to the upload queue.
+ *
+ * If the queue is already running, the file is uploaded as soon as there is
+ * a free slot (see max_concurrent_files setting). Generated content, e.g. an
+ * exported report or a canvas capture, can be added as a Blob with a name.
+ *
+ * @param {object} oFile File or Blob object.
+ * @param {string} sName Optional name of the file, see SecureUploaderFile.nameFile.
+ * @return {object} The SecureUploaderFile instance created for the file.
+ */
+SecureUploader.prototype.addFile = function( oFile, sName )
+{
+    var oUploaderFile = new SecureUploaderFile( SecureUploaderFile.nameFile( oFile, sName ), this.oSettings, this );
+
+    this.aFiles.push( oUploaderFile );
+    this.processQueue();
+
+    return oUploaderFile;
+};
+/**
+ * Adds files to the upload queue, e.g. the FileList of a drop event.
+ *
+ * @param {array} aFiles Array or FileList of File objects.
+ * @return {array} The SecureUploaderFile instances created for the files.
  */
-SecureUploader.prototype.getProgressPercentage = function()
+SecureUploader.prototype.addFiles = function( aFiles )
 {
-    if ( !this.oUploader )
+    var aUploaderFiles = [];
+
+    for ( var i = 0; i < aFiles.length; i++ )
     {
-        return 0;
+        aUploaderFiles.push( this.addFile( aFiles[i] ) );
     }
-    return this.oUploader.getProgressPercentage();
-}
+    return aUploaderFiles;
+};
 /**
- * Attached event to the input object if the start_on_change setting is true.
+ * Makes an element a drop zone: the files dropped on it are added to the queue.
  *
- * @protected
+ * The upload starts right away if the start_on_change setting is true,
+ * otherwise with start. Dragged content without files is left to the page.
+ *
+ * @param {object} oElement DOM element, e.g. a div or the document.
  */
-SecureUploader.prototype.attachEvents = function()
+SecureUploader.prototype.bindDropZone = function( oElement )
 {
     var self = this;
+    var fpDragOver = function( oEvent )
+    {
+        // The browser would open the file instead of dropping it here.
+        if ( SecureUploader.hasFiles( oEvent.dataTransfer ) )
+        {
+            oEvent.preventDefault();
+            oEvent.dataTransfer.dropEffect = 'copy';
+        }
+    };
 
-    if ( this.oSettings.start_on_change )
+    this.bind( oElement, 'dragenter', fpDragOver );
+    this.bind( oElement, 'dragover', fpDragOver );
+    this.bind( oElement, 'drop', function( oEvent )
     {
-        this.oFileInput.onchange = function()
+        var oFileList = oEvent.dataTransfer ? oEvent.dataTransfer.files : null;
+
+        if ( !oFileList || !oFileList.length )
         {
-            self.start.apply( self, [] );
-        };
-    }
+            return;
+        }
+        oEvent.preventDefault();
+        self.receiveFiles( oFileList );
+    } );
 };
+/**
+ * Adds the files pasted into an element (e.g. a screenshot) to the queue.
+ *
+ * The upload starts right away if the start_on_change setting is true,
+ * otherwise with start. Pasted text is left to the page.
+ *
+ * @param {object} oElement DOM element, e.g. a textarea or the document.
+ */
+SecureUploader.prototype.bindPaste = function( oElement )
+{
+    var self = this;
 
+    this.bind( oElement, 'paste', function( oEvent )
+    {
+        var aFiles = SecureUploader.getClipboardFiles( oEvent.clipboardData );
 
+        if ( !aFiles.length )
+        {
+            return;
+        }
+        oEvent.preventDefault();
+        self.receiveFiles( aFiles );
+    } );
+};
 /**
- * Creates an instance of SecureUploaderFile.
+ * Detaches the event listeners of the uploader from an element, see
+ * bindDropZone and bindPaste.
  *
- * @constructor
- * @param {object} oFile File object from file input.
- * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {object} oElement Optional DOM element, if not given the listeners are
+ *                          detached from every element, including the file input.
  */
-var SecureUploaderFile = function( oFile, oSettings )
+SecureUploader.prototype.unbind = function( oElement )
 {
-    this.oWorker        = null;
-    this.oRequest       = null;
+    var oListener;
 
-    this.oSettings      = oSettings;
-    this.nOffset        = 0;
-    this.nChunksize     = this.oSettings.chunk_size;
-    this.oFile          = oFile;
-    this.sGuid          = SecureUploaderFile.getGuid();
-    this.nRetriesLeft   = 3;
+    for ( var i = this.aListeners.length - 1; i >= 0; i-- )
+    {
+        oListener = this.aListeners[i];
+        if ( !oElement || oListener.element === oElement )
+        {
+            oListener.element.removeEventListener( oListener.event, oListener.handler, false );
+            this.aListeners.splice( i, 1 );
+        }
+    }
 };
 /**
- * Starts hash generation and later upload of the file.
+ * Attaches an event listener to an element, so it can be detached by unbind.
+ *
+ * @protected
+ * @param {object} oElement DOM element.
+ * @param {string} sEvent Name of the DOM event.
+ * @param {function} fpHandler The listener.
  */
-SecureUploaderFile.prototype.start = function()
+SecureUploader.prototype.bind = function( oElement, sEvent, fpHandler )
 {
-    this.createWorker();
-    this.processNextChunk();
+    oElement.addEventListener( sEvent, fpHandler, false );
+    this.aListeners.push( {
+        "element"   : oElement,
+        "event"     : sEvent,
+        "handler"   : fpHandler
+    } );
 };
 /**
- * Returns a fraction number representing upload progress (0-1).
+ * Adds the dropped or pasted files to the queue, and starts the upload if the
+ * start_on_change setting is true.
  *
- * Considers already uplaoded chunks and the state of the current request.
- *
- * @return {number} Fraction representing progress.
+ * @protected
+ * @param {array} aFiles Array or FileList of File objects.
  */
-SecureUploaderFile.prototype.getProgressPercentage = function()
+SecureUploader.prototype.receiveFiles = function( aFiles )
 {
-    var nProgress = 0;
+    this.addFiles( aFiles );
 
-    // Already uploaded chunks.
-    nProgress += Math.max( this.nOffset - this.nChunksize, 0 ) / this.oFile.size;
-    // Percentage of the current request.
-    if ( this.oRequest )
+    if ( this.oSettings.start_on_change )
     {
-        nProgress += this.oRequest.getProgressPercentage() /
-                    // The supposed chunk size of the current upload.
-                    Math.min( this.nChunksize, ( this.oFile.size - Math.max( this.nOffset - this.nChunksize, 0 ) ) );
+        this.start();
     }
+};
+/**
+ * Calculates the hashes of a file without uploading it, e.g. for an integrity manifest.
+ *
+ * The file is not added to the queue. The algorithms are the ones of the
+ * hashes setting for the entire file.
+ *
+ * @param {object} oFile File or Blob object.
+ * @param {callback} fpDone Function called with an error object (with "message") or null,
+ *                          and an object with keys "entire_size", "entire_hash" and "entire_hashes".
+ * @param {callback} fpProgress Optional function called with the hashed part of the file (0-1).
+ * @return {object} The SecureUploaderFile instance hashing the file, its cancel stops the
+ *                  hashing without calling fpDone.
+ */
+SecureUploader.prototype.hashFile = function( oFile, fpDone, fpProgress )
+{
+    var oUploaderFile = new SecureUploaderFile( oFile, this.oSettings );
 
-    return nProgress;
-}
+    oUploaderFile.hash( fpDone, fpProgress );
+    return oUploaderFile;
+};
 /**
- * Creates a web worker to read file and generate hash to this.oWorker.
+ * Removes a file from the queue.
  *
- * If there is a worker already existing, it terminates it first
+ * If the file is being uploaded at the moment, its upload is cancelled.
  *
- * @protected
+ * @param {string} sGuid Guid of the file, see SecureUploaderFile.sGuid.
+ * @return {boolean} True if the file was removed, false if there is no such file.
  */
-SecureUploaderFile.prototype.createWorker = function()
+SecureUploader.prototype.removeFile = function( sGuid )
 {
-    // If there's a thread still running from another execution, we kill it.
-    if ( this.oWorker )
+    for ( var i = 0; i < this.aFiles.length; i++ )
     {
-        this.oWorker.terminate();
-    }
+        if ( this.aFiles[i].sGuid === sGuid )
+        {
+            var oUploaderFile = this.aFiles.splice( i, 1 )[0];
 
-    this.oWorker = new Worker( this.oSettings.worker_path );
+            oUploaderFile.cancel();
+            return true;
+        }
+    }
+    return false;
+};
+/**
+ * Pauses the upload of one file, or the whole queue.
+ *
+ * When the whole queue is paused, no new file is started until resume is called.
+ *
+ * @param {string} sGuid Optional guid of the file to pause.
+ */
+SecureUploader.prototype.pause = function( sGuid )
+{
+    var aFiles = this.getFilesByGuid( sGuid );
 
-    var self = this;
-    this.oWorker.onmessage = function( oEvent )
+    if ( !sGuid )
     {
-        self.uploadChunk.apply( self, [ oEvent.data ] );
-    };
+        this.bRunning = false;
+    }
+    for ( var i = 0; i < aFiles.length; i++ )
+    {
+        aFiles[i].pause();
+    }
 };
 /**
- * Sends the next chunk of the file to hash calculation.
+ * Resumes the upload of one paused or failed file, or the whole queue.
  *
- * @protected
- * @return {boolen} False if there are no chunks left to process, true otherwise.
+ * @param {string} sGuid Optional guid of the file to resume.
  */
-SecureUploaderFile.prototype.processNextChunk = function()
+SecureUploader.prototype.resume = function( sGuid )
 {
-    if ( this.nOffset >= this.oFile.size )
+    var aFiles = this.getFilesByGuid( sGuid );
+
+    if ( !sGuid )
     {
-        return false;
+        this.bRunning = true;
     }
+    for ( var i = 0; i < aFiles.length; i++ )
+    {
+        aFiles[i].resume();
+    }
+    this.processQueue();
+};
+/**
+ * Cancels the upload of one file, or every file of the queue.
+ *
+ * Cancelled files stay in the queue, see removeFile.
+ *
+ * @param {string} sGuid Optional guid of the file to cancel.
+ */
+SecureUploader.prototype.cancel = function( sGuid )
+{
+    var aFiles = this.getFilesByGuid( sGuid );
 
-    this.oWorker.postMessage( {
-        "file"        : this.oFile,
-        "offset"      : this.nOffset,
-        "chunkSize"   : this.nChunksize,
-        // If it's the last chunk, we tell the worker to return the overall hash too.
-        "last"        : ( this.nOffset + this.nChunksize >= this.oFile.size )
-    } );
-
-    this.nOffset += this.nChunksize;
-    return true;
+    if ( !sGuid )
+    {
+        // Cancelled files must not be replaced by the waiting ones.
+        this.bRunning = false;
+    }
+    for ( var i = 0; i < aFiles.length; i++ )
+    {
+        aFiles[i].cancel();
+    }
 };
 /**
- * When the hash calculation returns, starts the upload of the file.
+ * Returns a file of the queue.
  *
- * @protected
- * @param {object} oResult Result of the hash calculation.
- *                         Contains keys "offset", "size", "binary", "hash".
+ * @param {string} sGuid Guid of the file, see SecureUploaderFile.sGuid.
+ * @return {object} SecureUploaderFile instance or null if there is no such file.
  */
-SecureUploaderFile.prototype.uploadChunk = function( oResult )
+SecureUploader.prototype.getFile = function( sGuid )
 {
-    var self = this;
-    this.oRequest = new SecureUploaderRequest( this.oFile, this.sGuid, this.oSettings, oResult, function( bSuccess )
+    for ( var i = 0; i < this.aFiles.length; i++ )
     {
-        self.oRequest = null;
-        if ( bSuccess )
-        {
-            // If upload is successful, we go on to the next chunk (if there is).
-            if ( false === self.processNextChunk() )
-            {
-                // We finished uploading, the percentage always returns 100%.
-                self.getProgressPercentage = function()
-                {
-                    return 1;
-                }
-            }
-        }
-        else if ( self.nRetriesLeft )
+        if ( this.aFiles[i].sGuid === sGuid )
         {
-            // If uplaod is unsuccessful, we try again (X times).
-            self.nRetriesLeft--;
-            self.uploadChunk( oResult );
+            return this.aFiles[i];
         }
-    } );
-    this.oRequest.start();
+    }
+    return null;
 };
 /**
- * Generates a random GUID (yes, random GUID) for the current file to be uploaded.
- *
- * Can be used as reference to compile file chunks once the upload is complete.
+ * Returns the file with the given guid, or every file if there is no guid.
  *
- * @final
  * @protected
- * @return 16 bytes long alphanumberic random string.
+ * @param {string} sGuid Optional guid of the file.
+ * @return {array} SecureUploaderFile instances.
  */
-SecureUploaderFile.getGuid = function()
+SecureUploader.prototype.getFilesByGuid = function( sGuid )
 {
-    var sAllowedCharacters = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXTZ";
-    var sGuid = '';
-
-    for ( var i = 0; i < 16; i++ )
+    if ( !sGuid )
     {
-        var nOffset = Math.floor( Math.random() * sAllowedCharacters.length );
-        sGuid += sAllowedCharacters.substring( nOffset, nOffset+1 );
+        return this.getFiles();
     }
-
-    return sGuid;
+    return this.getFile( sGuid ) ? [ this.getFile( sGuid ) ] : [];
 };
-
-
 /**
- * Creates an instance of SecureUploaderRequest.
+ * Returns all the files of the queue in the order they were added.
  *
- * @constructor
- * @param {object} oFile File object from file input.
- * @param {string} sGuid Unique identifier of the whole file upload to be used as reference.
- * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
- * @param {object} oResult Result of the hash calculation for this chunk.
- * @param {callback} fpFinish Function to be called when the upload process finsihes.
- *                            Accepts one boolean parameter, true when successful.
+ * @return {array} SecureUploaderFile instances.
  */
-SecureUploaderRequest = function( oFile, sGuid, oSettings, oResult, fpFinish )
+SecureUploader.prototype.getFiles = function()
 {
-    this.oFile              = oFile;
-    this.sGuid              = sGuid;
-    this.oSettings          = oSettings;
-    this.fpFinish           = fpFinish;
+    return this.aFiles.slice( 0 );
+};
+/**
+ * Returns a fraction number representing upload progress (0-1).
+ *
+ * Without parameter the progress of the whole queue is returned, weighted by
+ * file sizes. Cancelled files are left out, they will not be uploaded.
+ *
+ * @param {string} sGuid Optional guid of a file to return the progress of.
+ * @return {number} Fraction representing progress.
+ */
+SecureUploader.prototype.getProgressPercentage = function( sGuid )
+{
+    var nTotalSize = 0;
+    var nUploadedSize = 0;
 
-    this.sBinary            = oResult.binary;
-    this.nOffset            = oResult.offset;
-    this.nSize              = oResult.size;
-    this.sHash              = oResult.hash;
+    if ( sGuid )
+    {
+        var oUploaderFile = this.getFile( sGuid );
+        return oUploaderFile ? oUploaderFile.getProgressPercentage() : 0;
+    }
 
-    this.nEntireSize        = oResult.entire_size || null;
-    this.sEntireHash        = oResult.entire_hash || null;
+    for ( var i = 0; i < this.aFiles.length; i++ )
+    {
+        if ( SecureUploaderFile.STATE_CANCELLED === this.aFiles[i].getState() )
+        {
+            continue;
+        }
+        nTotalSize      += this.aFiles[i].oFile.size;
+        nUploadedSize   += this.aFiles[i].getProgressPercentage() * this.aFiles[i].oFile.size;
+    }
 
-    this.nUploadProgress    = 0;
-    this.oXhr               = null;
-};
+    if ( !nTotalSize )
+    {
+        return this.aFiles.length && this.isFinished() ? 1 : 0;
+    }
+    return nUploadedSize / nTotalSize;
+}
 /**
- * Starts uploading process.
+ * Returns the detailed status of one file, or of every file in the queue.
+ *
+ * @param {string} sGuid Optional guid of a file to return the status of.
+ * @return {object} Status of the file (see SecureUploaderFile.getStatus), null if there
+ *                  is no such file, or an array of the statuses if no guid is given.
  */
-SecureUploaderRequest.prototype.start = function()
+SecureUploader.prototype.getStatus = function( sGuid )
 {
-    this.createXhr();
+    var aStatuses = [];
 
-    this.oXhr.open( "POST", this.oSettings.url, true );
-    this.oXhr.setRequestHeader( "Content-Type", "multipart/form-data; boundary=\"" + SecureUploaderRequest.MULTIPART_BOUNDARY + "\"" );
-    this.oXhr.overrideMimeType( "text/plain; charset=x-user-defined-binary" );
-    this.oXhr.sendAsBinary( this.getData() );
+    if ( sGuid )
+    {
+        var oUploaderFile = this.getFile( sGuid );
+        return oUploaderFile ? oUploaderFile.getStatus() : null;
+    }
+
+    for ( var i = 0; i < this.aFiles.length; i++ )
+    {
+        aStatuses.push( this.aFiles[i].getStatus() );
+    }
+    return aStatuses;
 };
 /**
- * Returns a fraction number representing upload progress of this chunk (0-1).
+ * Tells if there are no files waiting or being uploaded in the queue.
  *
- * @return {number} Fraction representing progress.
+ * @return {boolean} True if every file in the queue is finished.
  */
-SecureUploaderRequest.prototype.getProgressPercentage = function()
+SecureUploader.prototype.isFinished = function()
 {
-    return this.nUploadProgress;
-}
+    for ( var i = 0; i < this.aFiles.length; i++ )
+    {
+        if ( !this.aFiles[i].isFinished() )
+        {
+            return false;
+        }
+    }
+    return true;
+};
 /**
- * Returns payload of HTTP request containing all fields like hash, size, and
- * custom user-fields too, see request_params setting.
+ * Starts uploading the next files of the queue while there are free slots.
  *
  * @protected
- * @return {string} Payload for HTTP upload in multipart/form-data format.
  */
-SecureUploaderRequest.prototype.getData = function()
+SecureUploader.prototype.processQueue = function()
 {
-    var aData = [];
-
-    // File metadata.
-    aData.push( this.createDataPart( 'guid',    this.sGuid ) );
-    aData.push( this.createDataPart( 'offset',    this.nOffset ) );
-    aData.push( this.createDataPart( 'size',    this.nSize ) );
-    aData.push( this.createDataPart( 'hash',    this.sHash ) );
+    var nUploading = 0;
+    var i;
 
-    // If it's the last piece, we send along the hash and size of the whole.
-    if ( null !== this.nEntireSize && null !== this.nEntireHash )
+    if ( !this.bRunning )
     {
-        aData.push( this.createDataPart( 'entire_size',    this.nEntireSize ) );
-        aData.push( this.createDataPart( 'entire_hash',    this.sEntireHash ) );
+        return;
     }
 
-    // Additional parameters from the user.
-    for ( var sParamKey in this.oSettings.request_params )
+    for ( i = 0; i < this.aFiles.length; i++ )
     {
-        if ( this.oSettings.request_params.hasOwnProperty( sParamKey ) )
+        if ( SecureUploaderFile.STATE_UPLOADING === this.aFiles[i].getState() )
         {
-            aData.push( this.createDataPart( sParamKey,    this.oSettings.request_params[sParamKey] ) );
+            nUploading++;
         }
     }
 
-    aData.push( this.createDataPart( 'chunk',    this.sBinary, {
-        "filename": this.oFile.name
-    }, this.oFile.type ) );
-
-    aData.push( "--" );
-    aData.push( SecureUploaderRequest.MULTIPART_BOUNDARY );
-    aData.push( "--" );
-
-    return aData.join( '' );
+    for ( i = 0; i < this.aFiles.length && nUploading < this.oSettings.max_concurrent_files; i++ )
+    {
+        if ( SecureUploaderFile.STATE_IDLE === this.aFiles[i].getState() )
+        {
+            nUploading++;
+            this.aFiles[i].start();
+        }
+    }
 };
 /**
- * Creates parts (fields) for multipart/form-data payload.
+ * Calls the handler of an event if there is one assigned.
  *
  * @protected
- * @param {string} sName Name of the field.
- * @param {string} sData Value of the field.
- * @param {object} oAdditionalHeaders Key value pairs to be added to Content-Disposition header.
- * @param {string} sContentType Optional MIME type of the field.
+ * @param {string} sEvent Name of the event without the "on" prefix, see SecureUploader.EVENTS.
+ * @param {object} oData Event payload passed to the handler.
  */
-SecureUploaderRequest.prototype.createDataPart = function( sName, sData, oAdditionalHeaders, sContentType )
+SecureUploader.prototype.trigger = function( sEvent, oData )
 {
-    var aPart = [];
+    if ( 'function' === typeof this['on' + sEvent] )
+    {
+        this['on' + sEvent].call( this, oData );
+    }
 
-    oAdditionalHeaders  = oAdditionalHeaders    || {};
-    sContentType        = sContentType          || 'application/octet-stream';
+    // A file finished, its slot can be taken by the next one.
+    if ( 'complete' === sEvent )
+    {
+        this.processQueue();
 
-    aPart.push( "--" );
-    aPart.push( SecureUploaderRequest.MULTIPART_BOUNDARY );
-    aPart.push( "\r\nContent-Disposition: form-data; " );
+        if ( this.isFinished() )
+        {
+            this.trigger( 'queuecomplete', { "type": 'queuecomplete', "files": this.getFiles() } );
+        }
+    }
+};
+/**
+ * Attached event to the input object if the start_on_change setting is true.
+ *
+ * The other handlers of the input are kept, the listener can be detached by unbind.
+ *
+ * @protected
+ */
+SecureUploader.prototype.attachEvents = function()
+{
+    var self = this;
+
+    if ( this.oFileInput && this.oSettings.start_on_change )
+    {
+        this.bind( this.oFileInput, 'change', function()
+        {
+            self.start.apply( self, [] );
+        } );
+    }
+};
+/**
+ * Names of the events fired during upload.
+ *
+ * Handlers are called with one object parameter. Except for queuecomplete, it
+ * always contains the keys "type", "guid" and "file", plus the following
+ * depending on the event:
+ *
+ * - start: fired once when the upload of the file begins.
+ * - chunkhashed: "offset", "size", "hash", "hashes" and on the last chunk "entire_size",
+ *                "entire_hash", "entire_hashes". The "hashes" objects contain every digest
+ *                keyed by algorithm, see hashes setting.
+ * - chunkuploaded: same as chunkhashed, plus "response" of the server and
+ *                  "response_data" (the response parsed as JSON, see
+ *                  SecureUploaderRequest.getResponseData), and "skipped" if the
+ *                  server already had the chunk.
+ * - progress: "progress" fraction (0-1) of the whole file.
+ * - retry: same as chunkhashed, plus "status", "response", "response_data", "reason" (why
+ *          the request failed, see SecureUploaderRequest.FAILURE_*), "attempt" (number of the
+ *          failed attempt of the chunk), "retries_left" and "delay" in milliseconds
+ *          before the next attempt, see retry setting.
+ * - success: "entire_size", "entire_hash", "entire_hashes", "response" and "response_data"
+ *            to the last chunk, and the "file_id" and "url" the server gave (or null).
+ *            "deduplicated" is true if the server already had the file, see check_url setting.
+ * - error: "message", and if a request failed "offset", "status", "response", "response_data",
+ *          "reason" and "fatal" (true if the server refused the chunk, false if no attempts
+ *          were left). The message of a JSON response is used if there is one.
+ *          If the file was rejected before the upload, "reason" is "invalid" (see
+ *          SecureUploaderFile.FAILURE_INVALID), "rule" the key of the validation setting
+ *          it broke, and "fatal" true.
+ *          The file is in failed state, its upload can be continued by resume.
+ * - pause: fired when the upload of the file is paused.
+ * - resume: fired when a paused upload continues.
+ * - cancel: fired when the upload of the file is cancelled.
+ * - complete: "success" boolean, fired after success, error or cancel. After success
+ *             "file_id" and "url" too.
+ * - queuecomplete: "files" array of SecureUploaderFile instances, fired by
+ *                  SecureUploader only, when no file is waiting or uploading.
+ *
+ * @final
+ * @type array
+ */
+SecureUploader.EVENTS = [
+    'start',
+    'chunkhashed',
+    'chunkuploaded',
+    'progress',
+    'retry',
+    'success',
+    'error',
+    'pause',
+    'resume',
+    'cancel',
+    'complete',
+    'queuecomplete'
+];
+/**
+ * Constructors of the transports, keyed by their name in the transport
+ * setting, see registerTransport.
+ *
+ * @type object
+ */
+SecureUploader.TRANSPORTS = {};
+/**
+ * Makes a transport available to the transport setting.
+ *
+ * A transport is created for each file with the SecureUploaderFile instance,
+ * and has the methods of SecureUploaderTransport. It may inherit from that
+ * (see SecureUploader.inherit) and only override createRequest, to return
+ * its own request, an object like SecureUploaderRequest.
+ *
+ * @param {string} sName Name of the transport.
+ * @param {function} fpTransport Constructor of the transport.
+ */
+SecureUploader.registerTransport = function( sName, fpTransport )
+{
+    SecureUploader.TRANSPORTS[sName] = fpTransport;
+};
+/**
+ * Makes a constructor inherit the prototype of another, without calling the latter.
+ *
+ * @param {function} fpChild Constructor inheriting, it should call the parent constructor.
+ * @param {function} fpParent Constructor inherited from.
+ */
+SecureUploader.inherit = function( fpChild, fpParent )
+{
+    var fpPrototype = function() {};
+
+    fpPrototype.prototype = fpParent.prototype;
+    fpChild.prototype = new fpPrototype();
+    fpChild.prototype.constructor = fpChild;
+};
+/**
+ * Tells if dragged content contains files.
+ *
+ * @param {object} oDataTransfer DataTransfer object of a drag event.
+ * @return {boolean} True if there are files among the dragged types.
+ */
+SecureUploader.hasFiles = function( oDataTransfer )
+{
+    // DOMStringList in older browsers, array in the others.
+    var aTypes = oDataTransfer ? oDataTransfer.types : null;
+
+    for ( var i = 0; aTypes && i < aTypes.length; i++ )
+    {
+        if ( 'Files' === aTypes[i] )
+        {
+            return true;
+        }
+    }
+    return false;
+};
+/**
+ * Returns the files of pasted content.
+ *
+ * @param {object} oClipboardData DataTransfer object of a paste event.
+ * @return {array} File objects, empty if there are none.
+ */
+SecureUploader.getClipboardFiles = function( oClipboardData )
+{
+    var aFiles = [];
+    var oFile;
+    var i;
+
+    if ( !oClipboardData )
+    {
+        return aFiles;
+    }
+
+    // Some browsers only give pasted images as items.
+    if ( oClipboardData.items )
+    {
+        for ( i = 0; i < oClipboardData.items.length; i++ )
+        {
+            oFile = 'file' === oClipboardData.items[i].kind ? oClipboardData.items[i].getAsFile() : null;
+            if ( oFile )
+            {
+                aFiles.push( oFile );
+            }
+        }
+        return aFiles;
+    }
+
+    for ( i = 0; oClipboardData.files && i < oClipboardData.files.length; i++ )
+    {
+        aFiles.push( oClipboardData.files[i] );
+    }
+    return aFiles;
+};
+
+
+/**
+ * Creates an instance of SecureUploaderFile.
+ *
+ * @constructor
+ * @param {object} oFile File object from file input.
+ * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {object} oParent Optional SecureUploader instance the events are passed on to.
+ */
+var SecureUploaderFile = function( oFile, oSettings, oParent )
+{
+    this.oWorker        = null;
+    // SecureUploaderRequest instances uploading at the moment, see parallel_chunks setting.
+    this.aRequests      = [];
+
+    this.oSettings      = oSettings;
+    this.nOffset        = 0;
+    this.nChunksize     = this.oSettings.chunk_size;
+    this.oFile          = oFile;
+    this.sGuid          = SecureUploaderFile.getGuid();
+    // Number of upload attempts of the chunks, keyed by offset, see retry setting.
+    this.oAttempts      = {};
+    this.oParent        = oParent || null;
+    this.sState         = SecureUploaderFile.STATE_IDLE;
+    // Number of chunks sent to the worker that have not returned yet.
+    this.nHashing       = 0;
+    // Hashed chunks (see uploadChunk) waiting for upload, in offset order.
+    this.aHashed        = [];
+    // Sum of the sizes of the chunks the server has confirmed.
+    this.nConfirmedBytes = 0;
+    this.bStarted       = false;
+    // True while an earlier upload of the file is looked up, see resume setting.
+    this.bPreparing     = false;
+    // Identifies the file between page loads, see resume setting.
+    this.sFingerprint   = null;
+    // Sizes of the chunks the server already has, keyed by offset.
+    this.oChunksOnServer = {};
+    // Smoothed upload speed of the chunks in bytes per millisecond, see adaptive_chunk_size setting.
+    this.nThroughput    = null;
+    // True once the server has set the chunk size, it is not adapted any more.
+    this.bServerChunkSize = false;
+    // Counters of getStatus: bytes returned by the worker, bytes sent including
+    // failed attempts, and the chunks sent to the worker and confirmed by the server.
+    this.nHashedBytes   = 0;
+    this.nSentBytes     = 0;
+    this.nChunksIssued  = 0;
+    this.nChunksConfirmed = 0;
+    // Milliseconds spent uploading before the last pause, and when the upload went on.
+    this.nElapsed       = 0;
+    this.nClockStart    = null;
+    // Recent samples of the sent bytes for the current speed, objects with "time" and "bytes".
+    this.aSpeedSamples  = [];
+    // Called with the result and the progress of hashEntireFile.
+    this.fpEntireHashed = null;
+    this.fpEntireProgress = null;
+    // Result of hashEntireFile for the check_url setting, transports hashing the entire file reuse it.
+    this.oEntireResult  = null;
+    // Called with the first bytes of the file, see readHeader.
+    this.fpHeaderRead   = null;
+    // Sends the chunks, see transport setting.
+    this.oTransport     = SecureUploaderFile.createTransport( this );
+
+    // Event handlers, see SecureUploader.EVENTS.
+    for ( var i = 0; i < SecureUploader.EVENTS.length; i++ )
+    {
+        this['on' + SecureUploader.EVENTS[i]] = null;
+    }
+};
+/**
+ * Validates the file, then starts hash generation and later upload of it.
+ */
+SecureUploaderFile.prototype.start = function()
+{
+    var self = this;
+
+    this.sState     = SecureUploaderFile.STATE_UPLOADING;
+    this.bStarted   = true;
+    this.startClock();
+    this.createWorker();
+
+    // Nothing is sent before the file is found valid.
+    this.bPreparing = true;
+    this.validate( function()
+    {
+        self.bPreparing = false;
+        self.prepare();
+    } );
+};
+/**
+ * Looks up an earlier upload of the file if the resume setting is on, then
+ * begins the upload.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.prepare = function()
+{
+    if ( this.oSettings.resume && this.oSettings.resume_storage )
+    {
+        // The upload starts when the fingerprint is calculated, see restoreUpload.
+        this.bPreparing = true;
+        this.oWorker.postMessage( {
+            "action"      : "fingerprint",
+            "file"        : this.oFile,
+            "chunkSize"   : this.nChunksize,
+            "algorithm"   : this.oSettings.hash_algorithm
+        } );
+        return;
+    }
+
+    this.beginChunks();
+};
+/**
+ * Checks the file against the validation setting, the size, type and
+ * extension first, then the first bytes of the file and the validator.
+ *
+ * An invalid file is rejected, see reject.
+ *
+ * @protected
+ * @param {callback} fpValid Function called if the file is valid.
+ */
+SecureUploaderFile.prototype.validate = function( fpValid )
+{
+    var self = this;
+    var oValidation = this.oSettings.validation;
+    var oInvalid = SecureUploaderFile.findInvalidRule( this.oFile, oValidation );
+
+    if ( oInvalid )
+    {
+        this.reject( oInvalid.rule, oInvalid.message );
+        return;
+    }
+    if ( !oValidation.magic_bytes.length && !oValidation.validator )
+    {
+        fpValid();
+        return;
+    }
+
+    this.readHeader( function( sHeader )
+    {
+        if ( oValidation.magic_bytes.length && !SecureUploaderFile.matchMagicBytes( sHeader, oValidation.magic_bytes ) )
+        {
+            self.reject( 'magic_bytes', 'The content of the file does not match its allowed types.' );
+            return;
+        }
+
+        SecureUploaderRequest.callHook( oValidation.validator, {
+            "file"      : self.oFile,
+            "name"      : self.oFile.name,
+            "size"      : self.oFile.size,
+            "type"      : self.oFile.type,
+            "extension" : SecureUploaderFile.getExtension( self.oFile.name ),
+            "header"    : sHeader
+        }, function( oError )
+        {
+            // Cancelled in the meantime.
+            if ( SecureUploaderFile.STATE_CANCELLED === self.sState )
+            {
+                return;
+            }
+            if ( oError )
+            {
+                self.reject( 'validator', oError.message || 'The file is not valid.' );
+                return;
+            }
+            fpValid();
+        } );
+    } );
+};
+/**
+ * Reads the first bytes of the file in the worker, as many as the longest
+ * of the magic_bytes validation setting, at least SecureUploaderFile.HEADER_SIZE.
+ *
+ * @protected
+ * @param {callback} fpCallback Function called with the bytes in hexadecimal.
+ */
+SecureUploaderFile.prototype.readHeader = function( fpCallback )
+{
+    var aMagicBytes = this.oSettings.validation.magic_bytes;
+    var nSize = SecureUploaderFile.HEADER_SIZE;
+
+    for ( var i = 0; i < aMagicBytes.length; i++ )
+    {
+        nSize = Math.max( nSize, aMagicBytes[i].length / 2 );
+    }
+
+    this.fpHeaderRead = fpCallback;
+    this.oWorker.postMessage( {
+        "action"      : "header",
+        "file"        : this.oFile,
+        "size"        : nSize
+    } );
+};
+/**
+ * Rejects an invalid file: fires the error and complete events without sending
+ * anything. Resuming the file validates it again.
+ *
+ * @protected
+ * @param {string} sRule The key of the validation setting the file failed.
+ * @param {string} sMessage Description of the problem.
+ */
+SecureUploaderFile.prototype.reject = function( sRule, sMessage )
+{
+    this.bPreparing = false;
+    if ( this.oWorker )
+    {
+        this.oWorker.terminate();
+        this.oWorker = null;
+    }
+
+    this.fail( {
+        "message"   : sMessage,
+        "reason"    : SecureUploaderFile.FAILURE_INVALID,
+        "rule"      : sRule,
+        "fatal"     : true
+    } );
+};
+/**
+ * Pauses the upload.
+ *
+ * The requests of the current chunks are aborted, the chunks are sent again on
+ * resume without calculating their hash again. A file that has not been started
+ * yet is skipped by the queue until it is resumed.
+ *
+ * @return {boolean} False if the upload cannot be paused in its state, true otherwise.
+ */
+SecureUploaderFile.prototype.pause = function()
+{
+    if ( SecureUploaderFile.STATE_UPLOADING !== this.sState && SecureUploaderFile.STATE_IDLE !== this.sState )
+    {
+        return false;
+    }
+
+    this.sState     = SecureUploaderFile.STATE_PAUSED;
+    this.requeueRequests();
+    this.stopClock();
+
+    this.trigger( 'pause' );
+    return true;
+};
+/**
+ * Resumes a paused or failed upload from where it stopped.
+ *
+ * A failed chunk gets all its attempts again. If the worker was lost, or the
+ * server lost the chunks sent so far with the upload (see the isReady method of
+ * the transport), the file goes back to the queue and its upload starts over.
+ *
+ * @return {boolean} False if the upload is not paused or failed, true otherwise.
+ */
+SecureUploaderFile.prototype.resume = function()
+{
+    if ( SecureUploaderFile.STATE_PAUSED !== this.sState && SecureUploaderFile.STATE_FAILED !== this.sState )
+    {
+        return false;
+    }
+
+    if ( SecureUploaderFile.STATE_FAILED === this.sState )
+    {
+        this.oAttempts = {};
+        if ( !this.oWorker || ( this.nOffset && !this.oTransport.isReady() ) )
+        {
+            this.reset();
+        }
+    }
+
+    if ( !this.bStarted )
+    {
+        // Back to the queue.
+        this.sState = SecureUploaderFile.STATE_IDLE;
+        this.trigger( 'resume' );
+        return true;
+    }
+
+    this.sState = SecureUploaderFile.STATE_UPLOADING;
+    this.startClock();
+    this.trigger( 'resume' );
+
+    // If the upload is still being prepared, it goes on from there.
+    if ( this.bPreparing )
+    {
+        return true;
+    }
+    if ( !this.oTransport.isReady() )
+    {
+        this.beginTransport();
+        return true;
+    }
+    this.schedule();
+    return true;
+};
+/**
+ * Cancels the upload for good.
+ *
+ * Terminates the worker, aborts the current request and if the cancel_url
+ * setting is given, notifies the server so it can remove the chunks of the file.
+ * A failed upload can be cancelled too.
+ *
+ * @return {boolean} False if the upload is already done or cancelled, true otherwise.
+ */
+SecureUploaderFile.prototype.cancel = function()
+{
+    if ( SecureUploaderFile.STATE_DONE === this.sState || SecureUploaderFile.STATE_CANCELLED === this.sState )
+    {
+        return false;
+    }
+
+    this.sState = SecureUploaderFile.STATE_CANCELLED;
+    this.stopClock();
+    if ( this.oWorker )
+    {
+        this.oWorker.terminate();
+        this.oWorker = null;
+    }
+    this.abortRequests();
+
+    this.removeResumeRecord();
+    this.oTransport.cancel();
+
+    this.trigger( 'cancel' );
+    this.trigger( 'complete', { "success": false } );
+    return true;
+};
+/**
+ * Returns the state of the upload, see the SecureUploaderFile.STATE_* constants.
+ *
+ * @return {string} State of the upload.
+ */
+SecureUploaderFile.prototype.getState = function()
+{
+    return this.sState;
+};
+/**
+ * Tells if the upload is over, either successfully or not.
+ *
+ * @return {boolean} True if the file is done, failed or cancelled.
+ */
+SecureUploaderFile.prototype.isFinished = function()
+{
+    return SecureUploaderFile.STATE_DONE === this.sState ||
+           SecureUploaderFile.STATE_FAILED === this.sState ||
+           SecureUploaderFile.STATE_CANCELLED === this.sState;
+};
+/**
+ * Returns a fraction number representing upload progress (0-1).
+ *
+ * Considers already uplaoded chunks and the state of the current requests.
+ * Counted in bytes, as the chunks may have different sizes.
+ *
+ * @return {number} Fraction representing progress.
+ */
+SecureUploaderFile.prototype.getProgressPercentage = function()
+{
+    var nBytes = this.nConfirmedBytes;
+
+    // A file the server already had is done without confirmed chunks, see check_url setting.
+    if ( SecureUploaderFile.STATE_DONE === this.sState )
+    {
+        return 1;
+    }
+    if ( !this.oFile.size )
+    {
+        return 0;
+    }
+
+    // Uploaded part of the current requests.
+    for ( var i = 0; i < this.aRequests.length; i++ )
+    {
+        nBytes += this.aRequests[i].getProgressPercentage() * this.aRequests[i].nSize;
+    }
+
+    return nBytes / this.oFile.size;
+}
+/**
+ * Returns the detailed status of the upload, e.g. for a progress display.
+ *
+ * The "state" is one of the SecureUploaderFile.STATE_* constants, except that
+ * an uploading file is STATUS_HASHING while only the worker is busy (the
+ * file is being verified, nothing is sent), and STATUS_RETRYING while a
+ * chunk waits for its next attempt.
+ *
+ * @return {object} Object with keys "guid", "state", "progress" (0-1), "bytes_total",
+ *                  "bytes_hashed", "bytes_confirmed" (by the server), "bytes_in_flight"
+ *                  (sent, not confirmed yet), "speed" (over the last seconds) and
+ *                  "average_speed" in bytes per second, "elapsed" milliseconds of
+ *                  uploading, "eta" in seconds (null if unknown), "chunk_index" (of the
+ *                  next chunk to be confirmed) and "chunk_count" (estimated if the chunk
+ *                  size may change).
+ */
+SecureUploaderFile.prototype.getStatus = function()
+{
+    var nInFlight = this.getBytesInFlight();
+    var nElapsed = this.getElapsed();
+    var nSpeed = this.getSpeed();
+    var nAverageSpeed = nElapsed ? Math.round( ( this.nSentBytes + nInFlight ) * 1000 / nElapsed ) : 0;
+    var nRemaining = this.oFile.size - this.nConfirmedBytes - nInFlight;
+    var nEtaSpeed = nSpeed || nAverageSpeed;
+    var nEta = null;
+
+    if ( SecureUploaderFile.STATE_DONE === this.sState )
+    {
+        nEta = 0;
+    }
+    else if ( nEtaSpeed && SecureUploaderFile.STATE_UPLOADING === this.sState )
+    {
+        nEta = Math.ceil( Math.max( 0, nRemaining ) / nEtaSpeed );
+    }
+
+    return {
+        "guid"              : this.sGuid,
+        "state"             : this.getDetailedState(),
+        "progress"          : this.getProgressPercentage(),
+        "bytes_total"       : this.oFile.size,
+        "bytes_hashed"      : this.nHashedBytes,
+        "bytes_confirmed"   : this.nConfirmedBytes,
+        "bytes_in_flight"   : nInFlight,
+        "speed"             : nSpeed,
+        "average_speed"     : nAverageSpeed,
+        "elapsed"           : nElapsed,
+        "eta"               : nEta,
+        "chunk_index"       : this.nChunksConfirmed,
+        "chunk_count"       : this.nChunksIssued + Math.ceil( Math.max( 0, this.oFile.size - this.nOffset ) / this.nChunksize )
+    };
+};
+/**
+ * Returns the state of getStatus.
+ *
+ * @protected
+ * @return {string} One of the SecureUploaderFile.STATE_* or STATUS_* constants.
+ */
+SecureUploaderFile.prototype.getDetailedState = function()
+{
+    if ( SecureUploaderFile.STATE_UPLOADING !== this.sState )
+    {
+        return this.sState;
+    }
+
+    for ( var i = 0; i < this.aRequests.length; i++ )
+    {
+        if ( this.aRequests[i].isDelayed() )
+        {
+            return SecureUploaderFile.STATUS_RETRYING;
+        }
+    }
+    if ( !this.aRequests.length && ( this.nHashing || this.bPreparing ) )
+    {
+        return SecureUploaderFile.STATUS_HASHING;
+    }
+    return SecureUploaderFile.STATE_UPLOADING;
+};
+/**
+ * Returns the bytes of the current requests that are sent but not confirmed yet.
+ *
+ * @protected
+ * @return {number} Bytes.
+ */
+SecureUploaderFile.prototype.getBytesInFlight = function()
+{
+    var nBytes = 0;
+
+    for ( var i = 0; i < this.aRequests.length; i++ )
+    {
+        nBytes += this.aRequests[i].getProgressPercentage() * this.aRequests[i].nSize;
+    }
+    return Math.round( nBytes );
+};
+/**
+ * Starts measuring the time of the upload, see getStatus.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.startClock = function()
+{
+    if ( null === this.nClockStart )
+    {
+        this.nClockStart = new Date().getTime();
+        this.sampleSpeed();
+    }
+};
+/**
+ * Stops measuring the time while the upload does not go on, and forgets the
+ * current speed.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.stopClock = function()
+{
+    this.nElapsed       = this.getElapsed();
+    this.nClockStart    = null;
+    this.aSpeedSamples  = [];
+};
+/**
+ * Returns the time spent uploading, pauses excluded.
+ *
+ * @protected
+ * @return {number} Milliseconds.
+ */
+SecureUploaderFile.prototype.getElapsed = function()
+{
+    return this.nElapsed + ( null === this.nClockStart ? 0 : new Date().getTime() - this.nClockStart );
+};
+/**
+ * Records the bytes sent so far for the speed, see getSpeed. Called when the
+ * requests make progress or finish.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.sampleSpeed = function()
+{
+    var nNow = new Date().getTime();
+
+    if ( null === this.nClockStart )
+    {
+        return;
+    }
+
+    this.aSpeedSamples.push( {
+        "time"  : nNow,
+        "bytes" : this.nSentBytes + this.getBytesInFlight()
+    } );
+    // One sample older than the window is kept, so the window is covered.
+    while ( this.aSpeedSamples.length > 2 && this.aSpeedSamples[1].time <= nNow - SecureUploaderFile.SPEED_WINDOW )
+    {
+        this.aSpeedSamples.shift();
+    }
+};
+/**
+ * Returns the speed over the last SecureUploaderFile.SPEED_WINDOW milliseconds,
+ * from the samples of sampleSpeed up to the bytes sent by now.
+ *
+ * @protected
+ * @return {number} Bytes per second, 0 if not known yet.
+ */
+SecureUploaderFile.prototype.getSpeed = function()
+{
+    var nNow = new Date().getTime();
+    var oFirst = null;
+
+    if ( null === this.nClockStart )
+    {
+        return 0;
+    }
+
+    // The last sample older than the window, or the oldest one.
+    for ( var i = 0; i < this.aSpeedSamples.length; i++ )
+    {
+        if ( !oFirst || this.aSpeedSamples[i].time <= nNow - SecureUploaderFile.SPEED_WINDOW )
+        {
+            oFirst = this.aSpeedSamples[i];
+        }
+    }
+    if ( !oFirst || nNow <= oFirst.time )
+    {
+        return 0;
+    }
+    return Math.max( 0, Math.round( ( this.nSentBytes + this.getBytesInFlight() - oFirst.bytes ) * 1000 / ( nNow - oFirst.time ) ) );
+};
+/**
+ * Creates a web worker to read file and generate hash to this.oWorker.
+ *
+ * If there is a worker already existing, it terminates it first
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.createWorker = function()
+{
+    // If there's a thread still running from another execution, we kill it.
+    if ( this.oWorker )
+    {
+        this.oWorker.terminate();
+    }
+
+    this.oWorker = new Worker( this.oSettings.worker_path );
+
+    var self = this;
+    this.oWorker.onmessage = function( oEvent )
+    {
+        if ( 'fingerprint' === oEvent.data.action )
+        {
+            self.restoreUpload( oEvent.data.hash );
+            return;
+        }
+        if ( 'entire' === oEvent.data.action )
+        {
+            var fpEntireHashed = self.fpEntireHashed;
+
+            self.fpEntireHashed     = null;
+            self.fpEntireProgress   = null;
+            fpEntireHashed( null, oEvent.data );
+            return;
+        }
+        if ( 'header' === oEvent.data.action )
+        {
+            var fpHeaderRead = self.fpHeaderRead;
+
+            self.fpHeaderRead = null;
+            fpHeaderRead( oEvent.data.header );
+            return;
+        }
+        if ( 'entire_progress' === oEvent.data.action )
+        {
+            if ( self.fpEntireProgress )
+            {
+                self.fpEntireProgress( oEvent.data.hashed );
+            }
+            return;
+        }
+
+        self.nHashing--;
+        self.nHashedBytes += oEvent.data.size;
+        self.aHashed.push( oEvent.data );
+        self.trigger( 'chunkhashed', self.createChunkEventData( oEvent.data ) );
+        self.schedule();
+    };
+    this.oWorker.onerror = function( oEvent )
+    {
+        var fpEntireHashed = self.fpEntireHashed;
+
+        // The hash of the entire file is lost with the worker.
+        self.oWorker.terminate();
+        self.oWorker = null;
+
+        // Whoever waits for the hash of the entire file handles the error.
+        if ( fpEntireHashed )
+        {
+            self.fpEntireHashed     = null;
+            self.fpEntireProgress   = null;
+            fpEntireHashed( { "message": oEvent.message }, null );
+            return;
+        }
+        self.fail( { "message": oEvent.message } );
+    };
+};
+/**
+ * Sends the next chunk of the file to hash calculation.
+ *
+ * @protected
+ * @return {boolen} False if there are no chunks left to process, true otherwise.
+ */
+SecureUploaderFile.prototype.processNextChunk = function()
+{
+    var nChunksize = SecureUploaderFile.getChunkSizeAt( this.nOffset, this.nChunksize, this.oChunksOnServer );
+
+    // An empty file is sent as one empty chunk, carrying the hash of the entire file.
+    if ( this.nOffset && this.nOffset >= this.oFile.size )
+    {
+        return false;
+    }
+
+    this.nHashing++;
+    this.oWorker.postMessage( {
+        "file"        : this.oFile,
+        "offset"      : this.nOffset,
+        "chunkSize"   : nChunksize,
+        "algorithms"  : this.oSettings.hashes.entire,
+        "chunkAlgorithms" : this.oSettings.hashes.chunk,
+        // If it's the last chunk, we tell the worker to return the overall hash too.
+        "last"        : ( this.nOffset + nChunksize >= this.oFile.size )
+    } );
+
+    this.nOffset += nChunksize;
+    this.nChunksIssued++;
+    return true;
+};
+/**
+ * Starts uploading the hashed chunks while there are free request slots, and
+ * keeps the worker hashing ahead while there is room in the buffer.
+ *
+ * At most parallel_chunks + hash_ahead_chunks chunks are kept in memory. The
+ * last chunk, carrying the hash of the entire file, is only sent when every
+ * other chunk is confirmed by the server.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.schedule = function()
+{
+    var nHashAhead;
+
+    if ( SecureUploaderFile.STATE_UPLOADING !== this.sState || this.bPreparing )
+    {
+        return;
+    }
+
+    while ( this.aHashed.length && this.aRequests.length < this.getParallelChunks() )
+    {
+        if ( this.aHashed[0].entire_hash && this.aRequests.length )
+        {
+            break;
+        }
+        this.uploadChunk( this.aHashed.shift() );
+
+        // Skipped chunks might finish or break the upload right away.
+        if ( SecureUploaderFile.STATE_UPLOADING !== this.sState )
+        {
+            return;
+        }
+    }
+
+    // While the bandwidth limit holds chunks back, hashing ahead would only fill the memory.
+    nHashAhead = this.oSettings.hash_ahead_chunks;
+    if ( this.isThrottled() )
+    {
+        nHashAhead = 0;
+        SecureUploaderThrottle.getInstance().holdBack( this );
+    }
+
+    while ( this.nHashing + this.aHashed.length + this.aRequests.length <
+            this.getParallelChunks() + nHashAhead )
+    {
+        if ( false === this.processNextChunk() )
+        {
+            break;
+        }
+    }
+};
+/**
+ * Returns the number of chunks uploaded at the same time.
+ *
+ * @protected
+ * @return {number} The parallel_chunks setting, 1 if the transport sends the chunks in order.
+ */
+SecureUploaderFile.prototype.getParallelChunks = function()
+{
+    return this.oTransport.bSequential ? 1 : this.oSettings.parallel_chunks;
+};
+/**
+ * Tells if any chunk of the file waits for its turn because of the bandwidth limit.
+ *
+ * @protected
+ * @return {boolean} True if a request is held back, see max_bytes_per_second setting.
+ */
+SecureUploaderFile.prototype.isThrottled = function()
+{
+    for ( var i = 0; i < this.aRequests.length; i++ )
+    {
+        if ( this.aRequests[i].isThrottled() )
+        {
+            return true;
+        }
+    }
+    return false;
+};
+/**
+ * Fires the start event and sends the first chunks to hash calculation.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.beginChunks = function()
+{
+    this.trigger( 'start' );
+
+    if ( this.oSettings.check_url )
+    {
+        this.checkServer();
+        return;
+    }
+    this.beginTransport();
+};
+/**
+ * Hashes the entire file, and asks the server if it already has the same
+ * content (see check_url setting). If it has, the upload succeeds without
+ * sending anything, otherwise it begins.
+ *
+ * If the server cannot tell, the file is uploaded.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.checkServer = function()
+{
+    var self = this;
+
+    this.bPreparing = true;
+    this.hashEntireFile( function( oError, oResult )
+    {
+        var oFields;
+
+        if ( oError )
+        {
+            self.bPreparing = false;
+            self.fail( oError );
+            return;
+        }
+        self.oEntireResult = oResult;
+
+        oFields = {
+            "guid"                  : self.sGuid,
+            "check"                 : 1,
+            "entire_size"           : oResult.entire_size,
+            "entire_hash"           : oResult.entire_hash,
+            "entire_hash_algorithm" : self.oSettings.hash_algorithm
+        };
+        for ( var sAlgorithm in oResult.entire_hashes )
+        {
+            if ( oResult.entire_hashes.hasOwnProperty( sAlgorithm ) )
+            {
+                oFields['entire_hash_' + sAlgorithm] = oResult.entire_hashes[sAlgorithm];
+            }
+        }
+
+        SecureUploaderRequest.post( self.oSettings.check_url, oFields, self.oSettings, function( bSuccess, oXhr )
+        {
+            var oResponseData = bSuccess ? SecureUploaderRequest.parseResponse( oXhr.responseText ) : null;
+
+            if ( SecureUploaderFile.STATE_CANCELLED === self.sState )
+            {
+                return;
+            }
+            if ( oResponseData && oResponseData.exists )
+            {
+                self.bPreparing = false;
+                self.succeed( oResult, {
+                    "response"      : oXhr.responseText,
+                    "response_data" : oResponseData,
+                    "deduplicated"  : true
+                } );
+                return;
+            }
+            self.beginTransport();
+        } );
+    } );
+};
+/**
+ * Calculates the hashes of the entire file without uploading it, see SecureUploader.hashFile.
+ *
+ * @param {callback} fpDone Function called with an error object (with "message") or null,
+ *                          and an object with keys "entire_size", "entire_hash" and "entire_hashes".
+ * @param {callback} fpProgress Optional function called with the hashed part of the file (0-1).
+ */
+SecureUploaderFile.prototype.hash = function( fpDone, fpProgress )
+{
+    var self = this;
+    var nSize = this.oFile.size;
+
+    this.createWorker();
+    this.hashEntireFile( function( oError, oResult )
+    {
+        if ( self.oWorker )
+        {
+            self.oWorker.terminate();
+            self.oWorker = null;
+        }
+        fpDone( oError, oError ? null : {
+            "entire_size"   : oResult.entire_size,
+            "entire_hash"   : oResult.entire_hash,
+            "entire_hashes" : oResult.entire_hashes
+        } );
+    }, function( nHashed )
+    {
+        if ( fpProgress )
+        {
+            fpProgress( nSize ? nHashed / nSize : 1 );
+        }
+    } );
+};
+/**
+ * Lets the transport prepare the upload (e.g. create it on the server, or find
+ * out what the server has of an earlier upload), then sends the first chunks
+ * to hash calculation.
+ *
+ * If the preparation fails, the upload fails, and resume tries it again.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.beginTransport = function()
+{
+    var self = this;
+
+    this.bPreparing = true;
+    this.oTransport.begin( function( oError )
+    {
+        // Cancelled in the meantime.
+        if ( SecureUploaderFile.STATE_CANCELLED === self.sState )
+        {
+            return;
+        }
+
+        self.bPreparing = false;
+        if ( oError )
+        {
+            self.fail( oError );
+            return;
+        }
+        // Might have been paused while preparing, resume goes on from here.
+        self.schedule();
+    } );
+};
+/**
+ * Calculates the hashes of the entire file before its chunks are read, e.g.
+ * for transports that need it before the upload.
+ *
+ * @param {callback} fpCallback Function called with an error object (with "message") if the
+ *                              worker failed, or null and the result, an object with keys
+ *                              "entire_size", "entire_hash" and "entire_hashes".
+ * @param {callback} fpProgress Optional function called with the number of bytes hashed so far.
+ */
+SecureUploaderFile.prototype.hashEntireFile = function( fpCallback, fpProgress )
+{
+    this.fpEntireHashed     = fpCallback;
+    this.fpEntireProgress   = fpProgress || null;
+    this.oWorker.postMessage( {
+        "action"      : "entire",
+        "file"        : this.oFile,
+        "chunkSize"   : this.nChunksize,
+        "algorithms"  : this.oSettings.hashes.entire
+    } );
+};
+/**
+ * Looks up an earlier upload of the same file, and asks the server which
+ * chunks of it are already there. Then begins the upload.
+ *
+ * The guid and the chunk size of the earlier upload are reused. The skipped
+ * chunks are still hashed locally, so the hash of the entire file is correct.
+ *
+ * @protected
+ * @param {string} sFirstChunkHash Hash of the first chunk of the file.
+ */
+SecureUploaderFile.prototype.restoreUpload = function( sFirstChunkHash )
+{
+    var oRecord;
+
+    this.sFingerprint = [
+        this.oFile.name,
+        this.oFile.size,
+        this.oFile.lastModified || '',
+        sFirstChunkHash
+    ].join( ':' );
+
+    oRecord = this.loadResumeRecord();
+    // The chunks of a profile are numbered by the chunk size, another one cannot be continued.
+    if ( oRecord && this.oSettings.profile && oRecord.chunk_size !== this.oSettings.chunk_size )
+    {
+        oRecord = null;
+    }
+    if ( !oRecord )
+    {
+        this.saveResumeRecord();
+        this.beginChunks();
+        return;
+    }
+
+    this.sGuid      = oRecord.guid;
+    this.nChunksize = oRecord.chunk_size;
+
+    // The transport finds out what the server has when it begins.
+    this.oTransport.restore( oRecord.transport || null );
+    this.beginChunks();
+};
+/**
+ * Parses the response of the status request.
+ *
+ * The expected format is JSON: {"chunks": [{"offset": 0, "size": 102400}, ...]}
+ *
+ * @protected
+ * @param {string} sResponse Body of the status response.
+ */
+SecureUploaderFile.prototype.setChunksOnServer = function( sResponse )
+{
+    var oStatus;
+
+    try
+    {
+        oStatus = JSON.parse( sResponse );
+    }
+    catch ( oError )
+    {
+        return;
+    }
+
+    if ( !oStatus || !oStatus.chunks )
+    {
+        return;
+    }
+    for ( var i = 0; i < oStatus.chunks.length; i++ )
+    {
+        this.oChunksOnServer[oStatus.chunks[i].offset] = oStatus.chunks[i].size;
+    }
+};
+/**
+ * Tells if the server already has a chunk, so it does not need to be uploaded.
+ *
+ * The last chunk is always uploaded, the server needs it to verify the entire file.
+ *
+ * @protected
+ * @param {object} oResult Result of the hash calculation, see uploadChunk.
+ * @return {boolean} True if the chunk can be skipped.
+ */
+SecureUploaderFile.prototype.isChunkOnServer = function( oResult )
+{
+    return !oResult.entire_hash && this.oChunksOnServer[oResult.offset] === oResult.size;
+};
+/**
+ * Returns the earlier upload of the file from the resume storage.
+ *
+ * @protected
+ * @return {object} Object with keys "guid", "chunk_size" and "transport" (data of the
+ *                  transport to resume with), or null if not found.
+ */
+SecureUploaderFile.prototype.loadResumeRecord = function()
+{
+    try
+    {
+        return JSON.parse( this.oSettings.resume_storage.getItem( SecureUploaderFile.RESUME_KEY_PREFIX + this.sFingerprint ) );
+    }
+    catch ( oError )
+    {
+        return null;
+    }
+};
+/**
+ * Saves the guid and chunk size of the upload to the resume storage, and what
+ * the transport needs to resume.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.saveResumeRecord = function()
+{
+    try
+    {
+        this.oSettings.resume_storage.setItem( SecureUploaderFile.RESUME_KEY_PREFIX + this.sFingerprint, JSON.stringify( {
+            "guid"          : this.sGuid,
+            "chunk_size"    : this.nChunksize,
+            "transport"     : this.oTransport.getResumeData()
+        } ) );
+    }
+    catch ( oError )
+    {
+        // Storage is full or disabled, the upload just cannot be resumed.
+    }
+};
+/**
+ * Removes the upload from the resume storage when there is nothing left to resume.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.removeResumeRecord = function()
+{
+    if ( !this.sFingerprint )
+    {
+        return;
+    }
+
+    try
+    {
+        this.oSettings.resume_storage.removeItem( SecureUploaderFile.RESUME_KEY_PREFIX + this.sFingerprint );
+    }
+    catch ( oError )
+    {
+        // Nothing to do.
+    }
+};
+/**
+ * When the hash calculation returns, starts the upload of the file.
+ *
+ * @protected
+ * @param {object} oResult Result of the hash calculation.
+ *                         Contains keys "offset", "size", "buffer" (ArrayBuffer), "hash".
+ * @param {number} nDelay Optional milliseconds to wait before sending, used by retries.
+ */
+SecureUploaderFile.prototype.uploadChunk = function( oResult, nDelay )
+{
+    var self = this;
+    var oRequest;
+    var fpFinish;
+    var fpProgress;
+
+    if ( this.isChunkOnServer( oResult ) )
+    {
+        var oSkippedData = this.createChunkEventData( oResult );
+
+        oSkippedData["skipped"] = true;
+        this.chunkUploaded( oResult, oSkippedData );
+        return;
+    }
+
+    fpFinish = function( bSuccess )
+    {
+        var oData = self.createChunkEventData( oResult );
+        var oResponseData = oRequest.getResponseData();
+
+        oData["status"]         = oRequest.getStatus();
+        oData["response"]       = oRequest.getResponse();
+        oData["response_data"]  = oResponseData;
+
+        self.removeRequest( oRequest );
+        self.nSentBytes += bSuccess ? oRequest.nSize : oRequest.getProgressPercentage() * oRequest.nSize;
+        self.sampleSpeed();
+        if ( oResponseData && oResponseData.chunk_size )
+        {
+            self.bServerChunkSize = true;
+            self.setChunkSize( oResponseData.chunk_size );
+        }
+        self.adaptChunkSize( oRequest, bSuccess );
+
+        if ( bSuccess )
+        {
+            if ( oResponseData && 'skip' === oResponseData.status )
+            {
+                oData["skipped"] = true;
+            }
+            self.chunkUploaded( oResult, oData );
+        }
+        else
+        {
+            self.chunkFailed( oResult, oData, oRequest );
+        }
+    };
+    fpProgress = function()
+    {
+        self.sampleSpeed();
+        self.trigger( 'progress', { "progress": self.getProgressPercentage() } );
+    };
+
+    oRequest = this.oTransport.createRequest( oResult, fpFinish, fpProgress );
+
+    this.oAttempts[oResult.offset] = ( this.oAttempts[oResult.offset] || 0 ) + 1;
+    this.aRequests.push( oRequest );
+    oRequest.start( nDelay );
+};
+/**
+ * Uploads a chunk again after a failed request, or fails the upload.
+ *
+ * Network errors, 5xx, 408 and 429 responses are retried after a delay, see
+ * retry setting, and chunks the server asks for again are sent right away.
+ * Other responses mean the server refused the chunk, which is not retried.
+ *
+ * @protected
+ * @param {object} oResult Result of the hash calculation, see uploadChunk.
+ * @param {object} oData Event payload of the failed chunk.
+ * @param {object} oRequest The failed SecureUploaderRequest instance.
+ */
+SecureUploaderFile.prototype.chunkFailed = function( oResult, oData, oRequest )
+{
+    var nAttempt = this.oAttempts[oResult.offset];
+    var bFatal = !oRequest.isTemporaryFailure();
+    var oResponseData = oRequest.getResponseData();
+    var nDelay;
+
+    oData["reason"] = oRequest.getFailureReason();
+
+    if ( bFatal || nAttempt >= this.oSettings.retry.max_attempts )
+    {
+        if ( oResponseData && oResponseData.message )
+        {
+            oData["message"] = oResponseData.message;
+        }
+        else
+        {
+            oData["message"] = bFatal ? 'The server refused the chunk.' : 'Uploading the chunk failed, no retries left.';
+        }
+        oData["fatal"]      = bFatal;
+
+        // Kept to be sent again on resume, fail puts it in order with the others.
+        this.aHashed.push( oResult );
+        this.fail( oData );
+        return;
+    }
+
+    // A chunk damaged on the way can be sent again right away.
+    nDelay = SecureUploaderRequest.FAILURE_RESEND === oData["reason"] ? 0 : this.getRetryDelay( nAttempt, oRequest );
+    oData["attempt"]        = nAttempt;
+    oData["retries_left"]   = this.oSettings.retry.max_attempts - nAttempt;
+    oData["delay"]          = nDelay;
+
+    // The chunk takes its slot again right away, so pause and cancel in the
+    // event handler find it.
+    this.uploadChunk( oResult, nDelay );
+    this.trigger( 'retry', oData );
+};
+/**
+ * Changes the size of the chunks not sent to the worker yet, as asked by the
+ * server or by adaptChunkSize, and saves it to the resume storage.
+ *
+ * The chunks of a profile are numbered by the chunk_size setting, so the size
+ * is not changed if there is one.
+ *
+ * @protected
+ * @param {number} nChunksize New chunk size in bytes.
+ */
+SecureUploaderFile.prototype.setChunkSize = function( nChunksize )
+{
+    nChunksize = parseInt( nChunksize, 10 );
+    if ( !( nChunksize > 0 ) || nChunksize === this.nChunksize || this.oSettings.profile )
+    {
+        return;
+    }
+
+    this.nChunksize = nChunksize;
+    if ( this.sFingerprint )
+    {
+        this.saveResumeRecord();
+    }
+};
+/**
+ * Resizes the chunks not sent to the worker yet from the measured upload speed,
+ * see adaptive_chunk_size setting.
+ *
+ * After a successful request the size aims for the target time per chunk, but
+ * at most doubles at once. Requests broken by the network, timeouts or stalls
+ * halve it, so less data is lost by the next failure.
+ *
+ * @protected
+ * @param {object} oRequest The finished SecureUploaderRequest instance.
+ * @param {boolean} bSuccess True if the chunk was uploaded.
+ */
+SecureUploaderFile.prototype.adaptChunkSize = function( oRequest, bSuccess )
+{
+    var oAdaptive = this.oSettings.adaptive_chunk_size;
+    var sReason = oRequest.getFailureReason();
+    var nDuration = oRequest.getDuration();
+    var nChunksize;
+
+    if ( !oAdaptive || this.bServerChunkSize )
+    {
+        return;
+    }
+
+    if ( bSuccess )
+    {
+        if ( !( nDuration > 0 ) )
+        {
+            return;
+        }
+        this.nThroughput = ( null === this.nThroughput )
+            ? oRequest.nSize / nDuration
+            : ( this.nThroughput + oRequest.nSize / nDuration ) / 2;
+        nChunksize = Math.min( this.nThroughput * oAdaptive.target_time, this.nChunksize * 2 );
+    }
+    else if ( SecureUploaderRequest.FAILURE_NETWORK === sReason ||
+              SecureUploaderRequest.FAILURE_TIMEOUT === sReason ||
+              SecureUploaderRequest.FAILURE_STALL === sReason )
+    {
+        nChunksize = this.nChunksize / 2;
+    }
+    else
+    {
+        return;
+    }
+
+    // Whole kilobytes, between the limits. Saved, so a resumed upload goes on
+    // with the size its chunks were numbered by.
+    nChunksize = Math.round( nChunksize / 1024 ) * 1024;
+    this.setChunkSize( Math.max( oAdaptive.min_size, Math.min( oAdaptive.max_size, nChunksize ) ) );
+};
+/**
+ * Returns how long to wait before the next attempt of a chunk.
+ *
+ * The Retry-After header of the response is respected if there is one,
+ * otherwise the delay grows exponentially with the attempts. The jitter keeps
+ * many clients failing at the same time from retrying at the same time.
+ *
+ * @protected
+ * @param {number} nAttempt Number of the failed attempt, starting from 1.
+ * @param {object} oRequest The failed SecureUploaderRequest instance.
+ * @return {number} Delay in milliseconds.
+ */
+SecureUploaderFile.prototype.getRetryDelay = function( nAttempt, oRequest )
+{
+    var oRetry = this.oSettings.retry;
+    var nRetryAfter = oRetry.retry_after ? oRequest.getRetryAfter() : null;
+    var nDelay;
+
+    if ( null !== nRetryAfter )
+    {
+        return nRetryAfter;
+    }
+
+    nDelay = Math.min( oRetry.max_delay, oRetry.base_delay * Math.pow( 2, nAttempt - 1 ) );
+    return Math.round( nDelay * ( 1 - oRetry.jitter * Math.random() ) );
+};
+/**
+ * Goes on with the next chunks after one is uploaded, or finishes the upload.
+ *
+ * @protected
+ * @param {object} oResult Result of the hash calculation, see uploadChunk.
+ * @param {object} oData Event payload of the uploaded chunk.
+ */
+SecureUploaderFile.prototype.chunkUploaded = function( oResult, oData )
+{
+    this.nConfirmedBytes += oResult.size;
+    this.nChunksConfirmed++;
+    this.trigger( 'chunkuploaded', oData );
+
+    // The upload might have been cancelled by an event handler.
+    if ( this.isFinished() )
+    {
+        return;
+    }
+
+    // The last chunk is sent when all the others are confirmed, so we are done.
+    if ( oResult.entire_hash )
+    {
+        this.succeed( oResult, oData );
+        return;
+    }
+
+    this.trigger( 'progress', { "progress": this.getProgressPercentage() } );
+    this.schedule();
+};
+/**
+ * Finishes the upload successfully.
+ *
+ * @protected
+ * @param {object} oResult Object with keys "entire_size", "entire_hash" and "entire_hashes".
+ * @param {object} oData Object with keys "response" and "response_data" of the last request,
+ *                       and "deduplicated" if the server already had the file.
+ */
+SecureUploaderFile.prototype.succeed = function( oResult, oData )
+{
+    var oResponseData = oData.response_data || {};
+
+    this.sState = SecureUploaderFile.STATE_DONE;
+    this.stopClock();
+    this.removeResumeRecord();
+    this.trigger( 'progress', { "progress": 1 } );
+    this.trigger( 'success', {
+        "entire_size"   : oResult.entire_size,
+        "entire_hash"   : oResult.entire_hash,
+        "entire_hashes" : oResult.entire_hashes,
+        "response"      : oData.response,
+        "response_data" : oData.response_data || null,
+        "file_id"       : oResponseData.file_id || null,
+        "url"           : oResponseData.url || null,
+        "deduplicated"  : !!oData.deduplicated
+    } );
+    this.trigger( 'complete', {
+        "success"       : true,
+        "file_id"       : oResponseData.file_id || null,
+        "url"           : oResponseData.url || null
+    } );
+};
+/**
+ * Removes a finished request from the list of the current ones.
+ *
+ * @protected
+ * @param {object} oRequest SecureUploaderRequest instance.
+ */
+SecureUploaderFile.prototype.removeRequest = function( oRequest )
+{
+    for ( var i = 0; i < this.aRequests.length; i++ )
+    {
+        if ( this.aRequests[i] === oRequest )
+        {
+            this.aRequests.splice( i, 1 );
+            return;
+        }
+    }
+};
+/**
+ * Aborts every current request, and puts their chunks back among the hashed
+ * ones to be sent again later.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.requeueRequests = function()
+{
+    this.aHashed = this.abortRequests().concat( this.aHashed ).sort( function( oResultA, oResultB )
+    {
+        return oResultA.offset - oResultB.offset;
+    } );
+};
+/**
+ * Brings a file whose worker was lost back to the state before its start, so
+ * the queue uploads it again from the beginning.
+ *
+ * @protected
+ */
+SecureUploaderFile.prototype.reset = function()
+{
+    this.abortRequests();
+    this.nOffset            = 0;
+    this.nHashing           = 0;
+    this.aHashed            = [];
+    this.nConfirmedBytes    = 0;
+    this.oChunksOnServer    = {};
+    this.nHashedBytes       = 0;
+    this.nChunksIssued      = 0;
+    this.nChunksConfirmed   = 0;
+    this.bStarted           = false;
+    this.bPreparing         = false;
+};
+/**
+ * Aborts every current request.
+ *
+ * @protected
+ * @return {array} Results of the hash calculation of the aborted chunks.
+ */
+SecureUploaderFile.prototype.abortRequests = function()
+{
+    var aResults = [];
+
+    for ( var i = 0; i < this.aRequests.length; i++ )
+    {
+        this.aRequests[i].abort();
+        aResults.push( this.aRequests[i].oResult );
+    }
+    this.aRequests = [];
+
+    return aResults;
+};
+/**
+ * Stops the upload and fires the error and complete events.
+ *
+ * The hashed chunks and the worker are kept, so the upload can be continued
+ * with resume, or given up with cancel.
+ *
+ * @protected
+ * @param {object} oData Error event payload, must contain the "message" key.
+ */
+SecureUploaderFile.prototype.fail = function( oData )
+{
+    this.requeueRequests();
+    this.stopClock();
+
+    this.sState = SecureUploaderFile.STATE_FAILED;
+    this.trigger( 'error', oData );
+    this.trigger( 'complete', { "success": false } );
+};
+/**
+ * Creates the event payload describing a chunk from the result of the hash calculation.
+ *
+ * @protected
+ * @param {object} oResult Result of the hash calculation, see uploadChunk.
+ * @return {object} Event payload.
+ */
+SecureUploaderFile.prototype.createChunkEventData = function( oResult )
+{
+    var oData = {
+        "offset"    : oResult.offset,
+        "size"      : oResult.size,
+        "hash"      : oResult.hash,
+        "hashes"    : oResult.hashes
+    };
+
+    if ( oResult.entire_hash )
+    {
+        oData["entire_size"] = oResult.entire_size;
+        oData["entire_hash"] = oResult.entire_hash;
+        oData["entire_hashes"] = oResult.entire_hashes;
+    }
+
+    return oData;
+};
+/**
+ * Fires an event on this file, then passes it on to the parent SecureUploader.
+ *
+ * @protected
+ * @param {string} sEvent Name of the event without the "on" prefix, see SecureUploader.EVENTS.
+ * @param {object} oData Optional event payload.
+ */
+SecureUploaderFile.prototype.trigger = function( sEvent, oData )
+{
+    oData = oData || {};
+
+    oData["type"] = sEvent;
+    oData["guid"] = this.sGuid;
+    oData["file"] = this.oFile;
+
+    if ( 'function' === typeof this['on' + sEvent] )
+    {
+        this['on' + sEvent].call( this, oData );
+    }
+    if ( this.oParent )
+    {
+        this.oParent.trigger( sEvent, oData );
+    }
+};
+/**
+ * Generates a random GUID (yes, random GUID) for the current file to be uploaded.
+ *
+ * Can be used as reference to compile file chunks once the upload is complete.
+ *
+ * @final
+ * @protected
+ * @return 16 bytes long alphanumberic random string.
+ */
+SecureUploaderFile.getGuid = function()
+{
+    var sAllowedCharacters = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXTZ";
+    var sGuid = '';
+
+    for ( var i = 0; i < 16; i++ )
+    {
+        var nOffset = Math.floor( Math.random() * sAllowedCharacters.length );
+        sGuid += sAllowedCharacters.substring( nOffset, nOffset+1 );
+    }
+
+    return sGuid;
+};
+/**
+ * State of a file waiting in the queue.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATE_IDLE = 'idle';
+/**
+ * State of a file being hashed and uploaded.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATE_UPLOADING = 'uploading';
+/**
+ * State of a successfully uploaded file.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATE_DONE = 'done';
+/**
+ * State of a file whose upload failed. It can be continued with resume.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATE_FAILED = 'failed';
+/**
+ * State of a paused file.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATE_PAUSED = 'paused';
+/**
+ * State of a file whose upload was cancelled.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATE_CANCELLED = 'cancelled';
+/**
+ * Creates the transport of a file, see transport setting.
+ *
+ * @protected
+ * @param {object} oUploaderFile SecureUploaderFile instance.
+ * @return {object} Transport instance, see SecureUploader.registerTransport.
+ */
+SecureUploaderFile.createTransport = function( oUploaderFile )
+{
+    var sTransport = oUploaderFile.oSettings.transport;
+
+    if ( !SecureUploader.TRANSPORTS.hasOwnProperty( sTransport ) )
+    {
+        throw new Error( 'Transport ' + sTransport + ' is not registered.' );
+    }
+    return new SecureUploader.TRANSPORTS[sTransport]( oUploaderFile );
+};
+/**
+ * Gives a name to a Blob, so it is uploaded like a File.
+ *
+ * @param {object} oFile File or Blob object.
+ * @param {string} sName Optional name, replaces the name of a File. A Blob without
+ *                       name gets SecureUploaderFile.DEFAULT_NAME.
+ * @return {object} The file itself if its name is right, a new File otherwise, or the
+ *                  Blob with a name property where File cannot be constructed.
+ */
+SecureUploaderFile.nameFile = function( oFile, sName )
+{
+    var oOptions = { "type": oFile.type };
+
+    sName = sName || oFile.name || SecureUploaderFile.DEFAULT_NAME;
+    if ( sName === oFile.name )
+    {
+        return oFile;
+    }
+
+    if ( oFile.lastModified )
+    {
+        oOptions.lastModified = oFile.lastModified;
+    }
+    try
+    {
+        // The content is not copied.
+        return new File( [ oFile ], sName, oOptions );
+    }
+    catch ( oError )
+    {
+        oFile.name = sName;
+        return oFile;
+    }
+};
+/**
+ * Finds the first rule of the validation setting that the size, type or
+ * extension of the file breaks.
+ *
+ * @param {object} oFile File or Blob object.
+ * @param {object} oValidation The validation setting.
+ * @return {object} Object with keys "rule" and "message", or null if the file is valid.
+ */
+SecureUploaderFile.findInvalidRule = function( oFile, oValidation )
+{
+    var sType = ( oFile.type || '' ).toLowerCase();
+    var bTypeAllowed = !oValidation.types.length;
+    var sAllowed;
+
+    if ( oFile.size < oValidation.min_size )
+    {
+        return { "rule": 'min_size', "message": 'The file is smaller than ' + oValidation.min_size + ' bytes.' };
+    }
+    if ( null !== oValidation.max_size && oFile.size > oValidation.max_size )
+    {
+        return { "rule": 'max_size', "message": 'The file is larger than ' + oValidation.max_size + ' bytes.' };
+    }
+
+    for ( var i = 0; i < oValidation.types.length; i++ )
+    {
+        sAllowed = oValidation.types[i];
+
+        // Wildcard subtype, e.g. "image/*".
+        if ( sAllowed === sType ||
+             ( '/*' === sAllowed.substr( -2 ) && 0 === sType.indexOf( sAllowed.substr( 0, sAllowed.length - 1 ) ) ) )
+        {
+            bTypeAllowed = true;
+            break;
+        }
+    }
+    if ( !bTypeAllowed )
+    {
+        return { "rule": 'types', "message": 'Files of type ' + ( sType || 'unknown' ) + ' are not allowed.' };
+    }
+
+    if ( oValidation.extensions.length &&
+         -1 === oValidation.extensions.indexOf( SecureUploaderFile.getExtension( oFile.name ) ) )
+    {
+        return { "rule": 'extensions', "message": 'The extension of the file is not allowed.' };
+    }
+
+    return null;
+};
+/**
+ * Tells if the first bytes of a file match any of the signatures.
+ *
+ * @param {string} sHeader First bytes of the file in lowercase hexadecimal.
+ * @param {array} aMagicBytes Signatures in lowercase hexadecimal, "??" matches any byte.
+ * @return {boolean} True if one of them matches.
+ */
+SecureUploaderFile.matchMagicBytes = function( sHeader, aMagicBytes )
+{
+    var sSignature;
+    var bMatch;
+
+    for ( var i = 0; i < aMagicBytes.length; i++ )
+    {
+        sSignature  = aMagicBytes[i];
+        bMatch      = sHeader.length >= sSignature.length;
+
+        for ( var j = 0; bMatch && j < sSignature.length; j += 2 )
+        {
+            bMatch = '??' === sSignature.substr( j, 2 ) || sSignature.substr( j, 2 ) === sHeader.substr( j, 2 );
+        }
+        if ( bMatch )
+        {
+            return true;
+        }
+    }
+    return false;
+};
+/**
+ * Returns the extension of a file name.
+ *
+ * @param {string} sName Name of the file, might be undefined for a Blob.
+ * @return {string} The extension in lowercase without the dot, empty if there is none.
+ */
+SecureUploaderFile.getExtension = function( sName )
+{
+    var nDot = ( sName || '' ).lastIndexOf( '.' );
+
+    return nDot > 0 ? sName.substr( nDot + 1 ).toLowerCase() : '';
+};
+/**
+ * Returns the size of the chunk to read at an offset.
+ *
+ * A chunk the server already has must be hashed with its original size. Any
+ * other chunk stops where the next chunk of the server begins, so the chunks
+ * do not overlap when the earlier upload used other sizes (e.g. adapted ones,
+ * see adaptive_chunk_size setting).
+ *
+ * @param {number} nOffset Offset of the chunk.
+ * @param {number} nChunksize Current chunk size.
+ * @param {object} oChunksOnServer Sizes of the chunks the server has, keyed by offset.
+ * @return {number} Size of the chunk in bytes.
+ */
+SecureUploaderFile.getChunkSizeAt = function( nOffset, nChunksize, oChunksOnServer )
+{
+    var nServerOffset;
+
+    if ( oChunksOnServer[nOffset] )
+    {
+        return oChunksOnServer[nOffset];
+    }
+
+    for ( var sOffset in oChunksOnServer )
+    {
+        nServerOffset = parseInt( sOffset, 10 );
+        if ( oChunksOnServer.hasOwnProperty( sOffset ) && nServerOffset > nOffset && nServerOffset < nOffset + nChunksize )
+        {
+            nChunksize = nServerOffset - nOffset;
+        }
+    }
+    return nChunksize;
+};
+/**
+ * Name of a Blob added without a name, see nameFile.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.DEFAULT_NAME = 'blob';
+/**
+ * Number of the first bytes of the file passed to the validator, see validation setting.
+ *
+ * @final
+ * @type number
+ */
+SecureUploaderFile.HEADER_SIZE = 64;
+/**
+ * Reason of the error event of a file that did not pass validation.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.FAILURE_INVALID = 'invalid';
+/**
+ * Status of an uploading file while only the worker is busy, see getStatus.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATUS_HASHING = 'hashing';
+/**
+ * Status of an uploading file while a chunk waits for its next attempt, see getStatus.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.STATUS_RETRYING = 'retrying';
+/**
+ * Milliseconds over which the current speed is measured, see getStatus.
+ *
+ * @final
+ * @type number
+ */
+SecureUploaderFile.SPEED_WINDOW = 5000;
+/**
+ * Prefix of the keys in the resume storage.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderFile.RESUME_KEY_PREFIX = 'SecureUploader:';
+
+
+/**
+ * Creates an instance of SecureUploaderRequest.
+ *
+ * @constructor
+ * @param {object} oFile File object from file input.
+ * @param {string} sGuid Unique identifier of the whole file upload to be used as reference.
+ * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {object} oResult Result of the hash calculation for this chunk.
+ * @param {callback} fpFinish Function to be called when the upload process finsihes.
+ *                            Accepts a boolean parameter, true when successful,
+ *                            and the SecureUploaderRequest instance.
+ * @param {callback} fpProgress Optional function to be called when the upload progresses.
+ */
+SecureUploaderRequest = function( oFile, sGuid, oSettings, oResult, fpFinish, fpProgress )
+{
+    this.oFile              = oFile;
+    this.sGuid              = sGuid;
+    this.oSettings          = oSettings;
+    this.fpFinish           = fpFinish;
+    this.fpProgress         = fpProgress || null;
+    this.oResult            = oResult;
+
+    this.oBuffer            = oResult.buffer;
+    this.nOffset            = oResult.offset;
+    this.nSize              = oResult.size;
+    this.sHash              = oResult.hash;
+    this.oHashes            = oResult.hashes;
+
+    // The entire size of an empty file is 0.
+    this.nEntireSize        = ( "undefined" !== typeof oResult.entire_size ) ? oResult.entire_size : null;
+    this.sEntireHash        = oResult.entire_hash || null;
+    this.oEntireHashes      = oResult.entire_hashes || null;
+
+    this.nUploadProgress    = 0;
+    this.oXhr               = null;
+    this.nStatus            = 0;
+    this.sResponse          = null;
+    this.bAborted           = false;
+    // Timeout of a delayed start, see start.
+    this.nTimer             = null;
+    // Place in the queue of the bandwidth limit, see SecureUploaderThrottle.wait.
+    this.oThrottleTicket    = null;
+    // Timeouts aborting a request that takes too long, see timeout and stall_timeout settings.
+    this.nTimeoutTimer      = null;
+    this.nStallTimer        = null;
+    // Why the request failed, see SecureUploaderRequest.FAILURE_* constants.
+    this.sFailureReason     = null;
+    // The response parsed as JSON, see getResponseData.
+    this.oResponseData      = null;
+    // True once the credentials were refreshed after a 401 response, see before_request setting.
+    this.bRefreshed         = false;
+    // When the request was sent, and how long it took, see getDuration.
+    this.nSendTime          = null;
+    this.nDuration          = null;
+    // Separates the parts of the multipart payload, chosen for each request by getData.
+    this.sBoundary          = null;
+};
+/**
+ * Starts uploading process.
+ *
+ * @param {number} nDelay Optional milliseconds to wait before sending.
+ */
+SecureUploaderRequest.prototype.start = function( nDelay )
+{
+    var self = this;
+
+    if ( nDelay )
+    {
+        this.nTimer = setTimeout( function()
+        {
+            self.nTimer = null;
+            self.start();
+        }, nDelay );
+        return;
+    }
+
+    // Waits for its turn if the bandwidth is limited, see max_bytes_per_second setting.
+    this.oThrottleTicket = SecureUploaderThrottle.getInstance().wait( this.nSize, function()
+    {
+        self.oThrottleTicket = null;
+        self.prepare( false );
+    } );
+};
+/**
+ * Tells if the request waits before its start, e.g. for a retry.
+ *
+ * @return {boolean} True while the delay of start lasts.
+ */
+SecureUploaderRequest.prototype.isDelayed = function()
+{
+    return null !== this.nTimer;
+};
+/**
+ * Tells if the request is held back by the bandwidth limit.
+ *
+ * @return {boolean} True while it waits for its turn to be sent.
+ */
+SecureUploaderRequest.prototype.isThrottled = function()
+{
+    return null !== this.oThrottleTicket;
+};
+/**
+ * Calls the before_request hook if there is one, then sends the request.
+ *
+ * @protected
+ * @param {boolean} bRefresh True if the server answered 401 and the credentials must be refreshed.
+ */
+SecureUploaderRequest.prototype.prepare = function( bRefresh )
+{
+    var self = this;
+    var oRequestInfo = {
+        "guid"      : this.sGuid,
+        "offset"    : this.nOffset,
+        "size"      : this.nSize,
+        "url"       : this.getUrl(),
+        "headers"   : SecureUploaderRequest.copyHeaders( this.oSettings.request_headers ),
+        "refresh"   : bRefresh
+    };
+
+    SecureUploaderRequest.callHook( this.oSettings.before_request, oRequestInfo, function( oError )
+    {
+        if ( self.bAborted )
+        {
+            return;
+        }
+        if ( oError )
+        {
+            self.sFailureReason = SecureUploaderRequest.FAILURE_HOOK;
+            self.fpFinish( false, self );
+            return;
+        }
+        self.send( oRequestInfo.url, oRequestInfo.headers );
+    } );
+};
+/**
+ * Returns the URL the chunk is sent to, before the before_request hook may change it.
+ *
+ * @protected
+ * @return {string} The url setting.
+ */
+SecureUploaderRequest.prototype.getUrl = function()
+{
+    return this.oSettings.url;
+};
+/**
+ * Sends the chunk.
+ *
+ * @protected
+ * @param {string} sUrl URL to send the request to.
+ * @param {object} oHeaders Additional request headers, see request_headers setting.
+ */
+SecureUploaderRequest.prototype.send = function( sUrl, oHeaders )
+{
+    // Chooses the boundary of the Content-Type.
+    var oData = this.getData();
+
+    this.createXhr();
+
+    this.oXhr.open( "POST", sUrl, true );
+    this.oXhr.withCredentials = this.oSettings.with_credentials;
+    this.oXhr.setRequestHeader( "Content-Type", this.getContentType() );
+    SecureUploaderRequest.setHeaders( this.oXhr, oHeaders );
+    this.oXhr.overrideMimeType( "text/plain; charset=x-user-defined-binary" );
+    this.oXhr.send( oData );
+
+    this.nSendTime = new Date().getTime();
+    this.startTimers();
+};
+/**
+ * Aborts the upload, the finish callback is not called.
+ */
+SecureUploaderRequest.prototype.abort = function()
+{
+    this.bAborted = true;
+    if ( this.nTimer )
+    {
+        clearTimeout( this.nTimer );
+        this.nTimer = null;
+    }
+    if ( this.oThrottleTicket )
+    {
+        SecureUploaderThrottle.getInstance().cancel( this.oThrottleTicket );
+        this.oThrottleTicket = null;
+    }
+    this.clearTimers();
+    this.abortTransfer();
+};
+/**
+ * Aborts the request on the network.
+ *
+ * @protected
+ */
+SecureUploaderRequest.prototype.abortTransfer = function()
+{
+    if ( this.oXhr )
+    {
+        this.oXhr.abort();
+    }
+};
+/**
+ * Returns the response of the server parsed as JSON.
+ *
+ * The server may answer with an object, its "status" key tells what happened
+ * to the chunk: "ok", "skip" (the server already had it), "resend" (e.g. hash
+ * mismatch) or "error" (the upload cannot succeed, "message" tells why). It may
+ * also give a new "chunk_size", and for the last chunk the "file_id" and "url"
+ * of the stored file.
+ *
+ * @return {object} Parsed response, or null if the response is not a JSON object.
+ */
+SecureUploaderRequest.prototype.getResponseData = function()
+{
+    return this.oResponseData;
+};
+/**
+ * Tells if the failure of the finished request is temporary, so the request
+ * is worth sending again.
+ *
+ * @return {boolean} True if the request can be retried.
+ */
+SecureUploaderRequest.prototype.isTemporaryFailure = function()
+{
+    if ( SecureUploaderRequest.FAILURE_RESEND === this.sFailureReason )
+    {
+        return true;
+    }
+    if ( SecureUploaderRequest.FAILURE_REFUSED === this.sFailureReason )
+    {
+        return false;
+    }
+    return SecureUploaderRequest.isRetryable( this.nStatus );
+};
+/**
+ * Returns why the finished request failed.
+ *
+ * @return {string} One of the SecureUploaderRequest.FAILURE_* constants, null if it did not fail.
+ */
+SecureUploaderRequest.prototype.getFailureReason = function()
+{
+    return this.sFailureReason;
+};
+/**
+ * Returns a fraction number representing upload progress of this chunk (0-1).
+ *
+ * @return {number} Fraction representing progress.
+ */
+SecureUploaderRequest.prototype.getProgressPercentage = function()
+{
+    return this.nUploadProgress;
+}
+/**
+ * Returns the HTTP status code of the finished request (0 if there was no response).
+ *
+ * @return {number} HTTP status code.
+ */
+SecureUploaderRequest.prototype.getStatus = function()
+{
+    return this.nStatus;
+};
+/**
+ * Returns the milliseconds from sending the request until the response, including
+ * the time the server took to process it.
+ *
+ * @return {number} Milliseconds, or null if there was no response.
+ */
+SecureUploaderRequest.prototype.getDuration = function()
+{
+    return this.nDuration;
+};
+/**
+ * Returns the delay asked for by the Retry-After header of the response.
+ *
+ * @return {number} Milliseconds, or null if there is no valid header.
+ */
+SecureUploaderRequest.prototype.getRetryAfter = function()
+{
+    return SecureUploaderRequest.parseRetryAfter( this.getResponseHeader( 'Retry-After' ), new Date().getTime() );
+};
+/**
+ * Returns the body of the server response, null while the request is running.
+ *
+ * @return {string} Response body.
+ */
+SecureUploaderRequest.prototype.getResponse = function()
+{
+    return this.sResponse;
+};
+/**
+ * Returns a header of the response.
+ *
+ * @param {string} sName Name of the header.
+ * @return {string} Value of the header, null if there is no such header or no response yet.
+ */
+SecureUploaderRequest.prototype.getResponseHeader = function( sName )
+{
+    return this.oXhr ? this.oXhr.getResponseHeader( sName ) : null;
+};
+/**
+ * Returns the descriptor of the chunk, passed to request_params if it is a
+ * function and to the prepare_payload hook.
+ *
+ * @return {object} "guid", "offset", "size", "hash", "hashes", "is_first", "is_last" and the "file".
+ */
+SecureUploaderRequest.prototype.getChunkInfo = function()
+{
+    return {
+        "guid"      : this.sGuid,
+        "offset"    : this.nOffset,
+        "size"      : this.nSize,
+        "hash"      : this.sHash,
+        "hashes"    : this.oHashes,
+        "is_first"  : 0 === this.nOffset,
+        "is_last"   : null !== this.nEntireSize,
+        "file"      : this.oFile
+    };
+};
+/**
+ * Returns the fields of the payload in the order they are sent.
+ *
+ * Each field is an object with "name" and "value", the chunk has "filename"
+ * and "type" too, and its value is an ArrayBuffer.
+ *
+ * @protected
+ * @param {object} oChunkInfo Descriptor of the chunk, see getChunkInfo.
+ * @return {array} Fields of the payload.
+ */
+SecureUploaderRequest.prototype.getFields = function( oChunkInfo )
+{
+    var aFields = [];
+    var oProfile = this.oSettings.profile;
+    var oParams = SecureUploaderRequest.getRequestParams( this.oSettings, oChunkInfo );
+    var oProfileParams = oProfile ? oProfile.params( oChunkInfo, this.oSettings ) : {};
+
+    // File metadata.
+    this.pushField( aFields, 'guid',    this.sGuid );
+    this.pushField( aFields, 'offset',    this.nOffset );
+    this.pushField( aFields, 'size',    this.nSize );
+    this.pushField( aFields, 'hash',    this.sHash );
+    this.pushField( aFields, 'hash_algorithm',    this.oSettings.chunk_hash_algorithm );
+    this.pushHashFields( aFields, 'hash_', this.oHashes );
+
+    // If it's the last piece, we send along the hash and size of the whole.
+    if ( null !== this.nEntireSize && null !== this.sEntireHash )
+    {
+        this.pushField( aFields, 'entire_size',    this.nEntireSize );
+        this.pushField( aFields, 'entire_hash',    this.sEntireHash );
+        this.pushField( aFields, 'entire_hash_algorithm',    this.oSettings.hash_algorithm );
+        this.pushHashFields( aFields, 'entire_hash_', this.oEntireHashes );
+    }
+
+    // Parameters of the server convention, see profile setting.
+    for ( var sProfileKey in oProfileParams )
+    {
+        if ( oProfileParams.hasOwnProperty( sProfileKey ) )
+        {
+            this.pushField( aFields, sProfileKey,    oProfileParams[sProfileKey] );
+        }
+    }
+
+    // Additional parameters from the user.
+    for ( var sParamKey in oParams )
+    {
+        if ( oParams.hasOwnProperty( sParamKey ) )
+        {
+            this.pushField( aFields, sParamKey,    oParams[sParamKey] );
+        }
+    }
+
+    aFields.push( {
+        "name"      : SecureUploaderRequest.getFieldName( this.oSettings, 'chunk' ),
+        "value"     : this.oBuffer,
+        "filename"  : this.oFile.name,
+        "type"      : this.oFile.type
+    } );
+
+    return aFields;
+};
+/**
+ * Returns the Content-Type header of the payload, after getData.
+ *
+ * @protected
+ * @return {string} Multipart content type with the boundary.
+ */
+SecureUploaderRequest.prototype.getContentType = function()
+{
+    return "multipart/form-data; boundary=\"" + this.sBoundary + "\"";
+};
+/**
+ * Returns payload of HTTP request containing all fields like hash, size, and
+ * custom user-fields too, see request_params setting.
+ *
+ * The fields can be changed by the prepare_payload hook before they are encoded.
+ * The chunk is added as an ArrayBuffer, so the Blob refers to it without
+ * converting it to a string.
+ *
+ * @protected
+ * @return {Blob} Payload for HTTP upload in multipart/form-data format.
+ */
+SecureUploaderRequest.prototype.getData = function()
+{
+    var oChunkInfo = this.getChunkInfo();
+    var aFields = this.getFields( oChunkInfo );
+    var aData = [];
+    var oField;
+
+    if ( this.oSettings.prepare_payload )
+    {
+        aFields = this.oSettings.prepare_payload( aFields, oChunkInfo ) || aFields;
+    }
+    this.sBoundary = SecureUploaderRequest.createBoundary( aFields );
+
+    for ( var i = 0; i < aFields.length; i++ )
+    {
+        oField = aFields[i];
+
+        // Files (the chunk) have a filename, their value may be an ArrayBuffer or a Blob.
+        if ( undefined !== oField.filename )
+        {
+            aData.push( this.createPartHeader( oField.name, {
+                "filename": oField.filename
+            }, oField.type ) );
+            aData.push( oField.value );
+            aData.push( "\r\n" );
+        }
+        else
+        {
+            aData.push( this.createDataPart( oField.name,    oField.value ) );
+        }
+    }
+
+    aData.push( "--" );
+    aData.push( this.sBoundary );
+    aData.push( "--" );
+
+    return new Blob( aData );
+};
+/**
+ * Adds a field to the payload.
+ *
+ * @protected
+ * @param {array} aFields Fields of the payload, see getFields.
+ * @param {string} sName Name of the field.
+ * @param {string} sValue Value of the field.
+ */
+SecureUploaderRequest.prototype.pushField = function( aFields, sName, sValue )
+{
+    var sFieldName = SecureUploaderRequest.getFieldName( this.oSettings, sName );
+
+    if ( false === sFieldName )
+    {
+        return;
+    }
+    aFields.push( {
+        "name"  : sFieldName,
+        "value" : sValue
+    } );
+};
+/**
+ * Adds one field per digest to the payload, named by the prefix and the algorithm.
+ *
+ * @protected
+ * @param {array} aFields Fields of the payload, see getFields.
+ * @param {string} sPrefix Prefix of the field names, e.g. "hash_".
+ * @param {object} oHashes Digests keyed by algorithm, see hashes setting.
+ */
+SecureUploaderRequest.prototype.pushHashFields = function( aFields, sPrefix, oHashes )
+{
+    for ( var sAlgorithm in oHashes )
+    {
+        if ( oHashes.hasOwnProperty( sAlgorithm ) )
+        {
+            this.pushField( aFields, sPrefix + sAlgorithm,    oHashes[sAlgorithm] );
+        }
+    }
+};
+/**
+ * Creates parts (fields) for multipart/form-data payload.
+ *
+ * @protected
+ * @param {string} sName Name of the field.
+ * @param {string} sData Value of the field.
+ * @param {object} oAdditionalHeaders Key value pairs to be added to Content-Disposition header.
+ * @param {string} sContentType Optional MIME type of the field.
+ * @return {string} The part with its headers.
+ */
+SecureUploaderRequest.prototype.createDataPart = function( sName, sData, oAdditionalHeaders, sContentType )
+{
+    return this.createPartHeader( sName, oAdditionalHeaders, sContentType ) + sData + "\r\n";
+};
+/**
+ * Creates the boundary and the headers of a part, the value follows them.
+ *
+ * @protected
+ * @param {string} sName Name of the field.
+ * @param {object} oAdditionalHeaders Key value pairs to be added to Content-Disposition header.
+ * @param {string} sContentType Optional MIME type of the field.
+ * @return {string} Beginning of the part.
+ */
+SecureUploaderRequest.prototype.createPartHeader = function( sName, oAdditionalHeaders, sContentType )
+{
+    var aPart = [];
+
+    oAdditionalHeaders  = oAdditionalHeaders    || {};
+    sContentType        = sContentType          || 'application/octet-stream';
+
+    aPart.push( "--" );
+    aPart.push( this.sBoundary );
+    aPart.push( "\r\nContent-Disposition: form-data; " );
     aPart.push( "name=\"" );
     aPart.push( sName );
     aPart.push( "\"" );
 
-    for ( var sHeaderKey in oAdditionalHeaders )
+    for ( var sHeaderKey in oAdditionalHeaders )
+    {
+        if ( oAdditionalHeaders.hasOwnProperty( sHeaderKey ) )
+        {
+            aPart.push( "; " );
+            aPart.push( sHeaderKey );
+            aPart.push( "=\"" );
+            aPart.push( oAdditionalHeaders[sHeaderKey] );
+            aPart.push( "\"" );
+        }
+    }
+
+    aPart.push( "\r\nContent-Type: " );
+    aPart.push( sContentType );
+
+    aPart.push( "\r\n\r\n" );
+
+    return aPart.join( '' );
+};
+/**
+ * Creates and sets up an XMLHttpRequest object and puts it to this.oXhr.
+ *
+ * Also attaches events.
+ *
+ * @protected
+ */
+SecureUploaderRequest.prototype.createXhr = function()
+{
+    var self = this;
+
+    this.oXhr = new XMLHttpRequest();
+
+    this.oXhr.onreadystatechange = function()
+    {
+        if ( self.oXhr.readyState !== 4 || self.bAborted )
+        {
+            return;
+        }
+        self.finish( this.status, this.responseText );
+    };
+
+    // The server may take long to process the chunk, that is not a stall.
+    this.oXhr.upload.onload = function()
+    {
+        clearTimeout( self.nStallTimer );
+        self.nStallTimer = null;
+    };
+
+    this.oXhr.upload.onprogress = function( oEvent )
+    {
+        if ( self.nStallTimer )
+        {
+            self.startStallTimer();
+        }
+
+        if ( oEvent.lengthComputable )
+        {
+            self.nUploadProgress = oEvent.loaded / oEvent.total;
+        }
+        else
+        {
+            self.nUploadProgress = 0;
+        }
+
+        if ( self.fpProgress )
+        {
+            self.fpProgress( self.nUploadProgress );
+        }
+    }
+};
+/**
+ * Handles the response, and finishes the request.
+ *
+ * @protected
+ * @param {number} nStatus HTTP status, 0 if the request failed on the network.
+ * @param {string} sResponse Response body.
+ */
+SecureUploaderRequest.prototype.finish = function( nStatus, sResponse )
+{
+    this.clearTimers();
+
+    // Expired credentials are refreshed once, then the chunk is sent again.
+    if ( 401 == nStatus && this.oSettings.before_request && !this.bRefreshed )
+    {
+        this.bRefreshed = true;
+        this.prepare( true );
+        return;
+    }
+
+    this.nStatus        = nStatus;
+    this.nDuration      = new Date().getTime() - this.nSendTime;
+    this.sResponse      = sResponse;
+    this.oResponseData  = SecureUploaderRequest.parseResponse( sResponse );
+    this.sFailureReason = this.findFailureReason();
+    this.fpFinish( null === this.sFailureReason, this );
+};
+/**
+ * Finds out why the request failed from the HTTP status and the JSON response.
+ *
+ * The "status" of the JSON response overrides the HTTP status.
+ *
+ * @protected
+ * @return {string} One of the SecureUploaderRequest.FAILURE_* constants, null if the request succeeded.
+ */
+SecureUploaderRequest.prototype.findFailureReason = function()
+{
+    var sStatus = this.oResponseData ? this.oResponseData.status : null;
+
+    if ( 'resend' === sStatus )
+    {
+        return SecureUploaderRequest.FAILURE_RESEND;
+    }
+    if ( 'error' === sStatus )
+    {
+        return SecureUploaderRequest.FAILURE_REFUSED;
+    }
+    if ( this.nStatus == 200 )
+    {
+        return null;
+    }
+    return this.nStatus ? SecureUploaderRequest.FAILURE_STATUS : SecureUploaderRequest.FAILURE_NETWORK;
+};
+/**
+ * Starts the timers of the timeout and stall_timeout settings.
+ *
+ * @protected
+ */
+SecureUploaderRequest.prototype.startTimers = function()
+{
+    var self = this;
+
+    if ( this.oSettings.timeout )
+    {
+        this.nTimeoutTimer = setTimeout( function()
+        {
+            self.expire( SecureUploaderRequest.FAILURE_TIMEOUT );
+        }, this.oSettings.timeout );
+    }
+    this.startStallTimer();
+};
+/**
+ * Starts the stall timer again, called whenever the upload progresses.
+ *
+ * @protected
+ */
+SecureUploaderRequest.prototype.startStallTimer = function()
+{
+    var self = this;
+
+    clearTimeout( this.nStallTimer );
+    this.nStallTimer = null;
+
+    if ( this.oSettings.stall_timeout )
+    {
+        this.nStallTimer = setTimeout( function()
+        {
+            self.expire( SecureUploaderRequest.FAILURE_STALL );
+        }, this.oSettings.stall_timeout );
+    }
+};
+/**
+ * Stops the timers of the timeout and stall_timeout settings.
+ *
+ * @protected
+ */
+SecureUploaderRequest.prototype.clearTimers = function()
+{
+    clearTimeout( this.nTimeoutTimer );
+    clearTimeout( this.nStallTimer );
+    this.nTimeoutTimer  = null;
+    this.nStallTimer    = null;
+};
+/**
+ * Aborts a request that took too long, and finishes it unsuccessfully.
+ *
+ * @protected
+ * @param {string} sReason SecureUploaderRequest.FAILURE_TIMEOUT or FAILURE_STALL.
+ */
+SecureUploaderRequest.prototype.expire = function( sReason )
+{
+    this.clearTimers();
+    this.sFailureReason = sReason;
+
+    // The readystatechange of the abort must not finish the request again.
+    this.bAborted = true;
+    this.abortTransfer();
+
+    this.fpFinish( false, this );
+};
+/**
+ * Beginning of the boundaries of the multipart payloads, a random part follows it.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.BOUNDARY_PREFIX = "----SecureUploader";
+/**
+ * Failure reason of a request that got no response because of a network error.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.FAILURE_NETWORK = 'network';
+/**
+ * Failure reason of a request answered with an HTTP status other than 200.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.FAILURE_STATUS = 'status';
+/**
+ * Failure reason of a request aborted by the timeout setting.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.FAILURE_TIMEOUT = 'timeout';
+/**
+ * Failure reason of a request aborted because its upload did not progress, see stall_timeout setting.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.FAILURE_STALL = 'stall';
+/**
+ * Failure reason of a chunk the server asked to send again (JSON "status": "resend").
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.FAILURE_RESEND = 'resend';
+/**
+ * Failure reason of a chunk the server refused for good (JSON "status": "error").
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.FAILURE_REFUSED = 'refused';
+/**
+ * Failure reason of a request the before_request hook reported an error for.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderRequest.FAILURE_HOOK = 'hook';
+/**
+ * Calls a hook that may finish asynchronously.
+ *
+ * The hook gets the object to work on and a callback. It either calls the
+ * callback (with an error if it failed), or returns a promise. A hook with
+ * one parameter that returns no promise is finished when it returns.
+ *
+ * @param {function} fpHook The hook, nothing happens if it is null.
+ * @param {object} oInfo Object passed to the hook.
+ * @param {callback} fpDone Function called once when the hook finished, with the error if there is one.
+ */
+SecureUploaderRequest.callHook = function( fpHook, oInfo, fpDone )
+{
+    var bDone = false;
+    var fpFinish = function( oError )
+    {
+        if ( bDone )
+        {
+            return;
+        }
+        bDone = true;
+        fpDone( oError || null );
+    };
+    var oReturn;
+
+    if ( !fpHook )
+    {
+        fpFinish( null );
+        return;
+    }
+
+    try
+    {
+        oReturn = fpHook( oInfo, fpFinish );
+    }
+    catch ( oError )
+    {
+        fpFinish( oError );
+        return;
+    }
+
+    if ( oReturn && "function" === typeof oReturn.then )
+    {
+        oReturn.then( function()
+        {
+            fpFinish( null );
+        }, function( oError )
+        {
+            fpFinish( oError || new Error( 'The hook failed.' ) );
+        } );
+    }
+    else if ( fpHook.length < 2 )
+    {
+        fpFinish( null );
+    }
+};
+/**
+ * Returns the additional parameters of a request, see request_params setting.
+ *
+ * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {object} oChunkInfo Descriptor of the chunk, see SecureUploaderRequest.getChunkInfo.
+ * @return {object} Key value pairs to send.
+ */
+SecureUploaderRequest.getRequestParams = function( oSettings, oChunkInfo )
+{
+    if ( "function" === typeof oSettings.request_params )
+    {
+        return oSettings.request_params( oChunkInfo ) || {};
+    }
+    return oSettings.request_params;
+};
+/**
+ * Copies the headers of the request_headers setting, so a hook can change them per request.
+ *
+ * @param {object} oHeaders Header names and values.
+ * @return {object} Copy of the headers.
+ */
+SecureUploaderRequest.copyHeaders = function( oHeaders )
+{
+    var oCopy = {};
+
+    for ( var sName in oHeaders )
+    {
+        if ( oHeaders.hasOwnProperty( sName ) )
+        {
+            oCopy[sName] = oHeaders[sName];
+        }
+    }
+    return oCopy;
+};
+/**
+ * Sets the headers on an opened XMLHttpRequest.
+ *
+ * @param {object} oXhr XMLHttpRequest object.
+ * @param {object} oHeaders Header names and values.
+ */
+SecureUploaderRequest.setHeaders = function( oXhr, oHeaders )
+{
+    for ( var sName in oHeaders )
+    {
+        if ( oHeaders.hasOwnProperty( sName ) )
+        {
+            oXhr.setRequestHeader( sName, oHeaders[sName] );
+        }
+    }
+};
+/**
+ * Converts a hexadecimal digest to base64, as checksum headers expect it.
+ *
+ * @param {string} sHex Hexadecimal digest.
+ * @return {string} Base64 encoded digest.
+ */
+SecureUploaderRequest.hexToBase64 = function( sHex )
+{
+    var aChars = [];
+
+    for ( var i = 0; i < sHex.length; i += 2 )
+    {
+        aChars.push( String.fromCharCode( parseInt( sHex.substr( i, 2 ), 16 ) ) );
+    }
+    return btoa( aChars.join( '' ) );
+};
+/**
+ * Chooses a random boundary of a multipart payload that none of its fields contains.
+ *
+ * Fields with Blob values cannot be read synchronously, so they are not checked.
+ *
+ * @param {array} aFields Fields of the payload, see getFields.
+ * @return {string} Boundary.
+ */
+SecureUploaderRequest.createBoundary = function( aFields )
+{
+    var sBoundary;
+    var bFound;
+
+    do
+    {
+        sBoundary = SecureUploaderRequest.BOUNDARY_PREFIX + SecureUploaderFile.getGuid();
+        bFound = false;
+        for ( var i = 0; i < aFields.length && !bFound; i++ )
+        {
+            bFound = SecureUploaderRequest.containsString( aFields[i].value, '--' + sBoundary );
+        }
+    }
+    while ( bFound );
+
+    return sBoundary;
+};
+/**
+ * Tells if a value of a field contains a string.
+ *
+ * @param {mixed} mValue String, number, ArrayBuffer or typed array.
+ * @param {string} sNeedle String of ASCII characters to look for.
+ * @return {boolean} True if it is found, false if not or the value cannot be searched.
+ */
+SecureUploaderRequest.containsString = function( mValue, sNeedle )
+{
+    var aBytes;
+    var nLast;
+    var j;
+
+    if ( "string" === typeof mValue || "number" === typeof mValue )
+    {
+        return -1 !== String( mValue ).indexOf( sNeedle );
+    }
+    if ( mValue instanceof ArrayBuffer )
+    {
+        aBytes = new Uint8Array( mValue );
+    }
+    else if ( mValue && mValue.buffer instanceof ArrayBuffer )
+    {
+        aBytes = new Uint8Array( mValue.buffer, mValue.byteOffset, mValue.byteLength );
+    }
+    else
+    {
+        return false;
+    }
+
+    nLast = aBytes.length - sNeedle.length;
+    for ( var i = 0; i <= nLast; i++ )
+    {
+        j = 0;
+        while ( j < sNeedle.length && aBytes[i + j] === sNeedle.charCodeAt( j ) )
+        {
+            j++;
+        }
+        if ( j === sNeedle.length )
+        {
+            return true;
+        }
+    }
+    return false;
+};
+/**
+ * Parses a Retry-After header.
+ *
+ * @param {string} sRetryAfter Value of the header, seconds or an HTTP date, or null.
+ * @param {number} nNow Current time in milliseconds, a date is counted from it.
+ * @return {number} Milliseconds to wait, or null if the header is missing or invalid.
+ */
+SecureUploaderRequest.parseRetryAfter = function( sRetryAfter, nNow )
+{
+    var nDate;
+
+    if ( !sRetryAfter )
+    {
+        return null;
+    }
+
+    // Either seconds or an HTTP date.
+    if ( /^\s*\d+\s*$/.test( sRetryAfter ) )
+    {
+        return parseInt( sRetryAfter, 10 ) * 1000;
+    }
+
+    // An HTTP date has the names of the day and the month, anything else is invalid.
+    nDate = /[a-z]/i.test( sRetryAfter ) ? Date.parse( sRetryAfter ) : NaN;
+    return isNaN( nDate ) ? null : Math.max( 0, nDate - nNow );
+};
+/**
+ * Returns the name a field is sent with, see field_names setting.
+ *
+ * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {string} sName Default name of the field.
+ * @return {string} Name of the field, false if it is not sent.
+ */
+SecureUploaderRequest.getFieldName = function( oSettings, sName )
+{
+    return oSettings.field_names.hasOwnProperty( sName ) ? oSettings.field_names[sName] : sName;
+};
+/**
+ * Parses the response of the server if it is a JSON object.
+ *
+ * @param {string} sResponse Response body.
+ * @return {object} Parsed response, or null.
+ */
+SecureUploaderRequest.parseResponse = function( sResponse )
+{
+    var oData;
+
+    try
+    {
+        oData = JSON.parse( sResponse );
+    }
+    catch ( oError )
+    {
+        return null;
+    }
+    return ( oData && "object" === typeof oData ) ? oData : null;
+};
+/**
+ * Tells if a failed request is worth sending again.
+ *
+ * Network errors, timeouts and stalls (status 0), server errors, 408 and 429
+ * are temporary, other statuses mean the server refused the request.
+ *
+ * @param {number} nStatus HTTP status code of the failed request.
+ * @return {boolean} True if the request can be retried.
+ */
+SecureUploaderRequest.isRetryable = function( nStatus )
+{
+    return 0 === nStatus || 408 === nStatus || 429 === nStatus || nStatus >= 500;
+};
+/**
+ * Sends a short form-encoded POST request that is not part of the file data.
+ *
+ * Custom user-fields are added too, see request_params setting, as well as the
+ * request_headers, with_credentials and before_request settings.
+ *
+ * @param {string} sUrl URL to send the request to.
+ * @param {object} oFields Key value pairs to send.
+ * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {callback} fpFinish Optional function to be called when the request finishes.
+ *                            Accepts a boolean parameter, true when successful,
+ *                            and the XMLHttpRequest object.
+ */
+SecureUploaderRequest.post = function( sUrl, oFields, oSettings, fpFinish )
+{
+    var oXhr = new XMLHttpRequest();
+    var aData = [];
+    var oRequestInfo;
+    var sKey;
+    // Not a chunk, so there is only the guid to describe it.
+    var oParams = SecureUploaderRequest.getRequestParams( oSettings, {
+        "guid"      : oFields.guid,
+        "offset"    : null,
+        "size"      : null,
+        "hash"      : null,
+        "hashes"    : {},
+        "is_first"  : false,
+        "is_last"   : false,
+        "file"      : null
+    } );
+
+    for ( sKey in oParams )
+    {
+        if ( oParams.hasOwnProperty( sKey ) )
+        {
+            aData.push( encodeURIComponent( sKey ) + '=' + encodeURIComponent( oParams[sKey] ) );
+        }
+    }
+    for ( sKey in oFields )
+    {
+        if ( oFields.hasOwnProperty( sKey ) && false !== SecureUploaderRequest.getFieldName( oSettings, sKey ) )
+        {
+            aData.push( encodeURIComponent( SecureUploaderRequest.getFieldName( oSettings, sKey ) ) + '=' + encodeURIComponent( oFields[sKey] ) );
+        }
+    }
+
+    oXhr.onreadystatechange = function()
+    {
+        if ( oXhr.readyState !== 4 || !fpFinish )
+        {
+            return;
+        }
+        fpFinish( oXhr.status == 200, oXhr );
+    };
+
+    oRequestInfo = {
+        "guid"      : oFields.guid,
+        "url"       : sUrl,
+        "headers"   : SecureUploaderRequest.copyHeaders( oSettings.request_headers ),
+        "refresh"   : false
+    };
+
+    SecureUploaderRequest.callHook( oSettings.before_request, oRequestInfo, function( oError )
+    {
+        if ( oError )
+        {
+            if ( fpFinish )
+            {
+                fpFinish( false, oXhr );
+            }
+            return;
+        }
+
+        oXhr.open( "POST", oRequestInfo.url, true );
+        oXhr.withCredentials = oSettings.with_credentials;
+        oXhr.setRequestHeader( "Content-Type", "application/x-www-form-urlencoded" );
+        SecureUploaderRequest.setHeaders( oXhr, oRequestInfo.headers );
+        oXhr.send( aData.join( '&' ) );
+    } );
+};
+
+
+/**
+ * Creates an instance of SecureUploaderFetchRequest, the multipart request of
+ * a chunk sent with fetch instead of XMLHttpRequest.
+ *
+ * Fetch does not report the progress of the upload, so the progress of the
+ * file only moves when a chunk is confirmed, and stall_timeout is not used.
+ *
+ * @constructor
+ * @param {object} oFile File object from file input.
+ * @param {string} sGuid Unique identifier of the file.
+ * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ */
+var SecureUploaderFetchRequest = function( oFile, sGuid, oSettings, oResult, fpFinish, fpProgress )
+{
+    SecureUploaderRequest.call( this, oFile, sGuid, oSettings, oResult, fpFinish, fpProgress );
+
+    // Aborts the fetch, see abortTransfer.
+    this.oAbortController   = null;
+    // The Response object, see getResponseHeader.
+    this.oResponse          = null;
+};
+SecureUploader.inherit( SecureUploaderFetchRequest, SecureUploaderRequest );
+/**
+ * Sends the chunk with fetch.
+ *
+ * @protected
+ * @param {string} sUrl URL to send the request to.
+ * @param {object} oHeaders Additional request headers, see request_headers setting.
+ */
+SecureUploaderFetchRequest.prototype.send = function( sUrl, oHeaders )
+{
+    var self = this;
+    var oRequestHeaders = SecureUploaderRequest.copyHeaders( oHeaders );
+    // Chooses the boundary of the Content-Type.
+    var oData = this.getData();
+
+    oRequestHeaders["Content-Type"] = this.getContentType();
+    this.oAbortController = new AbortController();
+
+    fetch( sUrl, {
+        "method"        : "POST",
+        "headers"       : oRequestHeaders,
+        "body"          : oData,
+        "credentials"   : this.oSettings.with_credentials ? "include" : "same-origin",
+        "signal"        : this.oAbortController.signal
+    } ).then( function( oResponse )
+    {
+        self.oResponse = oResponse;
+        return oResponse.text();
+    } ).then( function( sResponse )
+    {
+        if ( !self.bAborted )
+        {
+            self.finish( self.oResponse.status, sResponse );
+        }
+    }, function()
+    {
+        if ( !self.bAborted )
+        {
+            self.finish( 0, null );
+        }
+    } );
+
+    this.nSendTime = new Date().getTime();
+    this.startTimers();
+};
+/**
+ * Aborts the fetch.
+ *
+ * @protected
+ */
+SecureUploaderFetchRequest.prototype.abortTransfer = function()
+{
+    if ( this.oAbortController )
+    {
+        this.oAbortController.abort();
+    }
+};
+/**
+ * Returns a header of the response.
+ *
+ * @param {string} sName Name of the header.
+ * @return {string} Value of the header, null if there is no such header or no response yet.
+ */
+SecureUploaderFetchRequest.prototype.getResponseHeader = function( sName )
+{
+    return this.oResponse ? this.oResponse.headers.get( sName ) : null;
+};
+/**
+ * Does nothing, without progress events a stall cannot be told from a slow upload.
+ *
+ * @protected
+ */
+SecureUploaderFetchRequest.prototype.startStallTimer = function()
+{
+};
+
+
+/**
+ * Creates an instance of SecureUploaderRawRequest, which PUTs the bytes of a
+ * chunk as the body of the request, with its metadata in headers.
+ *
+ * The headers are X-Upload-Id (the guid), Content-Range, X-File-Name (URI
+ * encoded), X-Chunk-Hash, and for the last chunk X-Entire-Hash. The hash
+ * headers list the digests like "sha1=..., crc32=...", the one of
+ * chunk_hash_algorithm (hash_algorithm) first. The request_params setting
+ * goes to the query string, prepare_payload is not used.
+ *
+ * @constructor
+ * @param {object} oFile File object from file input.
+ * @param {string} sGuid Unique identifier of the file.
+ * @param {object} oSettings Object containing initial settings. See SecureUploaderSettings.
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ */
+var SecureUploaderRawRequest = function( oFile, sGuid, oSettings, oResult, fpFinish, fpProgress )
+{
+    SecureUploaderRequest.call( this, oFile, sGuid, oSettings, oResult, fpFinish, fpProgress );
+};
+SecureUploader.inherit( SecureUploaderRawRequest, SecureUploaderRequest );
+/**
+ * Returns the URL the chunk is sent to, with the request_params setting in the query string.
+ *
+ * @protected
+ * @return {string} The url setting with the parameters.
+ */
+SecureUploaderRawRequest.prototype.getUrl = function()
+{
+    var oParams = SecureUploaderRequest.getRequestParams( this.oSettings, this.getChunkInfo() );
+    var aQuery = [];
+
+    for ( var sKey in oParams )
+    {
+        if ( oParams.hasOwnProperty( sKey ) )
+        {
+            aQuery.push( encodeURIComponent( sKey ) + '=' + encodeURIComponent( oParams[sKey] ) );
+        }
+    }
+
+    if ( !aQuery.length )
+    {
+        return this.oSettings.url;
+    }
+    return this.oSettings.url + ( -1 === this.oSettings.url.indexOf( '?' ) ? '?' : '&' ) + aQuery.join( '&' );
+};
+/**
+ * Sends the chunk with PUT.
+ *
+ * @protected
+ * @param {string} sUrl URL to send the request to.
+ * @param {object} oHeaders Additional request headers, see request_headers setting.
+ */
+SecureUploaderRawRequest.prototype.send = function( sUrl, oHeaders )
+{
+    this.createXhr();
+
+    this.oXhr.open( "PUT", sUrl, true );
+    this.oXhr.withCredentials = this.oSettings.with_credentials;
+    this.oXhr.setRequestHeader( "Content-Type", "application/octet-stream" );
+    this.oXhr.setRequestHeader( "Content-Range", this.getContentRange() );
+    this.oXhr.setRequestHeader( "X-Upload-Id", this.sGuid );
+    this.oXhr.setRequestHeader( "X-File-Name", encodeURIComponent( this.oFile.name ) );
+    this.oXhr.setRequestHeader( "X-Chunk-Hash", SecureUploaderRawRequest.formatHashes( this.oHashes, this.oSettings.chunk_hash_algorithm ) );
+    if ( null !== this.nEntireSize && null !== this.sEntireHash )
+    {
+        this.oXhr.setRequestHeader( "X-Entire-Hash", SecureUploaderRawRequest.formatHashes( this.oEntireHashes, this.oSettings.hash_algorithm ) );
+    }
+    SecureUploaderRequest.setHeaders( this.oXhr, oHeaders );
+    this.oXhr.send( this.oBuffer );
+
+    this.nSendTime = new Date().getTime();
+    this.startTimers();
+};
+/**
+ * Returns the Content-Range header of the chunk.
+ *
+ * @protected
+ * @return {string} E.g. "bytes 0-102399/1048576".
+ */
+SecureUploaderRawRequest.prototype.getContentRange = function()
+{
+    if ( !this.nSize )
+    {
+        return 'bytes */' + this.oFile.size;
+    }
+    return 'bytes ' + this.nOffset + '-' + ( this.nOffset + this.nSize - 1 ) + '/' + this.oFile.size;
+};
+/**
+ * Finds out why the request failed, every 2xx status is a success.
+ *
+ * PUT endpoints often answer 201 Created or 204 No Content.
+ *
+ * @protected
+ * @return {string} One of the SecureUploaderRequest.FAILURE_* constants, null if the request succeeded.
+ */
+SecureUploaderRawRequest.prototype.findFailureReason = function()
+{
+    var sFailureReason = SecureUploaderRequest.prototype.findFailureReason.call( this );
+
+    if ( SecureUploaderRequest.FAILURE_STATUS === sFailureReason && this.nStatus >= 200 && this.nStatus < 300 )
+    {
+        return null;
+    }
+    return sFailureReason;
+};
+/**
+ * Formats digests for a hash header.
+ *
+ * @param {object} oHashes Digests keyed by algorithm.
+ * @param {string} sFirst Algorithm listed first.
+ * @return {string} E.g. "sha1=..., crc32=...".
+ */
+SecureUploaderRawRequest.formatHashes = function( oHashes, sFirst )
+{
+    var aHashes = [sFirst + '=' + oHashes[sFirst]];
+
+    for ( var sAlgorithm in oHashes )
     {
-        if ( oAdditionalHeaders.hasOwnProperty( sHeaderKey ) )
+        if ( oHashes.hasOwnProperty( sAlgorithm ) && sAlgorithm !== sFirst )
         {
-            aPart.push( "; " );
-            aPart.push( sHeaderKey );
-            aPart.push( "=\"" );
-            aPart.push( oAdditionalHeaders[sHeaderKey] );
-            aPart.push( "\"" );
+            aHashes.push( sAlgorithm + '=' + oHashes[sAlgorithm] );
         }
     }
+    return aHashes.join( ', ' );
+};
 
-    aPart.push( "\r\nContent-Type: " );
-    aPart.push( sContentType );
 
-    aPart.push( "\r\n\r\n" );
-    aPart.push( sData );
-    aPart.push( "\r\n" );
+/**
+ * Creates an instance of SecureUploaderTransport, the built-in multipart
+ * transport, and the base of the other transports.
+ *
+ * It uploads the chunks with SecureUploaderRequest. After a page reload it
+ * asks the server which chunks it already has (see status_url setting), and
+ * tells it about a cancelled upload (see cancel_url setting).
+ *
+ * @constructor
+ * @param {object} oUploaderFile SecureUploaderFile instance of the file to upload.
+ */
+var SecureUploaderTransport = function( oUploaderFile )
+{
+    this.oUploaderFile  = oUploaderFile;
+    this.oSettings      = oUploaderFile.oSettings;
+    // True if an upload of an earlier page load is continued, see restore.
+    this.bRestored      = false;
+    // True if the chunks must be uploaded one by one, in order.
+    this.bSequential    = false;
+};
+/**
+ * Prepares the upload before the first chunk is hashed.
+ *
+ * @param {callback} fpDone Function called when the chunks can be sent, with the
+ *                          error event payload if that is not possible.
+ */
+SecureUploaderTransport.prototype.begin = function( fpDone )
+{
+    var oUploaderFile = this.oUploaderFile;
 
-    return aPart.join( '' );
+    if ( !this.bRestored )
+    {
+        fpDone( null );
+        return;
+    }
+
+    this.bRestored = false;
+    SecureUploaderRequest.post( this.oSettings.status_url || this.oSettings.url, {
+        "guid"      : oUploaderFile.sGuid,
+        "status"    : 1
+    }, this.oSettings, function( bSuccess, oXhr )
+    {
+        // If the status is unknown, every chunk is uploaded again.
+        if ( bSuccess )
+        {
+            oUploaderFile.setChunksOnServer( oXhr.responseText );
+        }
+        fpDone( null );
+    } );
 };
 /**
- * Creates and sets up an XMLHttpRequest object and puts it to this.oXhr.
+ * Tells if the chunks can be sent, resume calls begin again if not.
  *
- * Also attaches events.
+ * @return {boolean} True if the upload is prepared.
+ */
+SecureUploaderTransport.prototype.isReady = function()
+{
+    return true;
+};
+/**
+ * Continues an upload of an earlier page load.
  *
- * @protected
+ * @param {object} oData Data saved by getResumeData, or null.
  */
-SecureUploaderRequest.prototype.createXhr = function()
+SecureUploaderTransport.prototype.restore = function( oData )
 {
-    var self = this;
+    this.bRestored = true;
+};
+/**
+ * Returns what is needed to continue the upload after a page reload.
+ *
+ * @return {object} Data to save in the resume storage, null if nothing.
+ */
+SecureUploaderTransport.prototype.getResumeData = function()
+{
+    return null;
+};
+/**
+ * Tells the server about the cancelled upload.
+ */
+SecureUploaderTransport.prototype.cancel = function()
+{
+    if ( this.oUploaderFile.bStarted && this.oSettings.cancel_url )
+    {
+        SecureUploaderRequest.post( this.oSettings.cancel_url, {
+            "guid"      : this.oUploaderFile.sGuid,
+            "cancel"    : 1
+        }, this.oSettings );
+    }
+};
+/**
+ * Creates the request of a chunk.
+ *
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ * @return {object} SecureUploaderRequest instance.
+ */
+SecureUploaderTransport.prototype.createRequest = function( oResult, fpFinish, fpProgress )
+{
+    return new SecureUploaderRequest( this.oUploaderFile.oFile, this.oUploaderFile.sGuid, this.oSettings, oResult, fpFinish, fpProgress );
+};
 
-    this.oXhr = new XMLHttpRequest();
+SecureUploader.registerTransport( 'multipart', SecureUploaderTransport );
 
-    this.oXhr.onreadystatechange = function()
+
+/**
+ * Creates an instance of SecureUploaderFetchTransport, sending the multipart
+ * requests with fetch, see SecureUploaderFetchRequest.
+ *
+ * @constructor
+ * @param {object} oUploaderFile SecureUploaderFile instance of the file to upload.
+ */
+var SecureUploaderFetchTransport = function( oUploaderFile )
+{
+    SecureUploaderTransport.call( this, oUploaderFile );
+};
+SecureUploader.inherit( SecureUploaderFetchTransport, SecureUploaderTransport );
+/**
+ * Creates the request of a chunk.
+ *
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ * @return {object} SecureUploaderFetchRequest instance.
+ */
+SecureUploaderFetchTransport.prototype.createRequest = function( oResult, fpFinish, fpProgress )
+{
+    return new SecureUploaderFetchRequest( this.oUploaderFile.oFile, this.oUploaderFile.sGuid, this.oSettings, oResult, fpFinish, fpProgress );
+};
+
+SecureUploader.registerTransport( 'fetch', SecureUploaderFetchTransport );
+
+
+/**
+ * Creates an instance of SecureUploaderRawTransport, sending the chunks as the
+ * body of PUT requests, see SecureUploaderRawRequest.
+ *
+ * @constructor
+ * @param {object} oUploaderFile SecureUploaderFile instance of the file to upload.
+ */
+var SecureUploaderRawTransport = function( oUploaderFile )
+{
+    SecureUploaderTransport.call( this, oUploaderFile );
+};
+SecureUploader.inherit( SecureUploaderRawTransport, SecureUploaderTransport );
+/**
+ * Creates the request of a chunk.
+ *
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ * @return {object} SecureUploaderRawRequest instance.
+ */
+SecureUploaderRawTransport.prototype.createRequest = function( oResult, fpFinish, fpProgress )
+{
+    return new SecureUploaderRawRequest( this.oUploaderFile.oFile, this.oUploaderFile.sGuid, this.oSettings, oResult, fpFinish, fpProgress );
+};
+
+SecureUploader.registerTransport( 'raw', SecureUploaderRawTransport );
+
+
+/**
+ * Creates an instance of SecureUploaderThrottle.
+ *
+ * Paces the chunk requests so that the bytes sent keep to a limit on average
+ * over whole chunks. A chunk is sent at full speed, only the start of the next
+ * one is delayed until the bytes of the previous ones are paid off.
+ *
+ * One instance is shared by the page, see getInstance.
+ *
+ * @constructor
+ */
+var SecureUploaderThrottle = function()
+{
+    // Bytes per second, 0 for no limit.
+    this.nBytesPerSecond    = 0;
+    // Time when the bytes sent so far are paid off, in milliseconds.
+    this.nNextTime          = 0;
+    // Requests waiting for their turn, see wait.
+    this.aWaiting           = [];
+    // Files that stopped hashing ahead while their chunks wait, see holdBack.
+    this.aHeldFiles         = [];
+    this.nTimer             = null;
+};
+/**
+ * Changes the limit, the waiting requests are paced by the new one right away.
+ *
+ * The files held back go on hashing ahead if their chunks were let go.
+ *
+ * @param {number} nBytesPerSecond Limit in bytes per second, 0 for no limit.
+ */
+SecureUploaderThrottle.prototype.setLimit = function( nBytesPerSecond )
+{
+    var aFiles;
+
+    this.nBytesPerSecond    = Math.max( 0, parseInt( nBytesPerSecond, 10 ) || 0 );
+    // What was sent under the old limit does not count.
+    this.nNextTime          = new Date().getTime();
+    this.release();
+
+    aFiles = this.aHeldFiles;
+    this.aHeldFiles = [];
+    for ( var i = 0; i < aFiles.length; i++ )
+    {
+        aFiles[i].schedule();
+    }
+};
+/**
+ * Remembers a file that stopped hashing ahead because its chunks wait, so it
+ * is scheduled again when the limit changes.
+ *
+ * @param {object} oUploaderFile SecureUploaderFile instance.
+ */
+SecureUploaderThrottle.prototype.holdBack = function( oUploaderFile )
+{
+    if ( -1 === this.aHeldFiles.indexOf( oUploaderFile ) )
+    {
+        this.aHeldFiles.push( oUploaderFile );
+    }
+};
+/**
+ * Tells if there is a limit.
+ *
+ * @return {boolean} True if the bandwidth is limited.
+ */
+SecureUploaderThrottle.prototype.isLimited = function()
+{
+    return this.nBytesPerSecond > 0;
+};
+/**
+ * Calls the callback when the given bytes can be sent.
+ *
+ * Without a limit it is called right away.
+ *
+ * @param {number} nBytes Size of the request.
+ * @param {callback} fpCallback Function to call when it is the turn of the request.
+ * @return {object} Ticket to cancel the waiting with, null if the callback was called already.
+ */
+SecureUploaderThrottle.prototype.wait = function( nBytes, fpCallback )
+{
+    var oTicket = {
+        "size"      : nBytes,
+        "callback"  : fpCallback,
+        "released"  : false
+    };
+
+    this.aWaiting.push( oTicket );
+    this.release();
+
+    return oTicket.released ? null : oTicket;
+};
+/**
+ * Removes a request from the waiting ones.
+ *
+ * @param {object} oTicket Ticket returned by wait.
+ */
+SecureUploaderThrottle.prototype.cancel = function( oTicket )
+{
+    for ( var i = 0; i < this.aWaiting.length; i++ )
     {
-        if ( self.oXhr.readyState !== 4 )
+        if ( this.aWaiting[i] === oTicket )
         {
+            this.aWaiting.splice( i, 1 );
             return;
         }
-        self.fpFinish( this.status == 200 );
-    };
+    }
+};
+/**
+ * Lets the waiting requests go whose turn has come, and waits for the next one.
+ *
+ * @protected
+ */
+SecureUploaderThrottle.prototype.release = function()
+{
+    var self = this;
+    var nNow;
+    var oTicket;
 
-    this.oXhr.upload.onprogress = function( oEvent )
+    clearTimeout( this.nTimer );
+    this.nTimer = null;
+
+    while ( this.aWaiting.length )
     {
-        if ( oEvent.lengthComputable )
+        nNow = new Date().getTime();
+        if ( this.isLimited() && this.nNextTime > nNow )
         {
-            self.nUploadProgress = oEvent.loaded / oEvent.total;
+            this.nTimer = setTimeout( function()
+            {
+                self.release();
+            }, this.nNextTime - nNow );
+            return;
         }
-        else
+
+        oTicket = this.aWaiting.shift();
+        oTicket.released = true;
+        if ( this.isLimited() )
         {
-            self.nUploadProgress = 0;
+            this.nNextTime = Math.max( nNow, this.nNextTime ) + oTicket.size * 1000 / this.nBytesPerSecond;
         }
+        oTicket.callback();
     }
 };
 /**
- * Constant to separate multipart elements of the request.
+ * Returns the instance shared by every uploader on the page.
  *
- * @final
- * @type string
+ * @return {object} SecureUploaderThrottle instance.
+ */
+SecureUploaderThrottle.getInstance = function()
+{
+    if ( !SecureUploaderThrottle.oInstance )
+    {
+        SecureUploaderThrottle.oInstance = new SecureUploaderThrottle();
+    }
+    return SecureUploaderThrottle.oInstance;
+};
+/**
+ * The instance shared by the page, see getInstance.
+ *
+ * @protected
+ * @type object
  */
-SecureUploaderRequest.MULTIPART_BOUNDARY = "###SecureUploader###";
+SecureUploaderThrottle.oInstance = null;
 
 
 /**
@@ -412,6 +4087,9 @@ SecureUploaderRequest.MULTIPART_BOUNDARY = "###SecureUploader###";
  */
 var SecureUploaderSettings = function( oInitialSettings )
 {
+    var oHashes = SecureUploaderSettings.getHashes( oInitialSettings );
+    var oProfile = SecureUploaderSettings.getProfile( oInitialSettings.profile );
+
     return {
         // Chunk size of the file. The file will be uploaded in max X bytes chunks.
         "chunk_size"      : oInitialSettings.chunk_size             || 102400,
@@ -419,31 +4097,336 @@ var SecureUploaderSettings = function( oInitialSettings )
         "worker_path"     : oInitialSettings.worker_path            || 'js-secure-uploader-worker.js',
         // Path where the file will be uploaded to (POST). Relative to the HTML base.
         "url"             : oInitialSettings.url                    || '/upload',
-        // If true, upload will start right after file input changes.
+        // Protocol of the upload: "multipart" (XMLHttpRequest), "fetch" (multipart with fetch),
+        // "raw" (PUT of the chunk, metadata in headers), or a registered one, e.g. "tus" from
+        // lib/transports, see SecureUploader.registerTransport.
+        "transport"       : oInitialSettings.transport              || 'multipart',
+        // Settings of the transport, e.g. the hooks of "s3", see the scripts in lib/transports.
+        "transport_options" : oInitialSettings.transport_options    || {},
+        // Algorithm of the entire hash: "sha1", "sha256", "sha512", "md5", "crc32" or "crc32c".
+        // Sent along as "entire_hash_algorithm". The first of hashes.entire if that is given.
+        "hash_algorithm"  : oHashes.entire[0],
+        // Algorithm of the chunk hashes, same as hash_algorithm by default. A fast checksum
+        // (e.g. "crc32c") is usually enough for a chunk. Sent along as "hash_algorithm".
+        // The first of hashes.chunk if that is given.
+        "chunk_hash_algorithm" : oHashes.chunk[0],
+        // Every algorithm calculated at the same time, {"chunk": [...], "entire": [...]}.
+        // Each digest is sent along as "hash_<algorithm>" or "entire_hash_<algorithm>".
+        "hashes"          : oHashes,
+        // Adapts the chunk size to the upload speed, the chunk_size setting is only the first
+        // size. true or an object of "min_size" and "max_size" in bytes, and the "target_time"
+        // of a chunk request in milliseconds. A chunk_size given by the server turns it off,
+        // and a profile does not allow it.
+        "adaptive_chunk_size" : SecureUploaderSettings.getAdaptiveChunkSize( oProfile ? null : oInitialSettings.adaptive_chunk_size ),
+        // Number of chunks of a file uploaded at the same time.
+        "parallel_chunks" : oInitialSettings.parallel_chunks        || 1,
+        // Number of chunks the worker hashes ahead while the others are uploading.
+        // Each of them is kept in memory until it is uploaded.
+        "hash_ahead_chunks" : ( "undefined" !== typeof oInitialSettings.hash_ahead_chunks ) ? oInitialSettings.hash_ahead_chunks : 1,
+        // Retry policy of the chunk uploads: "max_attempts" per chunk (1 for no retries), exponential backoff
+        // from "base_delay" up to "max_delay" milliseconds, randomized by "jitter" (0-1).
+        // The Retry-After header of the server is respected unless "retry_after" is false.
+        "retry"           : SecureUploaderSettings.getRetry( oInitialSettings.retry ),
+        // Milliseconds after which a chunk upload is aborted and retried, 0 for no limit.
+        "timeout"         : oInitialSettings.timeout                || 0,
+        // Milliseconds without upload progress after which a chunk upload is aborted and
+        // retried, 0 to turn it off. Not checked while the server processes the chunk.
+        "stall_timeout"   : ( "undefined" !== typeof oInitialSettings.stall_timeout ) ? oInitialSettings.stall_timeout : 30000,
+        // Limits the upload bandwidth in bytes per second, 0 for no limit. The limit is shared
+        // by every uploader on the page, see SecureUploader.setMaxBytesPerSecond to change it.
+        // Also stops hashing ahead while chunks are held back. Not set: the limit is not changed.
+        "max_bytes_per_second" : ( "undefined" !== typeof oInitialSettings.max_bytes_per_second ) ? oInitialSettings.max_bytes_per_second : null,
+        // Number of files uploaded at the same time when multiple files are selected.
+        "max_concurrent_files" : oInitialSettings.max_concurrent_files || 1,
+        // If set, the server is notified here (POST with "guid" and "cancel" fields) when an upload is cancelled.
+        "cancel_url"      : oInitialSettings.cancel_url             || null,
+        // If true, uploads interrupted by a page reload can be continued. The file is recognized
+        // by its name, size, modification time and the hash of its first chunk.
+        "resume"          : oInitialSettings.resume                 || false,
+        // Where the guids of unfinished uploads are kept, an object with localStorage interface.
+        "resume_storage"  : oInitialSettings.resume_storage         || SecureUploaderSettings.getLocalStorage(),
+        // Path where the chunks already received are asked for (POST with "guid" and "status"
+        // fields) when an upload is resumed. Defaults to the url setting.
+        "status_url"      : oInitialSettings.status_url             || null,
+        // If set, the entire file is hashed before the upload, and the server is asked here
+        // (POST with "guid", "check", "entire_size" and the "entire_hash" fields) if it already
+        // has the same content. If it answers {"exists": true}, the upload succeeds without
+        // sending the file, with the "file_id" and "url" of the answer.
+        "check_url"       : oInitialSettings.check_url              || null,
+        // Rules the files must meet before anything is sent: "min_size" and "max_size" in bytes,
+        // allowed MIME "types" (e.g. "image/*") and "extensions", "magic_bytes" (signatures the
+        // file must begin with, in hexadecimal, "??" for any byte), and an async "validator"
+        // called with the "file", its "name", "size", "type", "extension" and "header" (first
+        // bytes in hexadecimal). The validator calls its callback with an error (or returns a
+        // promise, see before_request) to reject the file. See the error event.
+        "validation"      : SecureUploaderSettings.getValidation( oInitialSettings.validation ),
+        // If true, upload will start right after file input changes, or files are dropped or
+        // pasted, see SecureUploader.bindDropZone and bindPaste.
         "start_on_change" : oInitialSettings.start_on_change        || false,
-        // Additional parameters to be added to the upload request (POST fields).
-        "request_params"  : oInitialSettings.request_params         || {}
+        // Additional parameters to be added to the upload request (POST fields). Either an
+        // object, or a function returning one, called with the descriptor of each chunk
+        // (see SecureUploaderRequest.getChunkInfo, offset is null for cancel and status requests).
+        "request_params"  : oInitialSettings.request_params         || {},
+        // Called with the fields of each chunk request (objects with "name" and "value", see
+        // SecureUploaderRequest.getFields) and the chunk descriptor, before they are encoded.
+        // It may change the array or return a new one.
+        "prepare_payload" : oInitialSettings.prepare_payload        || null,
+        // Convention of an existing chunk receiver: "resumable" (Resumable.js / Flow.js) or
+        // "dropzone" (Dropzone.js), see SecureUploaderSettings.PROFILES. Adds its parameters
+        // and renames the fields, the chunk size stays the same for the chunks to be numbered.
+        "profile"         : oProfile,
+        // Names the fields are sent with instead of the default ones (including "chunk" and
+        // "hash_<algorithm>"), e.g. {"guid": "upload_id"}, false to leave a field out (except
+        // the chunk).
+        // Also used by cancel and status requests. Extends the names of the profile.
+        "field_names"     : SecureUploaderSettings.getFieldNames( oProfile, oInitialSettings.field_names ),
+        // Additional headers of every request, e.g. {"X-CSRF-Token": "..."}.
+        "request_headers" : oInitialSettings.request_headers        || {},
+        // If true, cookies are sent with cross-origin requests too (XMLHttpRequest.withCredentials).
+        "with_credentials" : oInitialSettings.with_credentials      || false,
+        // Called before every request with an object of its "guid", "offset", "size", "url",
+        // "headers" (copy of request_headers) and "refresh" (true after a 401 response).
+        // It may change the url and the headers. Asynchronous hooks take a callback as the
+        // 2nd parameter (called with an error if they failed) or return a promise. After a
+        // 401 response it is called once more with "refresh" true and the chunk is sent again.
+        "before_request"  : oInitialSettings.before_request         || null,
+        // Event handlers, see SecureUploader.EVENTS for the payloads.
+        "onstart"         : oInitialSettings.onstart                || null,
+        "onchunkhashed"   : oInitialSettings.onchunkhashed          || null,
+        "onchunkuploaded" : oInitialSettings.onchunkuploaded        || null,
+        "onprogress"      : oInitialSettings.onprogress             || null,
+        "onretry"         : oInitialSettings.onretry                || null,
+        "onsuccess"       : oInitialSettings.onsuccess              || null,
+        "onerror"         : oInitialSettings.onerror                || null,
+        "onpause"         : oInitialSettings.onpause                || null,
+        "onresume"        : oInitialSettings.onresume               || null,
+        "oncancel"        : oInitialSettings.oncancel               || null,
+        "oncomplete"      : oInitialSettings.oncomplete             || null,
+        "onqueuecomplete" : oInitialSettings.onqueuecomplete        || null
     };
 }
 
-// Chrome does not support sending as binary by default.
-if ( "undefined" == typeof XMLHttpRequest.prototype.sendAsBinary )
+/**
+ * Returns the profile of the profile setting.
+ *
+ * @param {string} sProfile Name of the profile, see SecureUploaderSettings.PROFILES.
+ * @return {object} The profile, null if not set.
+ */
+SecureUploaderSettings.getProfile = function( sProfile )
+{
+    if ( !sProfile )
+    {
+        return null;
+    }
+    if ( !SecureUploaderSettings.PROFILES.hasOwnProperty( sProfile ) )
+    {
+        throw new Error( 'Profile ' + sProfile + ' does not exist.' );
+    }
+    return SecureUploaderSettings.PROFILES[sProfile];
+};
+/**
+ * Returns the field_names setting, the names of the profile extended with the given ones.
+ *
+ * The chunk field cannot be left out, that is an error.
+ *
+ * @param {object} oProfile The profile setting, or null.
+ * @param {object} oFieldNames The field_names given, or undefined.
+ * @return {object} New names keyed by the default names.
+ */
+SecureUploaderSettings.getFieldNames = function( oProfile, oFieldNames )
 {
-    /**
-     * Sends Ajax request with binary payload.
-     *
-     * This is an implementation of the FF sendAsBinary method.
-     *
-     * @param {string} sData Request body to send.
-     */
-    XMLHttpRequest.prototype.sendAsBinary = function( sData )
+    var oNames = {};
+    var aSources = [oProfile ? oProfile.field_names : {}, oFieldNames || {}];
+    var sName;
+
+    for ( var i = 0; i < aSources.length; i++ )
     {
-        var fpByteValue = function (x)
+        for ( sName in aSources[i] )
         {
-            return x.charCodeAt(0) & 0xff;
+            if ( aSources[i].hasOwnProperty( sName ) )
+            {
+                oNames[sName] = aSources[i][sName];
+            }
         }
-        var aOrds = Array.prototype.map.call( sData, fpByteValue );
-        var oUi8a = new Uint8Array( aOrds );
-        return this.send( oUi8a.buffer );
     }
-}
+    if ( false === oNames.chunk )
+    {
+        throw new Error( 'The chunk field cannot be left out.' );
+    }
+    return oNames;
+};
+/**
+ * Conventions of common chunk receivers, see profile setting.
+ *
+ * Each has "field_names" (see field_names setting), and "params", a function
+ * returning the parameters of a chunk, called with the chunk descriptor (see
+ * SecureUploaderRequest.getChunkInfo) and the settings. The chunks are numbered
+ * by the chunk_size setting, the chunk size of the file does not change with a
+ * profile (see SecureUploaderFile.setChunkSize and restoreUpload).
+ *
+ * @final
+ * @type object
+ */
+SecureUploaderSettings.PROFILES = {
+    // Resumable.js. Flow.js expects the same parameters with "flow" instead of "resumable",
+    // they can be renamed with field_names.
+    "resumable" : {
+        "field_names"   : {
+            "guid"  : "resumableIdentifier",
+            "chunk" : "file"
+        },
+        "params"        : function( oChunkInfo, oSettings )
+        {
+            var oFile = oChunkInfo.file;
+
+            return {
+                "resumableChunkNumber"      : Math.floor( oChunkInfo.offset / oSettings.chunk_size ) + 1,
+                "resumableChunkSize"        : oSettings.chunk_size,
+                "resumableCurrentChunkSize" : oChunkInfo.size,
+                "resumableTotalSize"        : oFile.size,
+                "resumableType"             : oFile.type,
+                "resumableFilename"         : oFile.name,
+                "resumableRelativePath"     : oFile.webkitRelativePath || oFile.name,
+                "resumableTotalChunks"      : Math.max( 1, Math.ceil( oFile.size / oSettings.chunk_size ) )
+            };
+        }
+    },
+    // Dropzone.js with chunking.
+    "dropzone"  : {
+        "field_names"   : {
+            "guid"  : "dzuuid",
+            "chunk" : "file"
+        },
+        "params"        : function( oChunkInfo, oSettings )
+        {
+            return {
+                "dzchunkindex"      : Math.floor( oChunkInfo.offset / oSettings.chunk_size ),
+                "dztotalfilesize"   : oChunkInfo.file.size,
+                "dzchunksize"       : oSettings.chunk_size,
+                "dztotalchunkcount" : Math.max( 1, Math.ceil( oChunkInfo.file.size / oSettings.chunk_size ) ),
+                "dzchunkbyteoffset" : oChunkInfo.offset
+            };
+        }
+    }
+};
+/**
+ * Returns the localStorage of the browser if it is available.
+ *
+ * Accessing it might throw an error, e.g. when cookies are disabled.
+ *
+ * @return {object} localStorage or null.
+ */
+SecureUploaderSettings.getLocalStorage = function()
+{
+    try
+    {
+        return "undefined" !== typeof localStorage ? localStorage : null;
+    }
+    catch ( oError )
+    {
+        return null;
+    }
+};
+
+/**
+ * Returns the retry policy with defaults for the missing keys.
+ *
+ * Every chunk gets one attempt at least, max_attempts 0 or 1 turns retries off.
+ *
+ * @param {object} oRetry Optional retry setting given by the user.
+ * @return {object} Retry policy, see retry setting.
+ */
+SecureUploaderSettings.getRetry = function( oRetry )
+{
+    oRetry = oRetry || {};
+
+    return {
+        "max_attempts"  : ( "number" === typeof oRetry.max_attempts ) ? Math.max( 1, oRetry.max_attempts ) : 4,
+        "base_delay"    : ( "number" === typeof oRetry.base_delay ) ? oRetry.base_delay : 1000,
+        "max_delay"     : ( "number" === typeof oRetry.max_delay ) ? oRetry.max_delay : 30000,
+        "jitter"        : ( "number" === typeof oRetry.jitter ) ? oRetry.jitter : 0.5,
+        "retry_after"   : false !== oRetry.retry_after
+    };
+};
+/**
+ * Returns the adaptive chunk size policy with defaults for the missing keys.
+ *
+ * @param {object} oAdaptive Optional adaptive_chunk_size setting given by the user, true for the defaults.
+ * @return {object} Policy, see adaptive_chunk_size setting, or null if it is turned off.
+ */
+SecureUploaderSettings.getAdaptiveChunkSize = function( oAdaptive )
+{
+    if ( !oAdaptive )
+    {
+        return null;
+    }
+    if ( "object" !== typeof oAdaptive )
+    {
+        oAdaptive = {};
+    }
+
+    return {
+        "min_size"      : oAdaptive.min_size || 65536,
+        "max_size"      : oAdaptive.max_size || 10485760,
+        "target_time"   : oAdaptive.target_time || 3000
+    };
+};
+/**
+ * Returns the validation rules with defaults for the missing keys.
+ *
+ * The types, extensions and signatures are lowercased, the dots of the
+ * extensions and the spaces of the signatures are removed.
+ *
+ * @param {object} oValidation Optional validation setting given by the user.
+ * @return {object} Rules, see validation setting.
+ */
+SecureUploaderSettings.getValidation = function( oValidation )
+{
+    var oRules;
+    var i;
+
+    oValidation = oValidation || {};
+    oRules = {
+        "min_size"      : oValidation.min_size || 0,
+        "max_size"      : ( "undefined" !== typeof oValidation.max_size ) ? oValidation.max_size : null,
+        "types"         : [],
+        "extensions"    : [],
+        "magic_bytes"   : [],
+        "validator"     : oValidation.validator || null
+    };
+
+    for ( i = 0; oValidation.types && i < oValidation.types.length; i++ )
+    {
+        oRules.types.push( oValidation.types[i].toLowerCase() );
+    }
+    for ( i = 0; oValidation.extensions && i < oValidation.extensions.length; i++ )
+    {
+        oRules.extensions.push( oValidation.extensions[i].replace( /^\./, '' ).toLowerCase() );
+    }
+    for ( i = 0; oValidation.magic_bytes && i < oValidation.magic_bytes.length; i++ )
+    {
+        oRules.magic_bytes.push( oValidation.magic_bytes[i].replace( /\s+/g, '' ).toLowerCase() );
+    }
+
+    return oRules;
+};
+/**
+ * Returns the lists of hash algorithms for the chunks and the entire file.
+ *
+ * Lists missing from the hashes setting default to the chunk_hash_algorithm and
+ * hash_algorithm settings.
+ *
+ * @param {object} oInitialSettings Object containing initial user settings.
+ * @return {object} Object with "chunk" and "entire" arrays, neither of them empty.
+ */
+SecureUploaderSettings.getHashes = function( oInitialSettings )
+{
+    var oHashes = oInitialSettings.hashes || {};
+    var sEntireAlgorithm = oInitialSettings.hash_algorithm || 'sha1';
+    var sChunkAlgorithm = oInitialSettings.chunk_hash_algorithm || sEntireAlgorithm;
+
+    return {
+        "chunk"     : ( oHashes.chunk && oHashes.chunk.length ) ? oHashes.chunk : [ sChunkAlgorithm ],
+        "entire"    : ( oHashes.entire && oHashes.entire.length ) ? oHashes.entire : [ sEntireAlgorithm ]
+    };
+};
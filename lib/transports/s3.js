@@ -0,0 +1,559 @@
+/**
+ * @fileOverview Transport uploading the chunks as the parts of an S3 multipart upload.
+ * @author Zoltan Toth-Czifra
+ * @license New (3 clause) BSD license - see LICENSE file.
+ *
+ * Copyright (C) Zoltan Toth-Czifra
+ *
+ * Load it after js-secure-uploader.js and set the transport setting to "s3".
+ * The chunks are PUT directly to S3 compatible storage with presigned URLs.
+ * Signing needs the secret key, so the application does everything else with
+ * the hooks of the transport_options setting:
+ *
+ * - create_upload: starts the multipart upload (CreateMultipartUpload), sets
+ *   "upload_id" and optionally "key" of its first parameter.
+ * - sign_part: sets "url" to the presigned URL of an UploadPart, it may add
+ *   "headers" (the checksum header is already there and must be signed too).
+ * - complete_upload: finishes the upload (CompleteMultipartUpload) with the
+ *   "parts", and may set "response_data" (e.g. "file_id" and "url").
+ * - abort_upload: optional, called when the upload is cancelled (AbortMultipartUpload).
+ *
+ * Each hook gets an object to read and change, and either returns a promise,
+ * or takes a callback as the second parameter, like before_request.
+ */
+
+/**
+ * Creates an instance of SecureUploaderS3Transport.
+ *
+ * The chunk size is raised to the minimal part size, and so that the file is
+ * not more than the maximal number of parts. It is not adapted, as the part
+ * numbers are calculated from the offsets.
+ *
+ * @constructor
+ * @param {object} oUploaderFile SecureUploaderFile instance of the file to upload.
+ */
+var SecureUploaderS3Transport = function( oUploaderFile )
+{
+    var oOptions = oUploaderFile.oSettings.transport_options;
+
+    if ( !oOptions.create_upload || !oOptions.sign_part || !oOptions.complete_upload )
+    {
+        throw new Error( 'The s3 transport needs the create_upload, sign_part and complete_upload options.' );
+    }
+
+    SecureUploaderTransport.call( this, oUploaderFile );
+
+    this.oOptions       = oOptions;
+    // Id and key of the multipart upload, given by the create_upload hook.
+    this.sUploadId      = null;
+    this.sKey           = null;
+    // Uploaded parts keyed by part number, objects with keys "part_number", "etag" and "checksum".
+    this.oParts         = {};
+    // Parts sent again right away after a 403, keyed by part number, see SecureUploaderS3Request.findFailureReason.
+    this.oResigned      = {};
+
+    oUploaderFile.nChunksize        = SecureUploaderS3Transport.getPartSize( oUploaderFile.nChunksize, oUploaderFile.oFile.size );
+    oUploaderFile.bServerChunkSize  = true;
+};
+SecureUploader.inherit( SecureUploaderS3Transport, SecureUploaderTransport );
+/**
+ * Starts the multipart upload, or marks the parts uploaded before a page
+ * reload as being on the server.
+ *
+ * @param {callback} fpDone Function called when the parts can be sent, with the
+ *                          error event payload if that is not possible.
+ */
+SecureUploaderS3Transport.prototype.begin = function( fpDone )
+{
+    var self = this;
+    var oUploaderFile = this.oUploaderFile;
+    var oUploadInfo;
+
+    if ( this.sUploadId )
+    {
+        this.setChunksOnServer();
+        fpDone( null );
+        return;
+    }
+
+    oUploadInfo = {
+        "guid"                  : oUploaderFile.sGuid,
+        "file"                  : oUploaderFile.oFile,
+        "name"                  : oUploaderFile.oFile.name,
+        "type"                  : oUploaderFile.oFile.type,
+        "size"                  : oUploaderFile.oFile.size,
+        "part_size"             : oUploaderFile.nChunksize,
+        "part_count"            : Math.max( 1, Math.ceil( oUploaderFile.oFile.size / oUploaderFile.nChunksize ) ),
+        "checksum_algorithm"    : SecureUploaderS3Transport.getChecksumAlgorithm( this.oSettings.hashes.chunk ),
+        "upload_id"             : null,
+        "key"                   : null
+    };
+
+    SecureUploaderRequest.callHook( this.oOptions.create_upload, oUploadInfo, function( oError )
+    {
+        if ( oError || !oUploadInfo.upload_id )
+        {
+            fpDone( self.createError( 'Creating the multipart upload failed.', oError ) );
+            return;
+        }
+
+        self.sUploadId  = oUploadInfo.upload_id;
+        self.sKey       = oUploadInfo.key || null;
+        self.oParts     = {};
+        if ( oUploaderFile.sFingerprint )
+        {
+            oUploaderFile.saveResumeRecord();
+        }
+        fpDone( null );
+    } );
+};
+/**
+ * Tells if the multipart upload was started, so the parts can be sent.
+ *
+ * @return {boolean} True if there is an upload id.
+ */
+SecureUploaderS3Transport.prototype.isReady = function()
+{
+    return null !== this.sUploadId;
+};
+/**
+ * Continues a multipart upload of an earlier page load.
+ *
+ * @param {object} oData Data saved by getResumeData, or null.
+ */
+SecureUploaderS3Transport.prototype.restore = function( oData )
+{
+    if ( oData && oData.upload_id )
+    {
+        this.sUploadId  = oData.upload_id;
+        this.sKey       = oData.key || null;
+        this.oParts     = oData.parts || {};
+    }
+};
+/**
+ * Returns what is needed to continue the upload after a page reload.
+ *
+ * @return {object} Object with keys "upload_id", "key" and "parts".
+ */
+SecureUploaderS3Transport.prototype.getResumeData = function()
+{
+    return {
+        "upload_id" : this.sUploadId,
+        "key"       : this.sKey,
+        "parts"     : this.oParts
+    };
+};
+/**
+ * Calls the abort_upload hook of the cancelled upload.
+ */
+SecureUploaderS3Transport.prototype.cancel = function()
+{
+    if ( this.sUploadId && this.oOptions.abort_upload )
+    {
+        SecureUploaderRequest.callHook( this.oOptions.abort_upload, {
+            "guid"      : this.oUploaderFile.sGuid,
+            "upload_id" : this.sUploadId,
+            "key"       : this.sKey
+        }, function() {} );
+    }
+};
+/**
+ * Creates the request of a part.
+ *
+ * When the last part is uploaded, every other one is already confirmed, so
+ * the multipart upload is completed before the request finishes.
+ *
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ * @return {object} SecureUploaderS3Request instance.
+ */
+SecureUploaderS3Transport.prototype.createRequest = function( oResult, fpFinish, fpProgress )
+{
+    var self = this;
+
+    return new SecureUploaderS3Request( this, oResult, function( bSuccess, oRequest )
+    {
+        if ( !bSuccess )
+        {
+            fpFinish( false, oRequest );
+            return;
+        }
+
+        delete self.oResigned[oRequest.nPartNumber];
+        self.oParts[oRequest.nPartNumber] = {
+            "part_number"   : oRequest.nPartNumber,
+            "etag"          : oRequest.getETag(),
+            "checksum"      : oRequest.getChecksum()
+        };
+
+        if ( !oResult.entire_hash )
+        {
+            if ( self.oUploaderFile.sFingerprint )
+            {
+                self.oUploaderFile.saveResumeRecord();
+            }
+            fpFinish( true, oRequest );
+            return;
+        }
+
+        self.complete( oResult, oRequest, fpFinish );
+    }, fpProgress );
+};
+/**
+ * Calls the complete_upload hook with the parts, then finishes the request of
+ * the last part.
+ *
+ * If the hook fails, the last part is retried like a network error, and the
+ * hook is called again.
+ *
+ * @protected
+ * @param {object} oResult Result of the hash calculation of the last part.
+ * @param {object} oRequest SecureUploaderS3Request instance of the last part.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ */
+SecureUploaderS3Transport.prototype.complete = function( oResult, oRequest, fpFinish )
+{
+    var oCompleteInfo = {
+        "guid"          : this.oUploaderFile.sGuid,
+        "file"          : this.oUploaderFile.oFile,
+        "upload_id"     : this.sUploadId,
+        "key"           : this.sKey,
+        "parts"         : this.getParts(),
+        "entire_size"   : oResult.entire_size,
+        "entire_hash"   : oResult.entire_hash,
+        "entire_hashes" : oResult.entire_hashes,
+        "response_data" : null
+    };
+
+    SecureUploaderRequest.callHook( this.oOptions.complete_upload, oCompleteInfo, function( oError )
+    {
+        if ( oRequest.bAborted )
+        {
+            return;
+        }
+        if ( oError )
+        {
+            oRequest.sFailureReason = SecureUploaderRequest.FAILURE_HOOK;
+            oRequest.nStatus        = 0;
+            fpFinish( false, oRequest );
+            return;
+        }
+
+        oRequest.oResponseData = oCompleteInfo.response_data;
+        fpFinish( true, oRequest );
+    } );
+};
+/**
+ * Returns the uploaded parts in order, as CompleteMultipartUpload expects them.
+ *
+ * @protected
+ * @return {array} Objects with keys "part_number", "etag" and "checksum".
+ */
+SecureUploaderS3Transport.prototype.getParts = function()
+{
+    var aParts = [];
+
+    for ( var sPartNumber in this.oParts )
+    {
+        if ( this.oParts.hasOwnProperty( sPartNumber ) )
+        {
+            aParts.push( this.oParts[sPartNumber] );
+        }
+    }
+    aParts.sort( function( oPartA, oPartB )
+    {
+        return oPartA.part_number - oPartB.part_number;
+    } );
+    return aParts;
+};
+/**
+ * Marks the parts uploaded before a page reload as being on the server.
+ *
+ * They are still hashed for the hash of the entire file, but not sent.
+ *
+ * @protected
+ */
+SecureUploaderS3Transport.prototype.setChunksOnServer = function()
+{
+    var nChunksize = this.oUploaderFile.nChunksize;
+    var nFileSize = this.oUploaderFile.oFile.size;
+    var nOffset;
+
+    for ( var sPartNumber in this.oParts )
+    {
+        if ( this.oParts.hasOwnProperty( sPartNumber ) )
+        {
+            nOffset = ( sPartNumber - 1 ) * nChunksize;
+            this.oUploaderFile.oChunksOnServer[nOffset] = Math.min( nChunksize, nFileSize - nOffset );
+        }
+    }
+};
+/**
+ * Creates the error event payload of a failed hook of the transport.
+ *
+ * @protected
+ * @param {string} sMessage Message of the error.
+ * @param {object} oError Error of the hook, or null.
+ * @return {object} Event payload, see the error event.
+ */
+SecureUploaderS3Transport.prototype.createError = function( sMessage, oError )
+{
+    return {
+        "message"   : ( oError && oError.message ) ? sMessage + ' ' + oError.message : sMessage,
+        "status"    : 0,
+        "response"  : null,
+        "reason"    : SecureUploaderRequest.FAILURE_HOOK,
+        "fatal"     : false
+    };
+};
+/**
+ * Minimal size of the parts besides the last one, 5 MB.
+ *
+ * @final
+ * @type number
+ */
+SecureUploaderS3Transport.MIN_PART_SIZE = 5242880;
+/**
+ * Maximal number of the parts of an upload.
+ *
+ * @final
+ * @type number
+ */
+SecureUploaderS3Transport.MAX_PARTS = 10000;
+/**
+ * Checksum headers of the parts, keyed by the algorithms of the hashes.chunk setting.
+ *
+ * @final
+ * @type object
+ */
+SecureUploaderS3Transport.CHECKSUM_HEADERS = {
+    "crc32"     : "x-amz-checksum-crc32",
+    "crc32c"    : "x-amz-checksum-crc32c",
+    "sha1"      : "x-amz-checksum-sha1",
+    "sha256"    : "x-amz-checksum-sha256",
+    "md5"       : "Content-MD5"
+};
+/**
+ * Returns the part size: the chunk size raised to the limits of S3, in whole megabytes if raised.
+ *
+ * @param {number} nChunksize The chunk_size setting.
+ * @param {number} nFileSize Size of the file.
+ * @return {number} Size of the parts besides the last one.
+ */
+SecureUploaderS3Transport.getPartSize = function( nChunksize, nFileSize )
+{
+    var nMinSize = Math.max( SecureUploaderS3Transport.MIN_PART_SIZE, nFileSize / SecureUploaderS3Transport.MAX_PARTS );
+
+    if ( nChunksize >= nMinSize )
+    {
+        return nChunksize;
+    }
+    return Math.ceil( nMinSize / 1048576 ) * 1048576;
+};
+/**
+ * Returns the algorithm of the checksum header, the first of the chunk hashes S3 knows.
+ *
+ * @param {array} aAlgorithms The hashes.chunk setting.
+ * @return {string} Algorithm, or null if S3 knows none of them.
+ */
+SecureUploaderS3Transport.getChecksumAlgorithm = function( aAlgorithms )
+{
+    for ( var i = 0; i < aAlgorithms.length; i++ )
+    {
+        if ( SecureUploaderS3Transport.CHECKSUM_HEADERS.hasOwnProperty( aAlgorithms[i] ) )
+        {
+            return aAlgorithms[i];
+        }
+    }
+    return null;
+};
+
+SecureUploader.registerTransport( 's3', SecureUploaderS3Transport );
+
+
+/**
+ * Creates an instance of SecureUploaderS3Request, the UploadPart request of a chunk.
+ *
+ * The request_headers, with_credentials and before_request settings are not
+ * used, the sign_part hook gives the URL and the headers.
+ *
+ * @constructor
+ * @param {object} oTransport SecureUploaderS3Transport instance of the file.
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ */
+var SecureUploaderS3Request = function( oTransport, oResult, fpFinish, fpProgress )
+{
+    SecureUploaderRequest.call( this, oTransport.oUploaderFile.oFile, oTransport.oUploaderFile.sGuid,
+        oTransport.oSettings, oResult, fpFinish, fpProgress );
+
+    this.oTransport         = oTransport;
+    this.nPartNumber        = Math.floor( this.nOffset / oTransport.oUploaderFile.nChunksize ) + 1;
+    this.sChecksumAlgorithm = SecureUploaderS3Transport.getChecksumAlgorithm( oTransport.oSettings.hashes.chunk );
+};
+SecureUploader.inherit( SecureUploaderS3Request, SecureUploaderRequest );
+/**
+ * Calls the sign_part hook, then sends the part.
+ *
+ * The part is signed again for every attempt, so an expired URL is replaced.
+ *
+ * @protected
+ * @param {boolean} bRefresh True if the server answered 401 and the credentials must be refreshed.
+ */
+SecureUploaderS3Request.prototype.prepare = function( bRefresh )
+{
+    var self = this;
+    var oHeaders = {};
+    var oPartInfo;
+
+    if ( this.sChecksumAlgorithm )
+    {
+        oHeaders[SecureUploaderS3Transport.CHECKSUM_HEADERS[this.sChecksumAlgorithm]] = this.getChecksum();
+    }
+    oPartInfo = {
+        "guid"                  : this.sGuid,
+        "upload_id"             : this.oTransport.sUploadId,
+        "key"                   : this.oTransport.sKey,
+        "part_number"           : this.nPartNumber,
+        "offset"                : this.nOffset,
+        "size"                  : this.nSize,
+        "hash"                  : this.sHash,
+        "hashes"                : this.oHashes,
+        "checksum_algorithm"    : this.sChecksumAlgorithm,
+        "url"                   : null,
+        "headers"               : oHeaders,
+        "refresh"               : bRefresh
+    };
+
+    SecureUploaderRequest.callHook( this.oTransport.oOptions.sign_part, oPartInfo, function( oError )
+    {
+        if ( self.bAborted )
+        {
+            return;
+        }
+        if ( oError || !oPartInfo.url )
+        {
+            self.sFailureReason = SecureUploaderRequest.FAILURE_HOOK;
+            self.fpFinish( false, self );
+            return;
+        }
+        self.send( oPartInfo.url, oPartInfo.headers );
+    } );
+};
+/**
+ * PUTs the part to its presigned URL.
+ *
+ * @protected
+ * @param {string} sUrl Presigned URL of the part.
+ * @param {object} oHeaders Request headers, see the sign_part hook.
+ */
+SecureUploaderS3Request.prototype.send = function( sUrl, oHeaders )
+{
+    this.createXhr();
+
+    this.oXhr.open( "PUT", sUrl, true );
+    SecureUploaderRequest.setHeaders( this.oXhr, oHeaders );
+    this.oXhr.send( this.oBuffer );
+
+    this.nSendTime = new Date().getTime();
+    this.startTimers();
+};
+/**
+ * Finds out why the request failed from the HTTP status and the error code of S3.
+ *
+ * A part damaged on the way (BadDigest) is signed and sent again right away.
+ * So is a part whose signature is rejected (403) the first time, as an expired
+ * URL is fixed by signing it again. A signature rejected again is not fixed by
+ * that, so it is retried with the delays of the retry setting, see
+ * isTemporaryFailure.
+ *
+ * @protected
+ * @return {string} One of the SecureUploaderRequest.FAILURE_* constants, null if the request succeeded.
+ */
+SecureUploaderS3Request.prototype.findFailureReason = function()
+{
+    var sCode = SecureUploaderS3Request.getErrorCode( this.sResponse );
+
+    if ( 200 === this.nStatus )
+    {
+        if ( this.getETag() )
+        {
+            return null;
+        }
+        this.oResponseData = {
+            "status"    : "error",
+            "message"   : 'The ETag header of the part is not readable, it must be exposed by the CORS rules of the bucket.'
+        };
+        return SecureUploaderRequest.FAILURE_REFUSED;
+    }
+    if ( 'BadDigest' === sCode || 'InvalidDigest' === sCode )
+    {
+        return SecureUploaderRequest.FAILURE_RESEND;
+    }
+    if ( 403 === this.nStatus )
+    {
+        if ( this.oTransport.oResigned[this.nPartNumber] )
+        {
+            return SecureUploaderRequest.FAILURE_STATUS;
+        }
+        this.oTransport.oResigned[this.nPartNumber] = true;
+        return SecureUploaderRequest.FAILURE_RESEND;
+    }
+    if ( 'NoSuchUpload' === sCode )
+    {
+        this.oResponseData = {
+            "status"    : "error",
+            "message"   : 'The multipart upload does not exist any more.'
+        };
+        return SecureUploaderRequest.FAILURE_REFUSED;
+    }
+    return this.nStatus ? SecureUploaderRequest.FAILURE_STATUS : SecureUploaderRequest.FAILURE_NETWORK;
+};
+/**
+ * Tells if the failure of the finished request is temporary.
+ *
+ * A rejected signature is, the part is signed again for the next attempt,
+ * see findFailureReason.
+ *
+ * @return {boolean} True if the request can be retried.
+ */
+SecureUploaderS3Request.prototype.isTemporaryFailure = function()
+{
+    if ( 403 === this.nStatus && SecureUploaderRequest.FAILURE_STATUS === this.sFailureReason )
+    {
+        return true;
+    }
+    return SecureUploaderRequest.prototype.isTemporaryFailure.call( this );
+};
+/**
+ * Returns the ETag of the uploaded part.
+ *
+ * @return {string} The ETag header of the response, null if not readable.
+ */
+SecureUploaderS3Request.prototype.getETag = function()
+{
+    return this.getResponseHeader( 'ETag' );
+};
+/**
+ * Returns the checksum of the part as S3 expects it.
+ *
+ * @return {string} Base64 encoded hash, null if S3 knows none of the chunk hashes.
+ */
+SecureUploaderS3Request.prototype.getChecksum = function()
+{
+    return this.sChecksumAlgorithm ? SecureUploaderRequest.hexToBase64( this.oHashes[this.sChecksumAlgorithm] ) : null;
+};
+/**
+ * Returns the error code of an XML error response of S3.
+ *
+ * @param {string} sResponse Response body.
+ * @return {string} Content of the Code element, or null.
+ */
+SecureUploaderS3Request.getErrorCode = function( sResponse )
+{
+    var aMatch = /<Code>([^<]+)<\/Code>/.exec( sResponse || '' );
+
+    return aMatch ? aMatch[1] : null;
+};
@@ -0,0 +1,669 @@
+/**
+ * @fileOverview Transport uploading the chunks with the tus 1.0 resumable upload protocol.
+ * @author Zoltan Toth-Czifra
+ * @license New (3 clause) BSD license - see LICENSE file.
+ *
+ * Copyright (C) Zoltan Toth-Czifra
+ *
+ * Load it after js-secure-uploader.js and set the transport setting to "tus".
+ * The upload is created with POST to the url setting (creation extension), the
+ * chunks are sent in order with PATCH, each with its hash in Upload-Checksum
+ * (checksum extension), and a cancelled upload is deleted (termination
+ * extension). The hashes of the entire file go out in Upload-Metadata, so the
+ * file is hashed once before the upload is created. See https://tus.io/protocols/resumable-upload
+ */
+
+/**
+ * Creates an instance of SecureUploaderTusTransport.
+ *
+ * @constructor
+ * @param {object} oUploaderFile SecureUploaderFile instance of the file to upload.
+ */
+var SecureUploaderTusTransport = function( oUploaderFile )
+{
+    SecureUploaderTransport.call( this, oUploaderFile );
+
+    // URL of the upload, given by the server in the Location header of the creation.
+    this.sUploadUrl     = null;
+    // Offset of the upload on the server as far as we know, null if it must be asked for with HEAD.
+    this.nServerOffset  = null;
+    // Hashes of the entire file sent in the metadata, keyed by algorithm.
+    this.oEntireHashes  = null;
+    // The server accepts the chunks only in order.
+    this.bSequential    = true;
+};
+SecureUploader.inherit( SecureUploaderTusTransport, SecureUploaderTransport );
+/**
+ * Creates the upload on the server, or finds out how much of it the server
+ * has if it was created earlier.
+ *
+ * An upload the server does not know any more is created again.
+ *
+ * @param {callback} fpDone Function called when the chunks can be sent, with the
+ *                          error event payload if that is not possible.
+ */
+SecureUploaderTusTransport.prototype.begin = function( fpDone )
+{
+    var self = this;
+
+    if ( !this.sUploadUrl )
+    {
+        this.create( fpDone );
+        return;
+    }
+
+    this.head( function( oXhr )
+    {
+        if ( null !== self.nServerOffset )
+        {
+            self.setChunksOnServer();
+            fpDone( null );
+            return;
+        }
+        if ( oXhr && SecureUploaderTusRequest.isUploadLost( oXhr.status ) )
+        {
+            self.sUploadUrl = null;
+            self.create( fpDone );
+            return;
+        }
+        fpDone( self.createError( 'Resuming the upload failed.', oXhr ) );
+    } );
+};
+/**
+ * Tells if the upload exists on the server, so the chunks can be sent.
+ *
+ * @return {boolean} True if the upload was created.
+ */
+SecureUploaderTusTransport.prototype.isReady = function()
+{
+    return null !== this.sUploadUrl;
+};
+/**
+ * Continues an upload of an earlier page load.
+ *
+ * @param {object} oData Data saved by getResumeData, or null.
+ */
+SecureUploaderTusTransport.prototype.restore = function( oData )
+{
+    if ( oData && oData.upload_url )
+    {
+        this.sUploadUrl     = oData.upload_url;
+        this.oEntireHashes  = oData.entire_hashes || null;
+    }
+};
+/**
+ * Returns what is needed to continue the upload after a page reload.
+ *
+ * @return {object} Object with keys "upload_url" and "entire_hashes".
+ */
+SecureUploaderTusTransport.prototype.getResumeData = function()
+{
+    return {
+        "upload_url"    : this.sUploadUrl,
+        "entire_hashes" : this.oEntireHashes
+    };
+};
+/**
+ * Deletes the cancelled upload from the server.
+ */
+SecureUploaderTusTransport.prototype.cancel = function()
+{
+    if ( this.sUploadUrl )
+    {
+        this.request( 'DELETE', this.sUploadUrl, {}, null );
+    }
+};
+/**
+ * Creates the request of a chunk.
+ *
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ * @return {object} SecureUploaderTusRequest instance.
+ */
+SecureUploaderTusTransport.prototype.createRequest = function( oResult, fpFinish, fpProgress )
+{
+    var self = this;
+
+    return new SecureUploaderTusRequest( this, oResult, function( bSuccess, oRequest )
+    {
+        // After a failure the offset is asked for again, the server may have kept a part of the chunk.
+        self.nServerOffset = bSuccess ? Math.max( self.nServerOffset || 0, oRequest.getServerOffset() ) : null;
+        if ( !bSuccess && SecureUploaderTusRequest.isUploadLost( oRequest.getStatus() ) )
+        {
+            self.forget();
+        }
+        if ( bSuccess )
+        {
+            oRequest.oResponseData = oRequest.oResponseData || {};
+            oRequest.oResponseData.url = self.sUploadUrl;
+        }
+        fpFinish( bSuccess, oRequest );
+    }, fpProgress );
+};
+/**
+ * Forgets the upload the server does not know any more, so the next attempt
+ * creates a new one. The resume record forgets it too.
+ *
+ * @protected
+ */
+SecureUploaderTusTransport.prototype.forget = function()
+{
+    this.sUploadUrl     = null;
+    this.nServerOffset  = null;
+    if ( this.oUploaderFile.sFingerprint )
+    {
+        this.oUploaderFile.saveResumeRecord();
+    }
+};
+/**
+ * Hashes the entire file, then creates the upload with the hashes in its metadata.
+ *
+ * The file is not hashed again if it was for the check_url setting.
+ *
+ * @protected
+ * @param {callback} fpDone Function called when the upload is created, with the
+ *                          error event payload if it failed.
+ */
+SecureUploaderTusTransport.prototype.create = function( fpDone )
+{
+    var self = this;
+    var oUploaderFile = this.oUploaderFile;
+
+    if ( oUploaderFile.oEntireResult )
+    {
+        this.post( oUploaderFile.oEntireResult, fpDone );
+        return;
+    }
+
+    oUploaderFile.hashEntireFile( function( oError, oResult )
+    {
+        if ( oError )
+        {
+            fpDone( oError );
+            return;
+        }
+        self.post( oResult, fpDone );
+    } );
+};
+/**
+ * Creates the upload with the hashes of the entire file in its metadata.
+ *
+ * @protected
+ * @param {object} oResult Object with keys "entire_size", "entire_hash" and "entire_hashes".
+ * @param {callback} fpDone Function called when the upload is created, with the
+ *                          error event payload if it failed.
+ */
+SecureUploaderTusTransport.prototype.post = function( oResult, fpDone )
+{
+    var self = this;
+    var oUploaderFile = this.oUploaderFile;
+
+    this.oEntireHashes = oResult.entire_hashes;
+
+    this.request( 'POST', this.oSettings.url, {
+        "Upload-Length"     : oUploaderFile.oFile.size,
+        "Upload-Metadata"   : SecureUploaderTusTransport.encodeMetadata( this.getMetadata() )
+    }, function( oXhr )
+    {
+        var sLocation = oXhr ? oXhr.getResponseHeader( 'Location' ) : null;
+
+        if ( !sLocation || 201 !== oXhr.status )
+        {
+            fpDone( self.createError( 'Creating the upload failed.', oXhr ) );
+            return;
+        }
+
+        self.sUploadUrl     = SecureUploaderTusTransport.resolveUrl( sLocation, self.oSettings.url );
+        self.nServerOffset  = 0;
+        if ( oUploaderFile.sFingerprint )
+        {
+            oUploaderFile.saveResumeRecord();
+        }
+        fpDone( null );
+    } );
+};
+/**
+ * Asks the server for the offset of the upload.
+ *
+ * @protected
+ * @param {callback} fpCallback Function called with the XMLHttpRequest object (null if the
+ *                              before_request hook failed) when nServerOffset is updated.
+ */
+SecureUploaderTusTransport.prototype.head = function( fpCallback )
+{
+    var self = this;
+
+    this.request( 'HEAD', this.sUploadUrl, {}, function( oXhr )
+    {
+        self.nServerOffset = SecureUploaderTusTransport.getOffset( oXhr );
+        fpCallback( oXhr );
+    } );
+};
+/**
+ * Marks the chunks below the offset of the server as uploaded.
+ *
+ * They are still hashed for the hash of the entire file, but not sent. The
+ * last one ends at the offset, so the next chunk starts where the server is.
+ *
+ * @protected
+ */
+SecureUploaderTusTransport.prototype.setChunksOnServer = function()
+{
+    var nChunksize = this.oUploaderFile.nChunksize;
+
+    for ( var nOffset = 0; nOffset < this.nServerOffset; nOffset += nChunksize )
+    {
+        this.oUploaderFile.oChunksOnServer[nOffset] = Math.min( nChunksize, this.nServerOffset - nOffset );
+    }
+};
+/**
+ * Returns the metadata of the upload: the name and type of the file, the guid,
+ * the hashes of the entire file and the request_params setting.
+ *
+ * @protected
+ * @return {object} Key value pairs.
+ */
+SecureUploaderTusTransport.prototype.getMetadata = function()
+{
+    var oUploaderFile = this.oUploaderFile;
+    var oMetadata = {
+        "filename"              : oUploaderFile.oFile.name,
+        "filetype"              : oUploaderFile.oFile.type,
+        "guid"                  : oUploaderFile.sGuid,
+        "entire_hash"           : this.oEntireHashes[this.oSettings.hash_algorithm],
+        "entire_hash_algorithm" : this.oSettings.hash_algorithm
+    };
+    var oParams = SecureUploaderRequest.getRequestParams( this.oSettings, {
+        "guid"      : oUploaderFile.sGuid,
+        "offset"    : null,
+        "size"      : null,
+        "hash"      : null,
+        "hashes"    : {},
+        "is_first"  : false,
+        "is_last"   : false,
+        "file"      : oUploaderFile.oFile
+    } );
+    var sKey;
+
+    for ( sKey in this.oEntireHashes )
+    {
+        if ( this.oEntireHashes.hasOwnProperty( sKey ) )
+        {
+            oMetadata['entire_hash_' + sKey] = this.oEntireHashes[sKey];
+        }
+    }
+    for ( sKey in oParams )
+    {
+        if ( oParams.hasOwnProperty( sKey ) )
+        {
+            oMetadata[sKey] = oParams[sKey];
+        }
+    }
+
+    return oMetadata;
+};
+/**
+ * Sends a request without body, with the request_headers, with_credentials
+ * and before_request settings applied.
+ *
+ * @protected
+ * @param {string} sMethod HTTP method.
+ * @param {string} sUrl URL to send the request to.
+ * @param {object} oHeaders Headers of the protocol, Tus-Resumable is added.
+ * @param {callback} fpFinish Optional function called with the XMLHttpRequest object when
+ *                            it finishes, or with null if the before_request hook failed.
+ */
+SecureUploaderTusTransport.prototype.request = function( sMethod, sUrl, oHeaders, fpFinish )
+{
+    var oXhr = new XMLHttpRequest();
+    var oSettings = this.oSettings;
+    var oRequestInfo = {
+        "guid"      : this.oUploaderFile.sGuid,
+        "url"       : sUrl,
+        "headers"   : SecureUploaderRequest.copyHeaders( oSettings.request_headers ),
+        "refresh"   : false
+    };
+
+    oHeaders["Tus-Resumable"] = SecureUploaderTusTransport.VERSION;
+
+    SecureUploaderRequest.callHook( oSettings.before_request, oRequestInfo, function( oError )
+    {
+        if ( oError )
+        {
+            if ( fpFinish )
+            {
+                fpFinish( null );
+            }
+            return;
+        }
+
+        oXhr.onreadystatechange = function()
+        {
+            if ( oXhr.readyState !== 4 || !fpFinish )
+            {
+                return;
+            }
+            fpFinish( oXhr );
+        };
+
+        oXhr.open( sMethod, oRequestInfo.url, true );
+        oXhr.withCredentials = oSettings.with_credentials;
+        SecureUploaderRequest.setHeaders( oXhr, oHeaders );
+        SecureUploaderRequest.setHeaders( oXhr, oRequestInfo.headers );
+        oXhr.send( null );
+    } );
+};
+/**
+ * Creates the error event payload of a failed request of the transport.
+ *
+ * @protected
+ * @param {string} sMessage Message of the error.
+ * @param {object} oXhr The XMLHttpRequest object, null if it was not sent.
+ * @return {object} Event payload, see the error event.
+ */
+SecureUploaderTusTransport.prototype.createError = function( sMessage, oXhr )
+{
+    return {
+        "message"   : sMessage,
+        "status"    : oXhr ? oXhr.status : 0,
+        "response"  : oXhr ? oXhr.responseText : null,
+        "reason"    : oXhr ? ( oXhr.status ? SecureUploaderRequest.FAILURE_STATUS : SecureUploaderRequest.FAILURE_NETWORK ) : SecureUploaderRequest.FAILURE_HOOK,
+        "fatal"     : false
+    };
+};
+/**
+ * Version of the protocol, sent in the Tus-Resumable header.
+ *
+ * @final
+ * @type string
+ */
+SecureUploaderTusTransport.VERSION = '1.0.0';
+/**
+ * Returns the offset of the upload from the response of a HEAD or PATCH request.
+ *
+ * @param {object} oXhr The finished XMLHttpRequest object, or null.
+ * @return {number} The Upload-Offset header, null if the request failed.
+ */
+SecureUploaderTusTransport.getOffset = function( oXhr )
+{
+    var sOffset = oXhr ? oXhr.getResponseHeader( 'Upload-Offset' ) : null;
+
+    if ( !oXhr || ( 200 !== oXhr.status && 204 !== oXhr.status ) || !/^\d+$/.test( sOffset ) )
+    {
+        return null;
+    }
+    return parseInt( sOffset, 10 );
+};
+/**
+ * Encodes the Upload-Metadata header: comma separated keys, each followed by
+ * the base64 encoded UTF-8 value.
+ *
+ * @param {object} oMetadata Key value pairs, the keys must not contain spaces or commas.
+ * @return {string} Value of the header.
+ */
+SecureUploaderTusTransport.encodeMetadata = function( oMetadata )
+{
+    var aPairs = [];
+
+    for ( var sKey in oMetadata )
+    {
+        if ( oMetadata.hasOwnProperty( sKey ) && null !== oMetadata[sKey] && undefined !== oMetadata[sKey] )
+        {
+            aPairs.push( sKey + ' ' + btoa( unescape( encodeURIComponent( String( oMetadata[sKey] ) ) ) ) );
+        }
+    }
+    return aPairs.join( ',' );
+};
+/**
+ * Resolves the Location of the created upload, which may be relative to the creation URL.
+ *
+ * @param {string} sLocation Location header.
+ * @param {string} sBase URL the upload was created at.
+ * @return {string} Absolute URL, or the Location as it is if URLs cannot be resolved.
+ */
+SecureUploaderTusTransport.resolveUrl = function( sLocation, sBase )
+{
+    if ( "undefined" === typeof URL || "undefined" === typeof location )
+    {
+        return sLocation;
+    }
+    return new URL( sLocation, new URL( sBase, location.href ) ).href;
+};
+
+SecureUploader.registerTransport( 'tus', SecureUploaderTusTransport );
+
+
+/**
+ * Creates an instance of SecureUploaderTusRequest, the PATCH request of a chunk.
+ *
+ * If the offset of the server is not known, it is asked for with HEAD first.
+ * Chunks the server already has are not sent again.
+ *
+ * @constructor
+ * @param {object} oTransport SecureUploaderTusTransport instance of the file.
+ * @param {object} oResult Result of the hash calculation, see SecureUploaderFile.uploadChunk.
+ * @param {callback} fpFinish Function to call when the request finishes, see SecureUploaderRequest.
+ * @param {callback} fpProgress Function to call when the upload progresses.
+ */
+var SecureUploaderTusRequest = function( oTransport, oResult, fpFinish, fpProgress )
+{
+    SecureUploaderRequest.call( this, oTransport.oUploaderFile.oFile, oTransport.oUploaderFile.sGuid,
+        oTransport.oSettings, oResult, fpFinish, fpProgress );
+
+    this.oTransport     = oTransport;
+    // Timeout of a request finished without sending, see finishLocally.
+    this.nFinishTimer   = null;
+};
+SecureUploader.inherit( SecureUploaderTusRequest, SecureUploaderRequest );
+/**
+ * Returns the URL of the upload.
+ *
+ * @protected
+ * @return {string} URL given by the server at the creation.
+ */
+SecureUploaderTusRequest.prototype.getUrl = function()
+{
+    return this.oTransport.sUploadUrl;
+};
+/**
+ * Sends the chunk with PATCH, or the part of it the server does not have yet.
+ *
+ * The last chunk is not sent if the hashes of the entire file differ from the
+ * ones in the metadata, as the file has changed since the upload was created.
+ *
+ * @protected
+ * @param {string} sUrl URL of the upload.
+ * @param {object} oHeaders Additional request headers, see request_headers setting.
+ */
+SecureUploaderTusRequest.prototype.send = function( sUrl, oHeaders )
+{
+    var nServerOffset = this.oTransport.nServerOffset;
+    var nSkip;
+
+    if ( null === nServerOffset )
+    {
+        this.head( sUrl, oHeaders );
+        return;
+    }
+
+    nSkip = nServerOffset - this.nOffset;
+    if ( this.oEntireHashes && this.oTransport.oEntireHashes &&
+         !SecureUploaderTusRequest.isSameHashes( this.oEntireHashes, this.oTransport.oEntireHashes ) )
+    {
+        this.finishLocally( SecureUploaderRequest.FAILURE_REFUSED, {
+            "status"    : "error",
+            "message"   : 'The file has changed during the upload.'
+        } );
+        return;
+    }
+    if ( nSkip >= this.nSize )
+    {
+        this.finishLocally( null, { "status": "skip" } );
+        return;
+    }
+    if ( nSkip < 0 )
+    {
+        this.finishLocally( SecureUploaderRequest.FAILURE_REFUSED, {
+            "status"    : "error",
+            "message"   : 'The server has lost a part of the upload.'
+        } );
+        return;
+    }
+
+    this.createXhr();
+
+    this.oXhr.open( "PATCH", sUrl, true );
+    this.oXhr.withCredentials = this.oSettings.with_credentials;
+    this.oXhr.setRequestHeader( "Tus-Resumable", SecureUploaderTusTransport.VERSION );
+    this.oXhr.setRequestHeader( "Upload-Offset", nServerOffset );
+    this.oXhr.setRequestHeader( "Content-Type", "application/offset+octet-stream" );
+    // The hash is of the whole chunk, the rest of a chunk is only checked by the entire hash.
+    if ( !nSkip )
+    {
+        this.oXhr.setRequestHeader( "Upload-Checksum", this.oSettings.chunk_hash_algorithm + ' ' + SecureUploaderRequest.hexToBase64( this.sHash ) );
+    }
+    SecureUploaderRequest.setHeaders( this.oXhr, oHeaders );
+    this.oXhr.send( nSkip ? this.oBuffer.slice( nSkip ) : this.oBuffer );
+
+    this.nSendTime = new Date().getTime();
+    this.startTimers();
+};
+/**
+ * Asks the server for the offset of the upload, then sends the chunk.
+ *
+ * @protected
+ * @param {string} sUrl URL of the upload.
+ * @param {object} oHeaders Additional request headers, see request_headers setting.
+ */
+SecureUploaderTusRequest.prototype.head = function( sUrl, oHeaders )
+{
+    var self = this;
+
+    this.oXhr = new XMLHttpRequest();
+    this.oXhr.onreadystatechange = function()
+    {
+        if ( self.oXhr.readyState !== 4 || self.bAborted )
+        {
+            return;
+        }
+        self.clearTimers();
+
+        self.oTransport.nServerOffset = SecureUploaderTusTransport.getOffset( this );
+        if ( null !== self.oTransport.nServerOffset )
+        {
+            self.send( sUrl, oHeaders );
+            return;
+        }
+
+        self.nStatus        = this.status;
+        self.sResponse      = this.responseText;
+        self.sFailureReason = self.findFailureReason() || SecureUploaderRequest.FAILURE_STATUS;
+        self.fpFinish( false, self );
+    };
+
+    this.oXhr.open( "HEAD", sUrl, true );
+    this.oXhr.withCredentials = this.oSettings.with_credentials;
+    this.oXhr.setRequestHeader( "Tus-Resumable", SecureUploaderTusTransport.VERSION );
+    SecureUploaderRequest.setHeaders( this.oXhr, oHeaders );
+    this.oXhr.send( null );
+
+    this.startTimers();
+};
+/**
+ * Finishes the request without sending the chunk, asynchronously like a response.
+ *
+ * @protected
+ * @param {string} sFailureReason One of the SecureUploaderRequest.FAILURE_* constants, null if it succeeded.
+ * @param {object} oResponseData Response data the file acts on, see SecureUploaderRequest.getResponseData.
+ */
+SecureUploaderTusRequest.prototype.finishLocally = function( sFailureReason, oResponseData )
+{
+    var self = this;
+
+    this.nFinishTimer = setTimeout( function()
+    {
+        self.nFinishTimer   = null;
+        self.sFailureReason = sFailureReason;
+        self.oResponseData  = oResponseData;
+        self.fpFinish( null === sFailureReason, self );
+    }, 0 );
+};
+/**
+ * Aborts the request, including a finish without sending.
+ */
+SecureUploaderTusRequest.prototype.abort = function()
+{
+    if ( this.nFinishTimer )
+    {
+        clearTimeout( this.nFinishTimer );
+        this.nFinishTimer = null;
+    }
+    SecureUploaderRequest.prototype.abort.call( this );
+};
+/**
+ * Finds out why the request failed from the HTTP status.
+ *
+ * A checksum mismatch (460) and an offset conflict (409) are resent right
+ * away, after the offset is asked for again. An upload the server does not
+ * know (404, 410) cannot be continued.
+ *
+ * @protected
+ * @return {string} One of the SecureUploaderRequest.FAILURE_* constants, null if the request succeeded.
+ */
+SecureUploaderTusRequest.prototype.findFailureReason = function()
+{
+    if ( 204 === this.nStatus || 200 === this.nStatus )
+    {
+        return null;
+    }
+    if ( 460 === this.nStatus || 409 === this.nStatus )
+    {
+        return SecureUploaderRequest.FAILURE_RESEND;
+    }
+    if ( SecureUploaderTusRequest.isUploadLost( this.nStatus ) )
+    {
+        return SecureUploaderRequest.FAILURE_REFUSED;
+    }
+    return this.nStatus ? SecureUploaderRequest.FAILURE_STATUS : SecureUploaderRequest.FAILURE_NETWORK;
+};
+/**
+ * Returns the offset of the upload after the chunk was accepted.
+ *
+ * @return {number} The Upload-Offset of the response, or the end of the chunk.
+ */
+SecureUploaderTusRequest.prototype.getServerOffset = function()
+{
+    var nOffset = SecureUploaderTusTransport.getOffset( this.oXhr );
+
+    return null === nOffset ? this.nOffset + this.nSize : nOffset;
+};
+/**
+ * Tells if the server does not know the upload any more.
+ *
+ * @param {number} nStatus HTTP status of a HEAD or PATCH request.
+ * @return {boolean} True for 404 and 410.
+ */
+SecureUploaderTusRequest.isUploadLost = function( nStatus )
+{
+    return 404 === nStatus || 410 === nStatus;
+};
+/**
+ * Tells if two sets of digests are the same.
+ *
+ * @param {object} oHashesA Digests keyed by algorithm.
+ * @param {object} oHashesB Digests keyed by algorithm.
+ * @return {boolean} False if an algorithm present in both gives different digests.
+ */
+SecureUploaderTusRequest.isSameHashes = function( oHashesA, oHashesB )
+{
+    for ( var sAlgorithm in oHashesA )
+    {
+        if ( oHashesA.hasOwnProperty( sAlgorithm ) && oHashesB.hasOwnProperty( sAlgorithm ) &&
+             oHashesA[sAlgorithm] !== oHashesB[sAlgorithm] )
+        {
+            return false;
+        }
+    }
+    return true;
+};
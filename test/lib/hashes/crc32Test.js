@@ -0,0 +1,125 @@
+/**
+ * Testing Crc32 object.
+ */
+TestCase( "Crc32TestCase", {
+    setUp: function()
+    {
+        this.oCrc32 = new Crc32();
+    },
+    testBasic: function()
+    {
+        var sHash = this.oCrc32.feed( '123456789' ).finalize();
+
+        assertSame( 'Check string should give the known checksum.', 'cbf43926', sHash );
+    },
+    testEmpty: function()
+    {
+        var sHash = this.oCrc32.feed( '' ).finalize();
+
+        assertSame( 'Empty input should give zero checksum.', '00000000', sHash );
+    },
+    testFeed: function()
+    {
+        var sHash, sControlHash;
+        var oControlCrc32 = new Crc32();
+
+        sControlHash = oControlCrc32.feed( 'abcdef' ).finalize();
+
+        this.oCrc32.feed( 'ab' );
+        this.oCrc32.feed( 'cd' );
+        this.oCrc32.feed( 'ef' );
+
+        sHash = this.oCrc32.finalize();
+
+        assertSame( 'Multiple times updated checksum should be the same as one time updated.',
+            sControlHash, sHash );
+        assertSame( 'Test string should give the known checksum.', '4b8e39ef', sHash );
+    },
+    testBinaryOutput: function()
+    {
+        var aExpected = [ 0xcb, 0xf4, 0x39, 0x26 ];
+        var aResult = [];
+
+        var sHash = this.oCrc32.feed( '123456789' ).finalize( true );
+
+        for ( var i = 0; i < 4; i++ )
+        {
+            aResult.push( sHash.charCodeAt( i ) );
+        }
+
+        assertEquals( 'Check string should give the known binary checksum.',
+            aExpected, aResult );
+    },
+    testLongInput: function()
+    {
+        var sInput = [];
+        var sHash;
+
+        for ( var i = 0; i < 1500; i++ )
+        {
+            // In JS string concatenating is slower than push.
+            sInput.push( 'A' );
+        }
+
+        sHash = this.oCrc32.feed( sInput.join( '' ) ).finalize();
+
+        assertEquals( 'Test string should give the known checksum.',
+            'eb6c6f4d', sHash );
+    },
+    testBytesInput: function()
+    {
+        // Typed arrays, ArrayBuffers and strings can be mixed.
+        this.oCrc32.feed( new Uint8Array( [ 0x61, 0x62 ] ) );
+        this.oCrc32.feed( new Uint8Array( [ 0x63, 0x64 ] ).buffer );
+        this.oCrc32.feed( 'ef' );
+
+        assertSame( 'Bytes should give the known checksum, like the same binary string.',
+            '4b8e39ef', this.oCrc32.finalize() );
+    }
+});
+
+/**
+ * Testing Crc32c object.
+ */
+TestCase( "Crc32cTestCase", {
+    setUp: function()
+    {
+        this.oCrc32c = new Crc32c();
+    },
+    testBasic: function()
+    {
+        var sHash = this.oCrc32c.feed( '123456789' ).finalize();
+
+        assertSame( 'Check string should give the known checksum.', 'e3069283', sHash );
+    },
+    testFeed: function()
+    {
+        this.oCrc32c.feed( 'abc' );
+        this.oCrc32c.feed( 'def' );
+
+        assertSame( 'Multiple times updated checksum should give the known checksum.',
+            '53bceff1', this.oCrc32c.finalize() );
+    },
+    testLongInput: function()
+    {
+        var sInput = [];
+
+        for ( var i = 0; i < 1500; i++ )
+        {
+            sInput.push( 'A' );
+        }
+
+        assertSame( 'Test string should give the known checksum.',
+            '76d428ad', this.oCrc32c.feed( sInput.join( '' ) ).finalize() );
+    },
+    testIndependentInstances: function()
+    {
+        var oCrc32 = new Crc32();
+
+        oCrc32.feed( '123456789' );
+        this.oCrc32c.feed( '123456789' );
+
+        assertSame( 'Crc32 should not be affected by Crc32c.', 'cbf43926', oCrc32.finalize() );
+        assertSame( 'Crc32c should not be affected by Crc32.', 'e3069283', this.oCrc32c.finalize() );
+    }
+});
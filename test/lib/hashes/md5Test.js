@@ -0,0 +1,80 @@
+/**
+ * Testing Md5 object.
+ */
+TestCase( "Md5TestCase", {
+    setUp: function()
+    {
+        this.oMd5 = new Md5();
+    },
+    testBasic: function()
+    {
+        var sHash = this.oMd5.feed( 'abcdef' ).finalize();
+
+        assertSame( 'Test string should be hashed to the known hash.', 'e80b5017098950fc58aad83c8c14978e', sHash );
+    },
+    testEmpty: function()
+    {
+        var sHash = this.oMd5.feed( '' ).finalize();
+
+        assertSame( 'Empty input should be hashed to the known hash.', 'd41d8cd98f00b204e9800998ecf8427e', sHash );
+    },
+    testFeed: function()
+    {
+        var sHash, sControlHash;
+        var oControlMd5 = new Md5();
+
+        sControlHash = oControlMd5.feed( '123456789' ).finalize();
+
+        this.oMd5.feed( '123' );
+        this.oMd5.feed( '456' );
+        this.oMd5.feed( '789' );
+
+        sHash = this.oMd5.finalize();
+
+        assertSame( 'Multiple times updated hash should be the same as one time updated.',
+            sControlHash, sHash );
+        assertSame( 'Test string should be hashed to the known hash.',
+            '25f9e794323b453885f5181f1b624d0b', sHash );
+    },
+    testBinaryOutput: function()
+    {
+        var aExpected = [ 0xe8, 0x0b, 0x50, 0x17, 0x09, 0x89, 0x50, 0xfc, 0x58, 0xaa, 0xd8, 0x3c, 0x8c, 0x14, 0x97, 0x8e ];
+        var aResult = [];
+
+        var sHash = this.oMd5.feed( 'abcdef' ).finalize( true );
+
+        for ( var i = 0; i < 16; i++ )
+        {
+            aResult.push( sHash.charCodeAt( i ) );
+        }
+
+        assertEquals( 'Test string should be hashed to the known binary hash.',
+            aExpected, aResult );
+    },
+    testLongInput: function()
+    {
+        var sInput = [];
+        var sHash;
+
+        for ( var i = 0; i < 1500; i++ )
+        {
+            // In JS string concatenating is slower than push.
+            sInput.push( 'A' );
+        }
+
+        sHash = this.oMd5.feed( sInput.join( '' ) ).finalize();
+
+        assertEquals( 'Test string should be hashed to the known binary hash.',
+            '5888436f96f5b4b9d733a8b87ef38b13', sHash );
+    },
+    testBytesInput: function()
+    {
+        // Typed arrays, ArrayBuffers and strings can be mixed.
+        this.oMd5.feed( new Uint8Array( [ 0x61, 0x62 ] ) );
+        this.oMd5.feed( new Uint8Array( [ 0x63, 0x64 ] ).buffer );
+        this.oMd5.feed( 'ef' );
+
+        assertSame( 'Bytes should be hashed to the known hash, like the same binary string.',
+            'e80b5017098950fc58aad83c8c14978e', this.oMd5.finalize() );
+    }
+});
@@ -12,6 +12,12 @@ TestCase( "Sha1TestCase", {
 
         assertSame( 'Test string should be hashed to the known hash.', '1f8ac10f23c5b5bc1167bda84b833e5c057a77d2', sHash );
     },
+    testEmpty: function()
+    {
+        var sHash = this.oSha1.feed( '' ).finalize();
+
+        assertSame( 'Empty input should be hashed to the known hash.', 'da39a3ee5e6b4b0d3255bfef95601890afd80709', sHash );
+    },
     testFeed: function()
     {
         var sHash, sControlHash;
@@ -58,5 +64,15 @@ TestCase( "Sha1TestCase", {
 
         assertEquals( 'Test string should be hashed to the known binary hash.',
             'a7f644d4a5b863037da8cadd2e69640ef3dc804e', sHash );
+    },
+    testBytesInput: function()
+    {
+        // Typed arrays, ArrayBuffers and strings can be mixed.
+        this.oSha1.feed( new Uint8Array( [ 0x61, 0x62 ] ) );
+        this.oSha1.feed( new Uint8Array( [ 0x63, 0x64 ] ).buffer );
+        this.oSha1.feed( 'ef' );
+
+        assertSame( 'Bytes should be hashed to the known hash, like the same binary string.',
+            '1f8ac10f23c5b5bc1167bda84b833e5c057a77d2', this.oSha1.finalize() );
     }
 });
\ No newline at end of file
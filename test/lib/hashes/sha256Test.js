@@ -0,0 +1,91 @@
+/**
+ * Testing Sha256 object.
+ */
+TestCase( "Sha256TestCase", {
+    setUp: function()
+    {
+        this.oSha256 = new Sha256();
+    },
+    testBasic: function()
+    {
+        var sHash = this.oSha256.feed( 'abcdef' ).finalize();
+
+        assertSame( 'Test string should be hashed to the known hash.', 'bef57ec7f53a6d40beb640a780a639c83bc29ac8a9816f1fc6c5c6dcd93c4721', sHash );
+    },
+    testEmpty: function()
+    {
+        var sHash = this.oSha256.feed( '' ).finalize();
+
+        assertSame( 'Empty input should be hashed to the known hash.', 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855', sHash );
+    },
+    testFeed: function()
+    {
+        var sHash, sControlHash;
+        var oControlSha256 = new Sha256();
+
+        sControlHash = oControlSha256.feed( '123456789' ).finalize();
+
+        this.oSha256.feed( '123' );
+        this.oSha256.feed( '456' );
+        this.oSha256.feed( '789' );
+
+        sHash = this.oSha256.finalize();
+
+        assertSame( 'Multiple times updated hash should be the same as one time updated.',
+            sControlHash, sHash );
+        assertSame( 'Test string should be hashed to the known hash.',
+            '15e2b0d3c33891ebb0f1ef609ec419420c20e320ce94c65fbc8c3312448eb225', sHash );
+    },
+    testBinaryOutput: function()
+    {
+        var aExpected = [
+            0xbe, 0xf5, 0x7e, 0xc7, 0xf5, 0x3a, 0x6d, 0x40, 0xbe, 0xb6, 0x40, 0xa7, 0x80, 0xa6, 0x39, 0xc8,
+            0x3b, 0xc2, 0x9a, 0xc8, 0xa9, 0x81, 0x6f, 0x1f, 0xc6, 0xc5, 0xc6, 0xdc, 0xd9, 0x3c, 0x47, 0x21
+        ];
+        var aResult = [];
+
+        var sHash = this.oSha256.feed( 'abcdef' ).finalize( true );
+
+        for ( var i = 0; i < 32; i++ )
+        {
+            aResult.push( sHash.charCodeAt( i ) );
+        }
+
+        assertEquals( 'Test string should be hashed to the known binary hash.',
+            aExpected, aResult );
+    },
+    testLongInput: function()
+    {
+        var sInput = [];
+        var sHash;
+
+        for ( var i = 0; i < 1500; i++ )
+        {
+            // In JS string concatenating is slower than push.
+            sInput.push( 'A' );
+        }
+
+        sHash = this.oSha256.feed( sInput.join( '' ) ).finalize();
+
+        assertEquals( 'Test string should be hashed to the known binary hash.',
+            'f9d806fd7451563ff9d4cfbc326c26129c9f9499b3336c0b89b5ab1364c9b8fd', sHash );
+    },
+    testNistVector: function()
+    {
+        // Two blocks message from the FIPS 180-2 examples.
+        var sHash = this.oSha256.feed( 'abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq' ).finalize();
+
+        assertSame( 'NIST test vector should be hashed to the known hash.',
+            '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1', sHash );
+    },
+    testBytesInput: function()
+    {
+        // Typed arrays, ArrayBuffers and strings can be mixed.
+        this.oSha256.feed( new Uint8Array( [ 0x61, 0x62 ] ) );
+        this.oSha256.feed( new Uint8Array( [ 0x63, 0x64 ] ).buffer );
+        this.oSha256.feed( 'ef' );
+
+        assertSame( 'Bytes should be hashed to the known hash, like the same binary string.',
+            'bef57ec7f53a6d40beb640a780a639c83bc29ac8a9816f1fc6c5c6dcd93c4721', this.oSha256.finalize() );
+    }
+});
@@ -0,0 +1,94 @@
+/**
+ * Testing Sha512 object.
+ */
+TestCase( "Sha512TestCase", {
+    setUp: function()
+    {
+        this.oSha512 = new Sha512();
+    },
+    testBasic: function()
+    {
+        var sHash = this.oSha512.feed( 'abcdef' ).finalize();
+
+        assertSame( 'Test string should be hashed to the known hash.', 'e32ef19623e8ed9d267f657a81944b3d07adbb768518068e88435745564e8d4150a0a703be2a7d88b61e3d390c2bb97e2d4c311fdc69d6b1267f05f59aa920e7', sHash );
+    },
+    testEmpty: function()
+    {
+        var sHash = this.oSha512.feed( '' ).finalize();
+
+        assertSame( 'Empty input should be hashed to the known hash.', 'cf83e1357eefb8bdf1542850d66d8007d620e4050b5715dc83f4a921d36ce9ce47d0d13c5d85f2b0ff8318d2877eec2f63b931bd47417a81a538327af927da3e', sHash );
+    },
+    testFeed: function()
+    {
+        var sHash, sControlHash;
+        var oControlSha512 = new Sha512();
+
+        sControlHash = oControlSha512.feed( '123456789' ).finalize();
+
+        this.oSha512.feed( '123' );
+        this.oSha512.feed( '456' );
+        this.oSha512.feed( '789' );
+
+        sHash = this.oSha512.finalize();
+
+        assertSame( 'Multiple times updated hash should be the same as one time updated.',
+            sControlHash, sHash );
+        assertSame( 'Test string should be hashed to the known hash.',
+            'd9e6762dd1c8eaf6d61b3c6192fc408d4d6d5f1176d0c29169bc24e71c3f274ad27fcd5811b313d681f7e55ec02d73d499c95455b6b5bb503acf574fba8ffe85', sHash );
+    },
+    testBinaryOutput: function()
+    {
+        var aExpected = [
+            0xe3, 0x2e, 0xf1, 0x96, 0x23, 0xe8, 0xed, 0x9d, 0x26, 0x7f, 0x65, 0x7a, 0x81, 0x94, 0x4b, 0x3d,
+            0x07, 0xad, 0xbb, 0x76, 0x85, 0x18, 0x06, 0x8e, 0x88, 0x43, 0x57, 0x45, 0x56, 0x4e, 0x8d, 0x41,
+            0x50, 0xa0, 0xa7, 0x03, 0xbe, 0x2a, 0x7d, 0x88, 0xb6, 0x1e, 0x3d, 0x39, 0x0c, 0x2b, 0xb9, 0x7e,
+            0x2d, 0x4c, 0x31, 0x1f, 0xdc, 0x69, 0xd6, 0xb1, 0x26, 0x7f, 0x05, 0xf5, 0x9a, 0xa9, 0x20, 0xe7
+        ];
+        var aResult = [];
+
+        var sHash = this.oSha512.feed( 'abcdef' ).finalize( true );
+
+        for ( var i = 0; i < 64; i++ )
+        {
+            aResult.push( sHash.charCodeAt( i ) );
+        }
+
+        assertEquals( 'Test string should be hashed to the known binary hash.',
+            aExpected, aResult );
+    },
+    testLongInput: function()
+    {
+        var sInput = [];
+        var sHash;
+
+        for ( var i = 0; i < 1500; i++ )
+        {
+            // In JS string concatenating is slower than push.
+            sInput.push( 'A' );
+        }
+
+        sHash = this.oSha512.feed( sInput.join( '' ) ).finalize();
+
+        assertEquals( 'Test string should be hashed to the known binary hash.',
+            '035519f03c5d07f27a2ac797e0c71447774908b85cb000ab7d29586781fffea06820c4942e87fb50daa0c1f71742a3d7b32e0362ed0eb944721c4a13b03fea6e', sHash );
+    },
+    testNistVector: function()
+    {
+        // Two blocks message from the FIPS 180-2 examples.
+        var sHash = this.oSha512.feed( 'abcdefghbcdefghicdefghijdefghijkefghijklfghijklmghijklmnhijklmnoijklmnopjklmnopqklmnopqrlmnopqrsmnopqrstnopqrstu' ).finalize();
+
+        assertSame( 'NIST test vector should be hashed to the known hash.',
+            '8e959b75dae313da8cf4f72814fc143f8f7779c6eb9f7fa17299aeadb6889018501d289e4900f7e4331b99dec4b5433ac7d329eeb6dd26545e96e55b874be909', sHash );
+    },
+    testBytesInput: function()
+    {
+        // Typed arrays, ArrayBuffers and strings can be mixed.
+        this.oSha512.feed( new Uint8Array( [ 0x61, 0x62 ] ) );
+        this.oSha512.feed( new Uint8Array( [ 0x63, 0x64 ] ).buffer );
+        this.oSha512.feed( 'ef' );
+
+        assertSame( 'Bytes should be hashed to the known hash, like the same binary string.',
+            'e32ef19623e8ed9d267f657a81944b3d07adbb768518068e88435745564e8d4150a0a703be2a7d88b61e3d390c2bb97e2d4c311fdc69d6b1267f05f59aa920e7',
+            this.oSha512.finalize() );
+    }
+});
@@ -0,0 +1,464 @@
+/**
+ * Testing static helpers of SecureUploaderRequest and SecureUploaderRawRequest,
+ * and the timers of a request with fake timers and a fake XMLHttpRequest.
+ */
+TestCase( "SecureUploaderRequestTestCase", {
+    setUp: function()
+    {
+        var aGuids = [ 'AAAAAAAAAAAAAAAA', 'BBBBBBBBBBBBBBBB' ];
+        var self = this;
+
+        // The first boundary is known, so the payload can contain it.
+        this.fpGetGuid = SecureUploaderFile.getGuid;
+        SecureUploaderFile.getGuid = function()
+        {
+            return aGuids.shift();
+        };
+
+        // Timers run only when the test moves the time forward, see tick.
+        this.fpSetTimeout = setTimeout;
+        this.fpClearTimeout = clearTimeout;
+        this.fpXhr = XMLHttpRequest;
+        this.nNow = 0;
+        this.nLastTimer = 0;
+        this.oTimers = {};
+        this.aXhrs = [];
+
+        setTimeout = function( fpCallback, nDelay )
+        {
+            self.nLastTimer++;
+            self.oTimers[self.nLastTimer] = { "callback": fpCallback, "time": self.nNow + nDelay };
+            return self.nLastTimer;
+        };
+        clearTimeout = function( nTimer )
+        {
+            delete self.oTimers[nTimer];
+        };
+        XMLHttpRequest = function()
+        {
+            this.upload = {};
+            this.readyState = 0;
+            this.bAborted = false;
+            self.aXhrs.push( this );
+        };
+        XMLHttpRequest.prototype = {
+            open                : function() {},
+            setRequestHeader    : function() {},
+            overrideMimeType    : function() {},
+            send                : function() {},
+            getResponseHeader   : function()
+            {
+                return null;
+            },
+            abort               : function()
+            {
+                this.bAborted = true;
+                this.readyState = 4;
+                this.status = 0;
+                this.onreadystatechange();
+            }
+        };
+    },
+    tearDown: function()
+    {
+        SecureUploaderFile.getGuid = this.fpGetGuid;
+        setTimeout = this.fpSetTimeout;
+        clearTimeout = this.fpClearTimeout;
+        XMLHttpRequest = this.fpXhr;
+    },
+    tick: function( nTime )
+    {
+        var nEnd = this.nNow + nTime;
+        var nNext;
+        var nTimer;
+
+        // Runs the timers in order of time, including the ones they start.
+        while ( true )
+        {
+            nNext = null;
+            for ( nTimer in this.oTimers )
+            {
+                if ( this.oTimers[nTimer].time <= nEnd && ( null === nNext || this.oTimers[nTimer].time < this.oTimers[nNext].time ) )
+                {
+                    nNext = nTimer;
+                }
+            }
+            if ( null === nNext )
+            {
+                break;
+            }
+            this.nNow = this.oTimers[nNext].time;
+            this.oTimers[nNext].callback();
+            delete this.oTimers[nNext];
+        }
+        this.nNow = nEnd;
+    },
+    countTimers: function()
+    {
+        var nCount = 0;
+
+        for ( var nTimer in this.oTimers )
+        {
+            nCount++;
+        }
+        return nCount;
+    },
+    createTimedRequest: function( oSettings, aFinished )
+    {
+        var oRequest = new SecureUploaderRequest(
+            { "name": 'a.bin', "size": 100 },
+            'GUID',
+            new SecureUploaderSettings( oSettings ),
+            { "buffer": null, "offset": 0, "size": 100, "hash": 'ffff', "hashes": {} },
+            function( bSuccess, oFinishedRequest )
+            {
+                aFinished.push( bSuccess ? 'success' : oFinishedRequest.getFailureReason() );
+            }
+        );
+
+        // The payload is not what is tested here.
+        oRequest.getData = function()
+        {
+            return 'chunk';
+        };
+        return oRequest;
+    },
+    toBytes: function( sInput )
+    {
+        var aBytes = new Uint8Array( sInput.length );
+
+        for ( var i = 0; i < sInput.length; i++ )
+        {
+            aBytes[i] = sInput.charCodeAt( i );
+        }
+        return aBytes;
+    },
+    createThenable: function( bFulfilled, oReason )
+    {
+        // Settles right away, unlike a real promise, so the test stays synchronous.
+        return {
+            "then": function( fpFulfilled, fpRejected )
+            {
+                if ( bFulfilled )
+                {
+                    fpFulfilled();
+                }
+                else
+                {
+                    fpRejected( oReason );
+                }
+            }
+        };
+    },
+    testBoundary: function()
+    {
+        var sBoundary = SecureUploaderRequest.createBoundary( [ { "name": 'guid', "value": 'x' } ] );
+
+        assertSame( 'The first boundary should be used if nothing contains it.',
+            SecureUploaderRequest.BOUNDARY_PREFIX + 'AAAAAAAAAAAAAAAA', sBoundary );
+    },
+    testBoundaryInStringField: function()
+    {
+        var sBoundary = SecureUploaderRequest.createBoundary( [
+            { "name": 'guid', "value": 'x' },
+            { "name": 'note', "value": 'a\r\n--' + SecureUploaderRequest.BOUNDARY_PREFIX + 'AAAAAAAAAAAAAAAA\r\n' }
+        ] );
+
+        assertSame( 'A boundary found in a field should be replaced.',
+            SecureUploaderRequest.BOUNDARY_PREFIX + 'BBBBBBBBBBBBBBBB', sBoundary );
+    },
+    testBoundaryInChunk: function()
+    {
+        var aChunk = this.toBytes( '\x00\xff--' + SecureUploaderRequest.BOUNDARY_PREFIX + 'AAAAAAAAAAAAAAAA' );
+        var sBoundary = SecureUploaderRequest.createBoundary( [
+            { "name": 'guid', "value": 'x' },
+            { "name": 'chunk', "value": aChunk.buffer }
+        ] );
+
+        assertSame( 'A boundary found in the bytes of the chunk should be replaced.',
+            SecureUploaderRequest.BOUNDARY_PREFIX + 'BBBBBBBBBBBBBBBB', sBoundary );
+    },
+    testContainsString: function()
+    {
+        var aBytes = this.toBytes( 'xx--abc' );
+
+        assertTrue( 'A string should be searched.', SecureUploaderRequest.containsString( 'xx--abc', '--abc' ) );
+        assertTrue( 'A number should be searched as a string.', SecureUploaderRequest.containsString( 12345, '234' ) );
+        assertTrue( 'An ArrayBuffer should be searched.', SecureUploaderRequest.containsString( aBytes.buffer, '--abc' ) );
+        assertTrue( 'A typed array should be searched.', SecureUploaderRequest.containsString( aBytes, 'xx-' ) );
+        assertFalse( 'Only the viewed part of a typed array should be searched.',
+            SecureUploaderRequest.containsString( aBytes.subarray( 0, 6 ), '--abc' ) );
+        assertFalse( 'A partial match should not count.', SecureUploaderRequest.containsString( aBytes, '--abd' ) );
+        assertFalse( 'Other values cannot be searched.', SecureUploaderRequest.containsString( null, 'a' ) );
+    },
+    testParseResponse: function()
+    {
+        assertEquals( 'A JSON object should be parsed.',
+            { "status": 'ok', "file_id": 12 }, SecureUploaderRequest.parseResponse( '{"status": "ok", "file_id": 12}' ) );
+        assertEquals( 'A JSON array should be parsed.', [ 1, 2 ], SecureUploaderRequest.parseResponse( '[1, 2]' ) );
+        assertNull( 'An empty response should be null.', SecureUploaderRequest.parseResponse( '' ) );
+        assertNull( 'No response should be null.', SecureUploaderRequest.parseResponse( null ) );
+        assertNull( 'Plain text should be null.', SecureUploaderRequest.parseResponse( 'OK' ) );
+        assertNull( 'Broken JSON should be null.', SecureUploaderRequest.parseResponse( '{"status": ' ) );
+        assertNull( 'A JSON string should be null.', SecureUploaderRequest.parseResponse( '"ok"' ) );
+        assertNull( 'A JSON number should be null.', SecureUploaderRequest.parseResponse( '1' ) );
+        assertNull( 'JSON null should be null.', SecureUploaderRequest.parseResponse( 'null' ) );
+    },
+    testCallHook: function()
+    {
+        var aDone = [];
+        var fpDone = function( oError )
+        {
+            aDone.push( oError ? oError.message : null );
+        };
+        var oInfo = { "url": '/upload' };
+        var fpCallback;
+
+        SecureUploaderRequest.callHook( null, oInfo, fpDone );
+        assertEquals( 'No hook should finish right away.', [ null ], aDone );
+
+        aDone = [];
+        SecureUploaderRequest.callHook( function( oHookInfo )
+        {
+            oHookInfo.url = '/other';
+        }, oInfo, fpDone );
+        assertEquals( 'A hook with one parameter should finish when it returns.', [ null ], aDone );
+        assertSame( 'The hook should be able to change the info.', '/other', oInfo.url );
+
+        aDone = [];
+        SecureUploaderRequest.callHook( function( oHookInfo, fpHookDone )
+        {
+            fpCallback = fpHookDone;
+        }, oInfo, fpDone );
+        assertEquals( 'A hook with a callback should not finish before calling it.', [], aDone );
+        fpCallback();
+        fpCallback( new Error( 'Late.' ) );
+        assertEquals( 'The callback should finish the hook once.', [ null ], aDone );
+
+        aDone = [];
+        SecureUploaderRequest.callHook( function( oHookInfo, fpHookDone )
+        {
+            fpHookDone( new Error( 'No token.' ) );
+        }, oInfo, fpDone );
+        assertEquals( 'An error passed to the callback should be given.', [ 'No token.' ], aDone );
+
+        aDone = [];
+        SecureUploaderRequest.callHook( function()
+        {
+            throw new Error( 'Broken.' );
+        }, oInfo, fpDone );
+        assertEquals( 'A thrown error should be given.', [ 'Broken.' ], aDone );
+
+        aDone = [];
+        SecureUploaderRequest.callHook( function()
+        {
+            return { "then": function() {} };
+        }, oInfo, fpDone );
+        assertEquals( 'A hook returning a promise should not finish before it settles.', [], aDone );
+    },
+    testCallHookPromise: function()
+    {
+        var self = this;
+        var aDone = [];
+        var fpDone = function( oError )
+        {
+            aDone.push( oError ? oError.message : null );
+        };
+
+        SecureUploaderRequest.callHook( function()
+        {
+            return self.createThenable( true );
+        }, {}, fpDone );
+        assertEquals( 'A fulfilled promise should finish the hook.', [ null ], aDone );
+
+        aDone = [];
+        SecureUploaderRequest.callHook( function()
+        {
+            return self.createThenable( false, new Error( 'Expired.' ) );
+        }, {}, fpDone );
+        assertEquals( 'A rejected promise should give its error.', [ 'Expired.' ], aDone );
+
+        aDone = [];
+        SecureUploaderRequest.callHook( function()
+        {
+            return self.createThenable( false );
+        }, {}, fpDone );
+        assertSame( 'A rejection without a reason should still be an error.', 1, aDone.length );
+        assertTrue( 'A rejection without a reason should have a message.', !!aDone[0] );
+    },
+    testRequestParams: function()
+    {
+        var oParams = { "user": 'z' };
+        var oChunkInfo = { "offset": 0, "is_first": true };
+        var oGivenInfo = null;
+        var oSettings = new SecureUploaderSettings( { "request_params": oParams } );
+
+        assertSame( 'The object should be sent.', oParams, SecureUploaderRequest.getRequestParams( oSettings, oChunkInfo ) );
+        assertEquals( 'No parameters should be an empty object.', {},
+            SecureUploaderRequest.getRequestParams( new SecureUploaderSettings( {} ), oChunkInfo ) );
+
+        oSettings = new SecureUploaderSettings( {
+            "request_params": function( oInfo )
+            {
+                oGivenInfo = oInfo;
+                return oInfo.is_first ? { "first": 1 } : null;
+            }
+        } );
+        assertEquals( 'The function should give the parameters.', { "first": 1 },
+            SecureUploaderRequest.getRequestParams( oSettings, oChunkInfo ) );
+        assertSame( 'The function should get the descriptor of the chunk.', oChunkInfo, oGivenInfo );
+        assertEquals( 'No parameters returned should be an empty object.', {},
+            SecureUploaderRequest.getRequestParams( oSettings, { "offset": 100, "is_first": false } ) );
+    },
+    testFormatHashes: function()
+    {
+        var oHashes = { "crc32": 'cbf43926', "sha1": 'a9993e36', "md5": '900150983' };
+
+        assertSame( 'The given algorithm should be listed first.', 'sha1=a9993e36, crc32=cbf43926, md5=900150983',
+            SecureUploaderRawRequest.formatHashes( oHashes, 'sha1' ) );
+        assertSame( 'A single digest should be listed alone.', 'sha256=abc',
+            SecureUploaderRawRequest.formatHashes( { "sha256": 'abc' }, 'sha256' ) );
+    },
+    testRawSuccessStatus: function()
+    {
+        var fpFindFailureReason = SecureUploaderRawRequest.prototype.findFailureReason;
+
+        assertNull( 'OK should be a success.', fpFindFailureReason.call( { "nStatus": 200, "oResponseData": null } ) );
+        assertNull( 'Created should be a success.', fpFindFailureReason.call( { "nStatus": 201, "oResponseData": null } ) );
+        assertNull( 'No Content should be a success.', fpFindFailureReason.call( { "nStatus": 204, "oResponseData": null } ) );
+        assertSame( 'A redirect should not be a success.', SecureUploaderRequest.FAILURE_STATUS,
+            fpFindFailureReason.call( { "nStatus": 301, "oResponseData": null } ) );
+        assertSame( 'A server error should not be a success.', SecureUploaderRequest.FAILURE_STATUS,
+            fpFindFailureReason.call( { "nStatus": 500, "oResponseData": null } ) );
+        assertSame( 'The JSON status should still be respected.', SecureUploaderRequest.FAILURE_REFUSED,
+            fpFindFailureReason.call( { "nStatus": 201, "oResponseData": { "status": 'error' } } ) );
+        assertSame( 'No response should be a network error.', SecureUploaderRequest.FAILURE_NETWORK,
+            fpFindFailureReason.call( { "nStatus": 0, "oResponseData": null } ) );
+    },
+    testStartTimers: function()
+    {
+        var aFinished = [];
+        var oRequest = this.createTimedRequest( { "url": 'upload', "timeout": 1000, "stall_timeout": 300 }, aFinished );
+
+        oRequest.start();
+        assertSame( 'The request should be sent.', 1, this.aXhrs.length );
+        assertSame( 'Both timers should be started.', 2, this.countTimers() );
+
+        oRequest.startTimers.call( this.createTimedRequest( { "url": 'upload', "stall_timeout": 0 }, aFinished ) );
+        assertSame( 'No timers should be started if turned off.', 2, this.countTimers() );
+
+        this.aXhrs[0].readyState = 4;
+        this.aXhrs[0].status = 200;
+        this.aXhrs[0].responseText = '';
+        this.aXhrs[0].onreadystatechange();
+        assertEquals( 'The request should succeed.', [ 'success' ], aFinished );
+        assertSame( 'The timers should be stopped by the response.', 0, this.countTimers() );
+    },
+    testTimeout: function()
+    {
+        var aFinished = [];
+        var oRequest = this.createTimedRequest( { "url": 'upload', "timeout": 1000 }, aFinished );
+
+        oRequest.start();
+        this.tick( 999 );
+        assertEquals( 'The request should not expire early.', [], aFinished );
+
+        this.tick( 1 );
+        assertEquals( 'The request should expire once.', [ SecureUploaderRequest.FAILURE_TIMEOUT ], aFinished );
+        assertTrue( 'The request should be aborted.', this.aXhrs[0].bAborted );
+        assertSame( 'No timers should be left.', 0, this.countTimers() );
+    },
+    testStall: function()
+    {
+        var aFinished = [];
+        var oRequest = this.createTimedRequest( { "url": 'upload', "stall_timeout": 300 }, aFinished );
+        var oXhr;
+
+        oRequest.start();
+        oXhr = this.aXhrs[0];
+
+        // Each progress gives the upload another 300 ms.
+        for ( var i = 1; i <= 3; i++ )
+        {
+            this.tick( 200 );
+            oXhr.upload.onprogress( { "lengthComputable": true, "loaded": i * 25, "total": 100 } );
+        }
+        assertEquals( 'A progressing upload should not stall.', [], aFinished );
+        assertSame( 'The progress should be kept.', 0.75, oRequest.getProgressPercentage() );
+
+        this.tick( 300 );
+        assertEquals( 'The upload should stall without progress.', [ SecureUploaderRequest.FAILURE_STALL ], aFinished );
+        assertTrue( 'The stalled request should be aborted.', oXhr.bAborted );
+    },
+    testStallAfterUpload: function()
+    {
+        var aFinished = [];
+        var oRequest = this.createTimedRequest( { "url": 'upload', "stall_timeout": 300 }, aFinished );
+
+        oRequest.start();
+        this.aXhrs[0].upload.onload();
+        this.tick( 5000 );
+        assertEquals( 'The server processing the chunk should not be a stall.', [], aFinished );
+    },
+    testExpire: function()
+    {
+        var aFinished = [];
+        var oRequest = this.createTimedRequest( { "url": 'upload', "timeout": 1000, "stall_timeout": 300 }, aFinished );
+
+        oRequest.start();
+        oRequest.expire( SecureUploaderRequest.FAILURE_TIMEOUT );
+        assertEquals( 'The abort should not finish the request again.', [ SecureUploaderRequest.FAILURE_TIMEOUT ], aFinished );
+        assertSame( 'The timers should be stopped.', 0, this.countTimers() );
+        assertTrue( 'A timeout should be worth retrying.', oRequest.isTemporaryFailure() );
+    },
+    testExpiredRetry: function()
+    {
+        var aReasons = [ SecureUploaderRequest.FAILURE_TIMEOUT, SecureUploaderRequest.FAILURE_STALL ];
+        var aRetried;
+        var aTriggered;
+        var oRequest;
+        var oUploaderFile = {
+            "oSettings"     : new SecureUploaderSettings( { "retry": { "base_delay": 100, "jitter": 0 } } ),
+            "oAttempts"     : { "0": 2 },
+            "aHashed"       : [],
+            "getRetryDelay" : SecureUploaderFile.prototype.getRetryDelay,
+            "uploadChunk"   : function( oResult, nDelay )
+            {
+                aRetried.push( nDelay );
+            },
+            "trigger"       : function( sEvent, oData )
+            {
+                aTriggered.push( sEvent + ':' + oData.reason );
+            },
+            "fail"          : function()
+            {
+                aTriggered.push( 'fail' );
+            }
+        };
+
+        for ( var i = 0; i < aReasons.length; i++ )
+        {
+            aRetried = [];
+            aTriggered = [];
+            oRequest = this.createTimedRequest( { "url": 'upload' }, [] );
+            oRequest.start();
+            oRequest.expire( aReasons[i] );
+
+            SecureUploaderFile.prototype.chunkFailed.call( oUploaderFile, { "offset": 0 }, {}, oRequest );
+            assertEquals( 'The chunk should be retried after the backoff: ' + aReasons[i], [ 200 ], aRetried );
+            assertEquals( 'The retry should be reported: ' + aReasons[i], [ 'retry:' + aReasons[i] ], aTriggered );
+        }
+    },
+    testContentRange: function()
+    {
+        var fpGetContentRange = SecureUploaderRawRequest.prototype.getContentRange;
+        var oFile = { "size": 1048576 };
+
+        assertSame( 'The range of the chunk should be inclusive.', 'bytes 0-102399/1048576',
+            fpGetContentRange.call( { "oFile": oFile, "nOffset": 0, "nSize": 102400 } ) );
+        assertSame( 'The last chunk should end at the last byte.', 'bytes 1024000-1048575/1048576',
+            fpGetContentRange.call( { "oFile": oFile, "nOffset": 1024000, "nSize": 24576 } ) );
+        assertSame( 'An empty file should have no range.', 'bytes */0',
+            fpGetContentRange.call( { "oFile": { "size": 0 }, "nOffset": 0, "nSize": 0 } ) );
+    }
+} );
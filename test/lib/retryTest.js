@@ -0,0 +1,110 @@
+/**
+ * Testing the retry policy and the delays between the attempts.
+ */
+TestCase( "RetryTestCase", {
+    setUp: function()
+    {
+        this.fpRandom = Math.random;
+        this.nRandom = 0;
+
+        var self = this;
+        Math.random = function()
+        {
+            return self.nRandom;
+        };
+    },
+    tearDown: function()
+    {
+        Math.random = this.fpRandom;
+    },
+    getDelay: function( oRetry, nAttempt, nRetryAfter )
+    {
+        var oFile = { "oSettings": { "retry": SecureUploaderSettings.getRetry( oRetry ) } };
+        var oRequest = {
+            getRetryAfter: function()
+            {
+                return ( 'undefined' === typeof nRetryAfter ) ? null : nRetryAfter;
+            }
+        };
+
+        return SecureUploaderFile.prototype.getRetryDelay.call( oFile, nAttempt, oRequest );
+    },
+    testRetryPolicy: function()
+    {
+        var oRetry = SecureUploaderSettings.getRetry( undefined );
+
+        assertSame( 'Default attempts should be 4.', 4, oRetry.max_attempts );
+        assertSame( 'Default base delay should be 1000.', 1000, oRetry.base_delay );
+        assertSame( 'Default max delay should be 30000.', 30000, oRetry.max_delay );
+        assertSame( 'Default jitter should be 0.5.', 0.5, oRetry.jitter );
+        assertTrue( 'Retry-After should be respected by default.', oRetry.retry_after );
+
+        oRetry = SecureUploaderSettings.getRetry( { "max_attempts": 0, "base_delay": 0, "max_delay": 0, "jitter": 0 } );
+        assertSame( 'No attempts should still be a single attempt.', 1, oRetry.max_attempts );
+        assertSame( 'A base delay of 0 should be kept.', 0, oRetry.base_delay );
+        assertSame( 'A max delay of 0 should be kept.', 0, oRetry.max_delay );
+        assertSame( 'A jitter of 0 should be kept.', 0, oRetry.jitter );
+        assertSame( 'A single attempt should be kept.', 1, SecureUploaderSettings.getRetry( { "max_attempts": 1 } ).max_attempts );
+        assertSame( 'Attempts given as a string should be ignored.', 4, SecureUploaderSettings.getRetry( { "max_attempts": '2' } ).max_attempts );
+    },
+    testBackoff: function()
+    {
+        var oRetry = { "base_delay": 100, "max_delay": 1000, "jitter": 0 };
+
+        assertSame( 'The first retry should wait the base delay.', 100, this.getDelay( oRetry, 1 ) );
+        assertSame( 'The delay should double.', 200, this.getDelay( oRetry, 2 ) );
+        assertSame( 'The delay should double again.', 800, this.getDelay( oRetry, 4 ) );
+        assertSame( 'The delay should be capped at the max delay.', 1000, this.getDelay( oRetry, 5 ) );
+        assertSame( 'The delay should stay at the max delay.', 1000, this.getDelay( oRetry, 30 ) );
+    },
+    testJitter: function()
+    {
+        var oRetry = { "base_delay": 1000, "max_delay": 30000, "jitter": 0.5 };
+
+        this.nRandom = 0;
+        assertSame( 'No randomness should keep the full delay.', 2000, this.getDelay( oRetry, 2 ) );
+
+        this.nRandom = 0.999999;
+        assertSame( 'The delay should be cut by the jitter at most.', 1000, this.getDelay( oRetry, 2 ) );
+
+        this.nRandom = 0.5;
+        assertSame( 'The delay should be cut in between.', 1500, this.getDelay( oRetry, 2 ) );
+    },
+    testRetryAfterDelay: function()
+    {
+        this.nRandom = 0.5;
+
+        assertSame( 'Retry-After should be used as is.', 5000, this.getDelay( {}, 3, 5000 ) );
+        assertSame( 'Retry-After should not be capped.', 60000, this.getDelay( { "max_delay": 1000 }, 1, 60000 ) );
+        assertSame( 'Retry-After should be ignored if turned off.', 750,
+            this.getDelay( { "base_delay": 1000, "retry_after": false }, 1, 5000 ) );
+    },
+    testRetryable: function()
+    {
+        assertTrue( 'A network error should be retried.', SecureUploaderRequest.isRetryable( 0 ) );
+        assertTrue( 'A request timeout should be retried.', SecureUploaderRequest.isRetryable( 408 ) );
+        assertTrue( 'Too many requests should be retried.', SecureUploaderRequest.isRetryable( 429 ) );
+        assertTrue( 'A server error should be retried.', SecureUploaderRequest.isRetryable( 500 ) );
+        assertTrue( 'An unavailable server should be retried.', SecureUploaderRequest.isRetryable( 503 ) );
+        assertFalse( 'A bad request should not be retried.', SecureUploaderRequest.isRetryable( 400 ) );
+        assertFalse( 'A refused request should not be retried.', SecureUploaderRequest.isRetryable( 403 ) );
+        assertFalse( 'A missing upload should not be retried.', SecureUploaderRequest.isRetryable( 404 ) );
+        assertFalse( 'A too large request should not be retried.', SecureUploaderRequest.isRetryable( 413 ) );
+    },
+    testParseRetryAfter: function()
+    {
+        var nNow = Date.UTC( 2015, 9, 21, 7, 28, 0 );
+
+        assertNull( 'No header should be null.', SecureUploaderRequest.parseRetryAfter( null, nNow ) );
+        assertNull( 'An empty header should be null.', SecureUploaderRequest.parseRetryAfter( '', nNow ) );
+        assertSame( 'Seconds should be converted.', 120000, SecureUploaderRequest.parseRetryAfter( '120', nNow ) );
+        assertSame( 'Spaces around the seconds should be allowed.', 3000, SecureUploaderRequest.parseRetryAfter( ' 3 ', nNow ) );
+        assertSame( 'Zero seconds should be kept.', 0, SecureUploaderRequest.parseRetryAfter( '0', nNow ) );
+        assertSame( 'A date should be counted from now.', 30000,
+            SecureUploaderRequest.parseRetryAfter( 'Wed, 21 Oct 2015 07:28:30 GMT', nNow ) );
+        assertSame( 'A past date should not wait.', 0,
+            SecureUploaderRequest.parseRetryAfter( 'Wed, 21 Oct 2015 07:00:00 GMT', nNow ) );
+        assertNull( 'A negative number should be invalid.', SecureUploaderRequest.parseRetryAfter( '-5', nNow ) );
+        assertNull( 'Garbage should be invalid.', SecureUploaderRequest.parseRetryAfter( 'soon', nNow ) );
+    }
+} );
@@ -0,0 +1,77 @@
+/**
+ * Testing static helpers of SecureUploaderSettings.
+ */
+TestCase( "SecureUploaderSettingsTestCase", {
+    testProfile: function()
+    {
+        assertNull( 'No profile should be null.', SecureUploaderSettings.getProfile( undefined ) );
+        assertSame( 'A profile should be found by name.',
+            SecureUploaderSettings.PROFILES.dropzone, SecureUploaderSettings.getProfile( 'dropzone' ) );
+        assertException( 'An unknown profile should be an error.', function()
+        {
+            SecureUploaderSettings.getProfile( 'plupload' );
+        } );
+    },
+    testFieldNames: function()
+    {
+        var oNames = SecureUploaderSettings.getFieldNames( SecureUploaderSettings.PROFILES.resumable, {
+            "guid"              : 'flowIdentifier',
+            "hash_algorithm"    : false
+        } );
+
+        assertSame( 'The given names should override the ones of the profile.', 'flowIdentifier', oNames.guid );
+        assertSame( 'The names of the profile should be kept.', 'file', oNames.chunk );
+        assertFalse( 'A field can be left out.', oNames.hash_algorithm );
+        assertEquals( 'Without names nothing should be renamed.', {}, SecureUploaderSettings.getFieldNames( null, undefined ) );
+    },
+    testChunkFieldCannotBeLeftOut: function()
+    {
+        assertException( 'Leaving out the chunk should be an error.', function()
+        {
+            SecureUploaderSettings.getFieldNames( null, { "chunk": false } );
+        } );
+    },
+    testAdaptiveChunkSize: function()
+    {
+        var oAdaptive = SecureUploaderSettings.getAdaptiveChunkSize( true );
+
+        assertNull( 'Not set should turn it off.', SecureUploaderSettings.getAdaptiveChunkSize( undefined ) );
+        assertNull( 'False should turn it off.', SecureUploaderSettings.getAdaptiveChunkSize( false ) );
+        assertEquals( 'True should give the defaults.',
+            { "min_size": 65536, "max_size": 10485760, "target_time": 3000 }, oAdaptive );
+
+        oAdaptive = SecureUploaderSettings.getAdaptiveChunkSize( { "max_size": 1048576 } );
+        assertSame( 'The given size should be kept.', 1048576, oAdaptive.max_size );
+        assertSame( 'The missing size should be the default.', 65536, oAdaptive.min_size );
+        assertSame( 'The missing time should be the default.', 3000, oAdaptive.target_time );
+    },
+    testHashes: function()
+    {
+        var oHashes = SecureUploaderSettings.getHashes( {} );
+
+        assertEquals( 'The chunks should be hashed with sha1 by default.', ['sha1'], oHashes.chunk );
+        assertEquals( 'The file should be hashed with sha1 by default.', ['sha1'], oHashes.entire );
+
+        oHashes = SecureUploaderSettings.getHashes( { "hash_algorithm": 'sha256' } );
+        assertEquals( 'The chunks should follow hash_algorithm.', ['sha256'], oHashes.chunk );
+        assertEquals( 'The file should be hashed with hash_algorithm.', ['sha256'], oHashes.entire );
+
+        oHashes = SecureUploaderSettings.getHashes( { "hash_algorithm": 'sha256', "chunk_hash_algorithm": 'crc32' } );
+        assertEquals( 'The chunks should be hashed with chunk_hash_algorithm.', ['crc32'], oHashes.chunk );
+        assertEquals( 'The file should still be hashed with hash_algorithm.', ['sha256'], oHashes.entire );
+
+        oHashes = SecureUploaderSettings.getHashes( {
+            "hash_algorithm"    : 'sha256',
+            "hashes"            : { "chunk": ['md5', 'crc32'], "entire": [] }
+        } );
+        assertEquals( 'The chunk list should be kept.', ['md5', 'crc32'], oHashes.chunk );
+        assertEquals( 'An empty list should fall back to hash_algorithm.', ['sha256'], oHashes.entire );
+    },
+    testHashAlgorithms: function()
+    {
+        var oSettings = new SecureUploaderSettings( { "hashes": { "chunk": ['crc32', 'md5'], "entire": ['sha512', 'sha1'] } } );
+
+        assertSame( 'The first chunk hash should be the chunk_hash_algorithm.', 'crc32', oSettings.chunk_hash_algorithm );
+        assertSame( 'The first entire hash should be the hash_algorithm.', 'sha512', oSettings.hash_algorithm );
+    }
+} );
@@ -0,0 +1,164 @@
+/**
+ * Testing the pacing of the bandwidth limit with a fake clock and fake timers.
+ */
+TestCase( "SecureUploaderThrottleTestCase", {
+    setUp: function()
+    {
+        var self = this;
+
+        this.fpGetTime = Date.prototype.getTime;
+        this.fpSetTimeout = setTimeout;
+        this.fpClearTimeout = clearTimeout;
+        this.nNow = 0;
+        this.nLastTimer = 0;
+        this.oTimers = {};
+        this.aCalled = [];
+        this.oThrottle = new SecureUploaderThrottle();
+
+        Date.prototype.getTime = function()
+        {
+            return self.nNow;
+        };
+        setTimeout = function( fpCallback, nDelay )
+        {
+            self.nLastTimer++;
+            self.oTimers[self.nLastTimer] = { "callback": fpCallback, "time": self.nNow + nDelay };
+            return self.nLastTimer;
+        };
+        clearTimeout = function( nTimer )
+        {
+            delete self.oTimers[nTimer];
+        };
+    },
+    tearDown: function()
+    {
+        Date.prototype.getTime = this.fpGetTime;
+        setTimeout = this.fpSetTimeout;
+        clearTimeout = this.fpClearTimeout;
+    },
+    tick: function( nTime )
+    {
+        var nEnd = this.nNow + nTime;
+        var nNext;
+        var nTimer;
+
+        // Runs the timers in order of time, including the ones they start.
+        while ( true )
+        {
+            nNext = null;
+            for ( nTimer in this.oTimers )
+            {
+                if ( this.oTimers[nTimer].time <= nEnd && ( null === nNext || this.oTimers[nTimer].time < this.oTimers[nNext].time ) )
+                {
+                    nNext = nTimer;
+                }
+            }
+            if ( null === nNext )
+            {
+                break;
+            }
+            this.nNow = this.oTimers[nNext].time;
+            this.oTimers[nNext].callback();
+            delete this.oTimers[nNext];
+        }
+        this.nNow = nEnd;
+    },
+    wait: function( sName, nBytes )
+    {
+        var self = this;
+
+        return this.oThrottle.wait( nBytes, function()
+        {
+            self.aCalled.push( sName + '@' + self.nNow );
+        } );
+    },
+    testWithoutLimit: function()
+    {
+        assertFalse( 'There should be no limit by default.', this.oThrottle.isLimited() );
+        assertNull( 'No ticket should be returned.', this.wait( 'a', 1000000 ) );
+        assertNull( 'No ticket should be returned again.', this.wait( 'b', 1000000 ) );
+        assertEquals( 'The requests should go right away.', [ 'a@0', 'b@0' ], this.aCalled );
+    },
+    testPacing: function()
+    {
+        this.oThrottle.setLimit( 1000 );
+        assertTrue( 'The limit should be set.', this.oThrottle.isLimited() );
+
+        assertNull( 'The first request should go right away.', this.wait( 'a', 500 ) );
+        assertNotNull( 'The second request should wait.', this.wait( 'b', 500 ) );
+        this.wait( 'c', 1000 );
+        assertEquals( 'Only the first request should go.', [ 'a@0' ], this.aCalled );
+
+        this.tick( 3000 );
+        assertEquals( 'Each request should go when the bytes before it are paid off.',
+            [ 'a@0', 'b@500', 'c@1000' ], this.aCalled );
+        assertSame( 'Nothing should be left waiting.', 0, this.oThrottle.aWaiting.length );
+
+        this.wait( 'd', 100 );
+        assertEquals( 'A request after a quiet time should go right away.',
+            [ 'a@0', 'b@500', 'c@1000', 'd@3000' ], this.aCalled );
+    },
+    testCancel: function()
+    {
+        var oTicket;
+
+        this.oThrottle.setLimit( 1000 );
+        this.wait( 'a', 1000 );
+        oTicket = this.wait( 'b', 1000 );
+        this.wait( 'c', 1000 );
+        this.oThrottle.cancel( oTicket );
+
+        this.tick( 5000 );
+        assertEquals( 'The cancelled request should not go.', [ 'a@0', 'c@1000' ], this.aCalled );
+    },
+    testSetLimit: function()
+    {
+        this.oThrottle.setLimit( 100 );
+        this.wait( 'a', 1000 );
+        this.wait( 'b', 1000 );
+        this.wait( 'c', 1000 );
+
+        this.tick( 1000 );
+        this.oThrottle.setLimit( 1000 );
+        assertEquals( 'A higher limit should let the next request go right away.', [ 'a@0', 'b@1000' ], this.aCalled );
+
+        this.tick( 999 );
+        assertEquals( 'The next request should be paced by the new limit.', [ 'a@0', 'b@1000' ], this.aCalled );
+        this.tick( 1 );
+        assertEquals( 'The next request should go by the new limit.', [ 'a@0', 'b@1000', 'c@2000' ], this.aCalled );
+
+        this.wait( 'd', 1000 );
+        this.oThrottle.setLimit( 0 );
+        assertEquals( 'Removing the limit should let every request go.',
+            [ 'a@0', 'b@1000', 'c@2000', 'd@2000' ], this.aCalled );
+        assertSame( 'No timer should be left.', null, this.oThrottle.nTimer );
+    },
+    testHeldFiles: function()
+    {
+        var aScheduled = [];
+        var createFile = function( sName )
+        {
+            return {
+                schedule: function()
+                {
+                    aScheduled.push( sName );
+                }
+            };
+        };
+        var oFileA = createFile( 'a' );
+        var oFileB = createFile( 'b' );
+
+        this.oThrottle.setLimit( 1000 );
+        this.oThrottle.holdBack( oFileA );
+        this.oThrottle.holdBack( oFileB );
+        this.oThrottle.holdBack( oFileA );
+        assertEquals( 'The files should not be scheduled while held back.', [], aScheduled );
+
+        this.oThrottle.setLimit( 2000 );
+        assertEquals( 'Every held file should be scheduled once when the limit changes.', [ 'a', 'b' ], aScheduled );
+        assertSame( 'No file should be held any more.', 0, this.oThrottle.aHeldFiles.length );
+
+        this.oThrottle.setLimit( 0 );
+        assertEquals( 'The files should not be scheduled again.', [ 'a', 'b' ], aScheduled );
+    }
+} );
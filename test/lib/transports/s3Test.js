@@ -0,0 +1,162 @@
+/**
+ * Testing static helpers, the signing and the rejected signatures of SecureUploaderS3Transport.
+ */
+TestCase( "SecureUploaderS3TestCase", {
+    createTransport: function()
+    {
+        return {
+            "oUploaderFile" : { "oFile": { "size": 8 }, "sGuid": 'guid', "nChunksize": 4 },
+            "oSettings"     : new SecureUploaderSettings( { "hashes": { "chunk": ['sha1'] }, "retry": { "base_delay": 100, "jitter": 0 } } ),
+            "oOptions"      : {},
+            "sUploadId"     : 'upload',
+            "sKey"          : 'key',
+            "oParts"        : {},
+            "oResigned"     : {}
+        };
+    },
+    createResult: function( nOffset )
+    {
+        return {
+            "buffer"    : null,
+            "offset"    : nOffset,
+            "size"      : 4,
+            "hash"      : 'a9993e364706816aba3e25717850c26c9cd0d89d',
+            "hashes"    : { "sha1": 'a9993e364706816aba3e25717850c26c9cd0d89d' }
+        };
+    },
+    finishPart: function( oTransport, nOffset, nStatus, sResponse )
+    {
+        var oRequest = new SecureUploaderS3Request( oTransport, this.createResult( nOffset ), function() {} );
+
+        oRequest.nStatus = nStatus;
+        oRequest.sResponse = sResponse || '';
+        oRequest.sFailureReason = oRequest.findFailureReason();
+        return oRequest;
+    },
+    testPartSize: function()
+    {
+        var nMegabyte = 1048576;
+
+        assertSame( 'A small chunk should be raised to the minimal part size.',
+            SecureUploaderS3Transport.MIN_PART_SIZE, SecureUploaderS3Transport.getPartSize( 1024, 100 * nMegabyte ) );
+        assertSame( 'The minimal part size should be kept.',
+            5 * nMegabyte, SecureUploaderS3Transport.getPartSize( 5 * nMegabyte, 100 * nMegabyte ) );
+        assertSame( 'A large chunk should be kept.',
+            8 * nMegabyte, SecureUploaderS3Transport.getPartSize( 8 * nMegabyte, 100 * nMegabyte ) );
+        assertSame( 'The file should fit in the maximal number of parts, in whole megabytes.',
+            11 * nMegabyte, SecureUploaderS3Transport.getPartSize( 6 * nMegabyte, 100 * 1024 * nMegabyte ) );
+        assertSame( 'A chunk fitting the file in the maximal number of parts should be kept.',
+            10 * nMegabyte, SecureUploaderS3Transport.getPartSize( 10 * nMegabyte, 10000 * 10 * nMegabyte ) );
+        assertSame( 'One more byte should need a larger part.',
+            11 * nMegabyte, SecureUploaderS3Transport.getPartSize( 10 * nMegabyte, 10000 * 10 * nMegabyte + 1 ) );
+    },
+    testChecksumAlgorithm: function()
+    {
+        assertSame( 'The first algorithm known by S3 should be used.',
+            'sha256', SecureUploaderS3Transport.getChecksumAlgorithm( ['sha512', 'sha256', 'md5'] ) );
+        assertSame( 'Content-MD5 should be used for md5.',
+            'md5', SecureUploaderS3Transport.getChecksumAlgorithm( ['md5'] ) );
+        assertNull( 'No known algorithm should be null.', SecureUploaderS3Transport.getChecksumAlgorithm( ['sha512'] ) );
+        assertNull( 'No algorithm should be null.', SecureUploaderS3Transport.getChecksumAlgorithm( [] ) );
+    },
+    testSignPartRefresh: function()
+    {
+        var oPartInfo = null;
+        var bSuccess = null;
+        var oTransport = {
+            "oUploaderFile" : { "oFile": { "size": 4 }, "sGuid": 'guid', "nChunksize": 4 },
+            "oSettings"     : new SecureUploaderSettings( { "hashes": { "chunk": ['sha1'] } } ),
+            "oOptions"      : {
+                "sign_part" : function( oInfo )
+                {
+                    oPartInfo = oInfo;
+                    throw new Error( 'Not signed.' );
+                }
+            },
+            "sUploadId"     : 'upload',
+            "sKey"          : 'key'
+        };
+        var oRequest = new SecureUploaderS3Request( oTransport, {
+            "buffer"    : null,
+            "offset"    : 0,
+            "size"      : 4,
+            "hash"      : 'a9993e364706816aba3e25717850c26c9cd0d89d',
+            "hashes"    : { "sha1": 'a9993e364706816aba3e25717850c26c9cd0d89d' }
+        }, function( bResult )
+        {
+            bSuccess = bResult;
+        } );
+
+        oRequest.prepare( false );
+        assertFalse( 'The first signing should not refresh.', oPartInfo.refresh );
+        assertSame( 'The checksum header should be passed.', 'qZk+NkcGgWq6PiVxeFDCbJzQ2J0=', oPartInfo.headers['x-amz-checksum-sha1'] );
+        assertFalse( 'A failed signing should fail the request.', bSuccess );
+
+        oRequest.prepare( true );
+        assertTrue( 'Signing after a 401 should refresh.', oPartInfo.refresh );
+    },
+    testRejectedSignature: function()
+    {
+        var oTransport = this.createTransport();
+        var oRequest = this.finishPart( oTransport, 0, 403 );
+
+        assertSame( 'The first 403 of a part should be signed and sent again right away.',
+            SecureUploaderRequest.FAILURE_RESEND, oRequest.getFailureReason() );
+
+        oRequest = this.finishPart( oTransport, 0, 403 );
+        assertSame( 'The next 403 of the part should not be sent again right away.',
+            SecureUploaderRequest.FAILURE_STATUS, oRequest.getFailureReason() );
+        assertTrue( 'The next 403 of the part should be retried.', oRequest.isTemporaryFailure() );
+
+        assertSame( 'The first 403 of another part should be sent again right away.',
+            SecureUploaderRequest.FAILURE_RESEND, this.finishPart( oTransport, 4, 403 ).getFailureReason() );
+        assertSame( 'A damaged part should always be sent again right away.', SecureUploaderRequest.FAILURE_RESEND,
+            this.finishPart( oTransport, 0, 400, '<Error><Code>BadDigest</Code></Error>' ).getFailureReason() );
+        assertFalse( 'Another client error should not be retried.', this.finishPart( oTransport, 0, 400 ).isTemporaryFailure() );
+    },
+    testRejectedSignatureBackoff: function()
+    {
+        var oTransport = this.createTransport();
+        var aDelays = [];
+        var oUploaderFile = {
+            "oSettings"     : oTransport.oSettings,
+            "oAttempts"     : { "0": 1 },
+            "aHashed"       : [],
+            "getRetryDelay" : SecureUploaderFile.prototype.getRetryDelay,
+            "uploadChunk"   : function( oResult, nDelay )
+            {
+                aDelays.push( nDelay );
+                this.oAttempts[0]++;
+            },
+            "trigger"       : function() {},
+            "fail"          : function()
+            {
+                aDelays.push( 'fail' );
+            }
+        };
+
+        for ( var i = 0; i < 4; i++ )
+        {
+            SecureUploaderFile.prototype.chunkFailed.call( oUploaderFile, this.createResult( 0 ), {}, this.finishPart( oTransport, 0, 403 ) );
+        }
+        assertEquals( 'The part should be sent again right away once, then retried with backoff until the attempts run out.',
+            [ 0, 200, 400, 'fail' ], aDelays );
+    },
+    testSignatureAcceptedAgain: function()
+    {
+        var oTransport = this.createTransport();
+        var oRequest;
+
+        this.finishPart( oTransport, 0, 403 );
+        oRequest = SecureUploaderS3Transport.prototype.createRequest.call( oTransport, this.createResult( 0 ), function() {} );
+        oRequest.getETag = function()
+        {
+            return '"etag"';
+        };
+        oRequest.fpFinish( true, oRequest );
+
+        assertSame( 'The part should be uploaded.', '"etag"', oTransport.oParts[1].etag );
+        assertSame( 'A 403 after an uploaded part should be sent again right away.',
+            SecureUploaderRequest.FAILURE_RESEND, this.finishPart( oTransport, 0, 403 ).getFailureReason() );
+    }
+} );
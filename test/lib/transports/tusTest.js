@@ -0,0 +1,80 @@
+/**
+ * Testing static helpers of SecureUploaderTusTransport, and what it does with a lost upload.
+ */
+TestCase( "SecureUploaderTusTestCase", {
+    createTransport: function()
+    {
+        var oUploaderFile = {
+            "oSettings"         : new SecureUploaderSettings( {} ),
+            "oFile"             : { "size": 200 },
+            "sGuid"             : 'guid',
+            "sFingerprint"      : 'fingerprint',
+            "nSaved"            : 0,
+            "saveResumeRecord"  : function()
+            {
+                this.nSaved++;
+            }
+        };
+        var oTransport = new SecureUploaderTusTransport( oUploaderFile );
+
+        oTransport.sUploadUrl = 'https://tus.example/files/1';
+        oTransport.nServerOffset = 100;
+        return oTransport;
+    },
+    finishRequest: function( oTransport, nStatus )
+    {
+        var oRequest = oTransport.createRequest( { "buffer": null, "offset": 100, "size": 100 }, function() {} );
+
+        oRequest.nStatus = nStatus;
+        oRequest.sFailureReason = oRequest.findFailureReason();
+        oRequest.fpFinish( null === oRequest.sFailureReason, oRequest );
+    },
+    testLostUpload: function()
+    {
+        var oTransport = this.createTransport();
+
+        this.finishRequest( oTransport, 404 );
+        assertFalse( 'An upload the server does not know should not be ready.', oTransport.isReady() );
+        assertNull( 'The resume record should forget the upload.', oTransport.getResumeData().upload_url );
+        assertSame( 'The resume record should be saved.', 1, oTransport.oUploaderFile.nSaved );
+
+        oTransport = this.createTransport();
+        this.finishRequest( oTransport, 410 );
+        assertFalse( 'A gone upload should not be ready.', oTransport.isReady() );
+    },
+    testKeptUpload: function()
+    {
+        var oTransport = this.createTransport();
+
+        this.finishRequest( oTransport, 409 );
+        assertTrue( 'An offset conflict should keep the upload.', oTransport.isReady() );
+        assertNull( 'The offset should be asked for again.', oTransport.nServerOffset );
+
+        this.finishRequest( oTransport, 0 );
+        assertTrue( 'A network error should keep the upload.', oTransport.isReady() );
+        assertSame( 'The resume record should not change.', 0, oTransport.oUploaderFile.nSaved );
+    },
+    testEncodeMetadata: function()
+    {
+        assertSame( 'The values should be base64 encoded.', 'filename d29ybGRfZG9taW5hdGlvbl9wbGFuLnBkZg==,size MTAw',
+            SecureUploaderTusTransport.encodeMetadata( { "filename": 'world_domination_plan.pdf', "size": 100 } ) );
+        assertSame( 'The values should be encoded as UTF-8.', 'filename xZEuYmlu',
+            SecureUploaderTusTransport.encodeMetadata( { "filename": '\u0151.bin' } ) );
+        assertSame( 'An empty value should be kept.', 'type ',
+            SecureUploaderTusTransport.encodeMetadata( { "type": '' } ) );
+        assertSame( 'Missing values should be left out.', 'guid YWJj',
+            SecureUploaderTusTransport.encodeMetadata( { "hash": null, "guid": 'abc', "size": undefined } ) );
+        assertSame( 'No metadata should be an empty header.', '', SecureUploaderTusTransport.encodeMetadata( {} ) );
+    },
+    testResolveUrl: function()
+    {
+        assertSame( 'An absolute path should be resolved against the host of the creation URL.', 'https://tus.example/files/1',
+            SecureUploaderTusTransport.resolveUrl( '/files/1', 'https://tus.example/uploads/' ) );
+        assertSame( 'A relative path should be resolved against the creation URL.', 'https://tus.example/uploads/1',
+            SecureUploaderTusTransport.resolveUrl( '1', 'https://tus.example/uploads/' ) );
+        assertSame( 'An absolute URL should be kept.', 'https://storage.example/files/1',
+            SecureUploaderTusTransport.resolveUrl( 'https://storage.example/files/1', 'https://tus.example/uploads/' ) );
+        assertSame( 'A relative creation URL should be resolved against the page.',
+            new URL( '/files/1', location.href ).href, SecureUploaderTusTransport.resolveUrl( 'files/1', '/uploads' ) );
+    }
+} );
@@ -0,0 +1,705 @@
+/**
+ * Testing SecureUploaderFile with fake files, requests and a fake clock, nothing
+ * is hashed or sent.
+ */
+TestCase( "SecureUploaderFileTestCase", {
+    setUp: function()
+    {
+        var self = this;
+
+        this.fpGetTime = Date.prototype.getTime;
+        this.fpXhr = XMLHttpRequest;
+        // Files held back by the bandwidth limit are not shared with other tests.
+        this.oThrottle = SecureUploaderThrottle.oInstance;
+        SecureUploaderThrottle.oInstance = null;
+        this.nNow = 0;
+        this.aXhrs = [];
+
+        Date.prototype.getTime = function()
+        {
+            return self.nNow;
+        };
+        XMLHttpRequest = function()
+        {
+            self.aXhrs.push( this );
+        };
+        XMLHttpRequest.prototype = {
+            open                : function( sMethod, sUrl )
+            {
+                this.sUrl = sUrl;
+            },
+            setRequestHeader    : function() {},
+            send                : function( sData )
+            {
+                this.sData = sData;
+            }
+        };
+    },
+    tearDown: function()
+    {
+        Date.prototype.getTime = this.fpGetTime;
+        XMLHttpRequest = this.fpXhr;
+        SecureUploaderThrottle.oInstance = this.oThrottle;
+    },
+    respond: function( oXhr, nStatus, sResponse )
+    {
+        oXhr.readyState = 4;
+        oXhr.status = nStatus;
+        oXhr.responseText = sResponse;
+        oXhr.onreadystatechange();
+    },
+    createCheckedFile: function( aLog )
+    {
+        var oUploaderFile = this.createUploaderFile( { "chunk_size": 100, "check_url": 'check' } );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.oWorker = {
+            postMessage : function( oMessage )
+            {
+                aLog.push( 'worker:' + oMessage.action );
+            }
+        };
+        oUploaderFile.oTransport = {
+            begin       : function()
+            {
+                aLog.push( 'begin' );
+            }
+        };
+        oUploaderFile.onsuccess = function( oEvent )
+        {
+            aLog.push( 'success:' + oEvent.deduplicated + ':' + oEvent.file_id );
+        };
+        oUploaderFile.beginChunks();
+
+        // The worker hashed the entire file.
+        oUploaderFile.fpEntireHashed( null, {
+            "entire_size"   : 1000,
+            "entire_hash"   : 'ffff',
+            "entire_hashes" : { "sha1": 'ffff' }
+        } );
+        return oUploaderFile;
+    },
+    createUploaderFile: function( oSettings )
+    {
+        return new SecureUploaderFile( { "name": 'a.bin', "size": 1000 }, new SecureUploaderSettings( oSettings || { "chunk_size": 100 } ) );
+    },
+    createRunningRequest: function( nSize, nProgress, bDelayed )
+    {
+        return {
+            "nSize"                 : nSize,
+            getProgressPercentage   : function()
+            {
+                return nProgress;
+            },
+            isDelayed               : function()
+            {
+                return !!bDelayed;
+            }
+        };
+    },
+    testChunkSizeAt: function()
+    {
+        assertSame( 'Without chunks on the server the chunk size should be used.',
+            100, SecureUploaderFile.getChunkSizeAt( 0, 100, {} ) );
+        assertSame( 'A chunk the server has should keep its size.',
+            40, SecureUploaderFile.getChunkSizeAt( 100, 100, { "100": 40 } ) );
+    },
+    testChunkSizeAtSmallGap: function()
+    {
+        // The earlier upload halved its chunks after a stall: 0-100, gap at 100-150, 150-200.
+        var oChunksOnServer = { "0": 100, "150": 50 };
+
+        assertSame( 'A gap smaller than the chunk size should stop where the next chunk of the server begins.',
+            50, SecureUploaderFile.getChunkSizeAt( 100, 100, oChunksOnServer ) );
+        assertSame( 'The chunk after the gap should be the one of the server.',
+            50, SecureUploaderFile.getChunkSizeAt( 150, 100, oChunksOnServer ) );
+        assertSame( 'Chunks of the server beyond the chunk should not matter.',
+            100, SecureUploaderFile.getChunkSizeAt( 200, 100, { "300": 10 } ) );
+    },
+    createResumingFile: function( oSettings, oRecord )
+    {
+        return {
+            "oSettings"         : new SecureUploaderSettings( oSettings ),
+            "oFile"             : { "name": 'a.bin', "size": 1000, "lastModified": 1 },
+            "sGuid"             : 'NEW',
+            "nChunksize"        : oSettings.chunk_size,
+            "aLog"              : [],
+            "oTransport"        : {
+                "restore"   : function() {}
+            },
+            "loadResumeRecord"  : function()
+            {
+                return oRecord;
+            },
+            "saveResumeRecord"  : function()
+            {
+                this.aLog.push( 'save' );
+            },
+            "beginChunks"       : function()
+            {
+                this.aLog.push( 'begin' );
+            }
+        };
+    },
+    testProfileChunkSize: function()
+    {
+        var oUploaderFile = { "oSettings": new SecureUploaderSettings( { "chunk_size": 1000 } ), "nChunksize": 1000 };
+
+        SecureUploaderFile.prototype.setChunkSize.call( oUploaderFile, 2000 );
+        assertSame( 'The server should change the chunk size.', 2000, oUploaderFile.nChunksize );
+
+        oUploaderFile = { "oSettings": new SecureUploaderSettings( { "chunk_size": 1000, "profile": 'resumable' } ), "nChunksize": 1000 };
+        SecureUploaderFile.prototype.setChunkSize.call( oUploaderFile, 2000 );
+        assertSame( 'The server should not change the chunk size of a profile.', 1000, oUploaderFile.nChunksize );
+    },
+    testProfileResumeRecord: function()
+    {
+        var oRecord = { "guid": 'OLD', "chunk_size": 500 };
+        var oUploaderFile = this.createResumingFile( { "chunk_size": 1000 }, oRecord );
+
+        SecureUploaderFile.prototype.restoreUpload.call( oUploaderFile, 'ffff' );
+        assertSame( 'The earlier upload should be continued.', 'OLD', oUploaderFile.sGuid );
+        assertSame( 'The chunk size of the earlier upload should be used.', 500, oUploaderFile.nChunksize );
+
+        oUploaderFile = this.createResumingFile( { "chunk_size": 1000, "profile": 'dropzone' }, oRecord );
+        SecureUploaderFile.prototype.restoreUpload.call( oUploaderFile, 'ffff' );
+        assertSame( 'An upload of another chunk size should not be continued with a profile.', 'NEW', oUploaderFile.sGuid );
+        assertSame( 'The chunk size of the profile should be kept.', 1000, oUploaderFile.nChunksize );
+        assertEquals( 'The new upload should be saved and begun.', [ 'save', 'begin' ], oUploaderFile.aLog );
+
+        oUploaderFile = this.createResumingFile( { "chunk_size": 1000, "profile": 'dropzone' }, { "guid": 'OLD', "chunk_size": 1000 } );
+        SecureUploaderFile.prototype.restoreUpload.call( oUploaderFile, 'ffff' );
+        assertSame( 'An upload of the same chunk size should be continued with a profile.', 'OLD', oUploaderFile.sGuid );
+    },
+    createAdaptingFile: function()
+    {
+        return {
+            "oSettings"         : new SecureUploaderSettings( {
+                "chunk_size"            : 65536,
+                "adaptive_chunk_size"   : { "min_size": 32768, "max_size": 262144, "target_time": 1000 }
+            } ),
+            "nChunksize"        : 65536,
+            "nThroughput"       : null,
+            "bServerChunkSize"  : false,
+            "sFingerprint"      : 'ffff',
+            "nSaved"            : 0,
+            "setChunkSize"      : SecureUploaderFile.prototype.setChunkSize,
+            "saveResumeRecord"  : function()
+            {
+                this.nSaved++;
+            }
+        };
+    },
+    createAdaptingRequest: function( nSize, nDuration, sReason )
+    {
+        return {
+            "nSize"             : nSize,
+            getDuration         : function()
+            {
+                return nDuration;
+            },
+            getFailureReason    : function()
+            {
+                return sReason || null;
+            }
+        };
+    },
+    testAdaptChunkSize: function()
+    {
+        var oUploaderFile = this.createAdaptingFile();
+        var fpAdapt = SecureUploaderFile.prototype.adaptChunkSize;
+
+        // 64 KiB in 100 ms would be 640 KiB per second, but it may only double.
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 65536, 100 ), true );
+        assertSame( 'A fast chunk should double the size.', 131072, oUploaderFile.nChunksize );
+        assertSame( 'The new size should be saved.', 1, oUploaderFile.nSaved );
+
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 131072, 100 ), true );
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 262144, 100 ), true );
+        assertSame( 'The size should stop at max_size.', 262144, oUploaderFile.nChunksize );
+        assertSame( 'An unchanged size should not be saved again.', 2, oUploaderFile.nSaved );
+
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 262144, 0, SecureUploaderRequest.FAILURE_STALL ), false );
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 131072, 0, SecureUploaderRequest.FAILURE_TIMEOUT ), false );
+        assertSame( 'Failures should halve the size.', 65536, oUploaderFile.nChunksize );
+
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 65536, 0, SecureUploaderRequest.FAILURE_NETWORK ), false );
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 32768, 0, SecureUploaderRequest.FAILURE_NETWORK ), false );
+        assertSame( 'The size should stop at min_size.', 32768, oUploaderFile.nChunksize );
+
+        fpAdapt.call( oUploaderFile, this.createAdaptingRequest( 32768, 0, SecureUploaderRequest.FAILURE_STATUS ), false );
+        assertSame( 'Other failures should not change the size.', 32768, oUploaderFile.nChunksize );
+        assertSame( 'Every change should be saved.', 5, oUploaderFile.nSaved );
+    },
+    testChunksOnServer: function()
+    {
+        var oUploaderFile = { "oChunksOnServer": {} };
+
+        SecureUploaderFile.prototype.setChunksOnServer.call( oUploaderFile,
+            '{"chunks": [{"offset": 0, "size": 100}, {"offset": 100, "size": 100}]}' );
+        assertEquals( 'The chunks should be keyed by offset.', { "0": 100, "100": 100 }, oUploaderFile.oChunksOnServer );
+
+        SecureUploaderFile.prototype.setChunksOnServer.call( oUploaderFile, 'Not found' );
+        SecureUploaderFile.prototype.setChunksOnServer.call( oUploaderFile, '{"status": "ok"}' );
+        assertEquals( 'Other responses should be ignored.', { "0": 100, "100": 100 }, oUploaderFile.oChunksOnServer );
+
+        assertTrue( 'A chunk of the same size should be skipped.',
+            SecureUploaderFile.prototype.isChunkOnServer.call( oUploaderFile, { "offset": 100, "size": 100 } ) );
+        assertFalse( 'A chunk of another size should be uploaded.',
+            SecureUploaderFile.prototype.isChunkOnServer.call( oUploaderFile, { "offset": 100, "size": 50 } ) );
+        assertFalse( 'A chunk the server does not have should be uploaded.',
+            SecureUploaderFile.prototype.isChunkOnServer.call( oUploaderFile, { "offset": 200, "size": 100 } ) );
+        assertFalse( 'The last chunk should always be uploaded.',
+            SecureUploaderFile.prototype.isChunkOnServer.call( oUploaderFile, { "offset": 100, "size": 100, "entire_hash": 'ffff' } ) );
+    },
+    testChunkEventData: function()
+    {
+        var fpCreate = SecureUploaderFile.prototype.createChunkEventData;
+        var oHashes = { "sha1": 'a9993e36' };
+        var oResult = { "offset": 100, "size": 50, "hash": 'a9993e36', "hashes": oHashes, "buffer": null };
+
+        assertEquals( 'A chunk should be described by its place and hashes.',
+            { "offset": 100, "size": 50, "hash": 'a9993e36', "hashes": oHashes }, fpCreate.call( null, oResult ) );
+
+        oResult.entire_size = 150;
+        oResult.entire_hash = 'ffff';
+        oResult.entire_hashes = { "sha1": 'ffff' };
+        assertEquals( 'The last chunk should describe the entire file too.', {
+            "offset"        : 100,
+            "size"          : 50,
+            "hash"          : 'a9993e36',
+            "hashes"        : oHashes,
+            "entire_size"   : 150,
+            "entire_hash"   : 'ffff',
+            "entire_hashes" : { "sha1": 'ffff' }
+        }, fpCreate.call( null, oResult ) );
+    },
+    testNameFile: function()
+    {
+        var oBlob = new Blob( [ 'abc' ], { "type": 'text/plain' } );
+        var oFile = SecureUploaderFile.nameFile( oBlob );
+        var oRenamed;
+
+        assertSame( 'A Blob should get the default name.', SecureUploaderFile.DEFAULT_NAME, oFile.name );
+        assertSame( 'The type should be kept.', 'text/plain', oFile.type );
+        assertSame( 'The size should be kept.', 3, oFile.size );
+        assertSame( 'A file with the right name should be kept.', oFile, SecureUploaderFile.nameFile( oFile ) );
+        assertSame( 'A file with the given name should be kept.', oFile,
+            SecureUploaderFile.nameFile( oFile, SecureUploaderFile.DEFAULT_NAME ) );
+
+        oRenamed = SecureUploaderFile.nameFile( oFile, 'report.txt' );
+        assertSame( 'The given name should replace the name of the file.', 'report.txt', oRenamed.name );
+        assertSame( 'The renamed file should keep its type.', 'text/plain', oRenamed.type );
+        assertSame( 'The renamed file should keep its modification time.', oFile.lastModified, oRenamed.lastModified );
+        assertSame( 'The original file should keep its name.', SecureUploaderFile.DEFAULT_NAME, oFile.name );
+    },
+    testDetailedState: function()
+    {
+        var oUploaderFile = this.createUploaderFile();
+
+        assertSame( 'A file not started should be idle.', SecureUploaderFile.STATE_IDLE, oUploaderFile.getStatus().state );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.bPreparing = true;
+        assertSame( 'A file being verified should be hashing.', SecureUploaderFile.STATUS_HASHING, oUploaderFile.getStatus().state );
+
+        oUploaderFile.bPreparing = false;
+        oUploaderFile.nHashing = 2;
+        assertSame( 'A file with only chunks being hashed should be hashing.',
+            SecureUploaderFile.STATUS_HASHING, oUploaderFile.getStatus().state );
+
+        oUploaderFile.aRequests = [ this.createRunningRequest( 100, 0.5 ) ];
+        assertSame( 'A file sending a chunk should be uploading.', SecureUploaderFile.STATE_UPLOADING, oUploaderFile.getStatus().state );
+
+        oUploaderFile.aRequests.push( this.createRunningRequest( 100, 0, true ) );
+        assertSame( 'A file with a chunk waiting for its next attempt should be retrying.',
+            SecureUploaderFile.STATUS_RETRYING, oUploaderFile.getStatus().state );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_PAUSED;
+        assertSame( 'A paused file should be paused.', SecureUploaderFile.STATE_PAUSED, oUploaderFile.getStatus().state );
+    },
+    testStatusSpeed: function()
+    {
+        var oUploaderFile = this.createUploaderFile();
+        var oStatus;
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.startClock();
+        assertSame( 'Nothing sent should have no speed.', 0, oUploaderFile.getStatus().speed );
+        assertNull( 'Without a speed the ETA should be unknown.', oUploaderFile.getStatus().eta );
+
+        // Two chunks confirmed, the third one half sent after 2 seconds.
+        this.nNow = 2000;
+        oUploaderFile.nOffset = 300;
+        oUploaderFile.nHashedBytes = 300;
+        oUploaderFile.nChunksIssued = 3;
+        oUploaderFile.nChunksConfirmed = 2;
+        oUploaderFile.nConfirmedBytes = 200;
+        oUploaderFile.nSentBytes = 200;
+        oUploaderFile.aRequests = [ this.createRunningRequest( 100, 0.5 ) ];
+        oUploaderFile.sampleSpeed();
+
+        oStatus = oUploaderFile.getStatus();
+        assertEquals( 'The status should be counted from the file and its requests.', {
+            "guid"              : oUploaderFile.sGuid,
+            "state"             : SecureUploaderFile.STATE_UPLOADING,
+            "progress"          : 0.25,
+            "bytes_total"       : 1000,
+            "bytes_hashed"      : 300,
+            "bytes_confirmed"   : 200,
+            "bytes_in_flight"   : 50,
+            "speed"             : 125,
+            "average_speed"     : 125,
+            "elapsed"           : 2000,
+            "eta"               : 6,
+            "chunk_index"       : 2,
+            "chunk_count"       : 10
+        }, oStatus );
+
+        // The speed is measured over the last 5 seconds only.
+        this.nNow = 8000;
+        oUploaderFile.nConfirmedBytes = 850;
+        oUploaderFile.nSentBytes = 850;
+        oUploaderFile.aRequests = [];
+        oStatus = oUploaderFile.getStatus();
+        assertSame( 'The speed should be measured since the last sample before the window.', 100, oStatus.speed );
+        assertSame( 'The average speed should be measured since the start.', 106, oStatus.average_speed );
+        assertSame( 'The ETA should use the current speed.', 2, oStatus.eta );
+    },
+    testStatusPausedAndDone: function()
+    {
+        var oUploaderFile = this.createUploaderFile();
+        var oStatus;
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.startClock();
+        this.nNow = 1000;
+        oUploaderFile.nSentBytes = 500;
+        oUploaderFile.nConfirmedBytes = 500;
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_PAUSED;
+        oUploaderFile.stopClock();
+        this.nNow = 60000;
+        oStatus = oUploaderFile.getStatus();
+        assertSame( 'The pause should not count as uploading time.', 1000, oStatus.elapsed );
+        assertSame( 'A paused file should have no current speed.', 0, oStatus.speed );
+        assertSame( 'The average speed should be kept.', 500, oStatus.average_speed );
+        assertNull( 'A paused file should have no ETA.', oStatus.eta );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_DONE;
+        oUploaderFile.nConfirmedBytes = 1000;
+        assertSame( 'A finished file should have nothing left.', 0, oUploaderFile.getStatus().eta );
+    },
+    createStateFile: function( aLog )
+    {
+        var oUploaderFile = new SecureUploaderFile( { "name": 'a.bin', "size": 1000 }, new SecureUploaderSettings( { "chunk_size": 100 } ), {
+            trigger     : function( sEvent, oData )
+            {
+                aLog.push( 'complete' === sEvent ? sEvent + ':' + oData.success : sEvent );
+            }
+        } );
+
+        oUploaderFile.oWorker = {
+            terminate   : function()
+            {
+                aLog.push( 'terminate' );
+            }
+        };
+        oUploaderFile.oTransport = {
+            isReady     : function()
+            {
+                return true;
+            },
+            cancel      : function()
+            {
+                aLog.push( 'transport:cancel' );
+            }
+        };
+        oUploaderFile.schedule = function()
+        {
+            aLog.push( 'schedule' );
+        };
+        return oUploaderFile;
+    },
+    createQueuedRequest: function( nOffset, aLog )
+    {
+        return {
+            "oResult"   : { "offset": nOffset },
+            abort       : function()
+            {
+                aLog.push( 'abort:' + nOffset );
+            }
+        };
+    },
+    testPauseIdle: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createStateFile( aLog );
+
+        assertFalse( 'An idle file should not be resumed.', oUploaderFile.resume() );
+        assertTrue( 'An idle file should be paused.', oUploaderFile.pause() );
+        assertSame( 'The file should be paused.', SecureUploaderFile.STATE_PAUSED, oUploaderFile.getState() );
+        assertTrue( 'A paused file should be resumed.', oUploaderFile.resume() );
+        assertSame( 'A file not started yet should go back to the queue.', SecureUploaderFile.STATE_IDLE, oUploaderFile.getState() );
+        assertEquals( 'Only the events should be fired.', [ 'pause', 'resume' ], aLog );
+    },
+    testPauseResume: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createStateFile( aLog );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.bStarted = true;
+        oUploaderFile.aRequests = [ this.createQueuedRequest( 100, aLog ), this.createQueuedRequest( 0, aLog ) ];
+        oUploaderFile.aHashed = [ { "offset": 200 } ];
+
+        assertTrue( 'An uploading file should be paused.', oUploaderFile.pause() );
+        assertSame( 'The file should be paused.', SecureUploaderFile.STATE_PAUSED, oUploaderFile.getState() );
+        assertEquals( 'The requests should be aborted.', [ 'abort:100', 'abort:0', 'pause' ], aLog );
+        assertSame( 'No request should be left.', 0, oUploaderFile.aRequests.length );
+        assertEquals( 'The aborted chunks should be kept in order for resume.',
+            [ { "offset": 0 }, { "offset": 100 }, { "offset": 200 } ], oUploaderFile.aHashed );
+        assertFalse( 'A paused file should not be paused again.', oUploaderFile.pause() );
+
+        aLog.length = 0;
+        assertTrue( 'A paused file should be resumed.', oUploaderFile.resume() );
+        assertSame( 'The file should be uploading.', SecureUploaderFile.STATE_UPLOADING, oUploaderFile.getState() );
+        assertEquals( 'The kept chunks should be scheduled.', [ 'resume', 'schedule' ], aLog );
+        assertFalse( 'An uploading file should not be resumed.', oUploaderFile.resume() );
+    },
+    testResumeFailed: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createStateFile( aLog );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_FAILED;
+        oUploaderFile.bStarted = true;
+        oUploaderFile.nOffset = 300;
+        oUploaderFile.oAttempts = { "200": 4 };
+
+        assertTrue( 'A failed file should be resumed.', oUploaderFile.resume() );
+        assertEquals( 'The chunks should get all their attempts again.', {}, oUploaderFile.oAttempts );
+        assertSame( 'The upload should go on where it stopped.', 300, oUploaderFile.nOffset );
+        assertEquals( 'The upload should go on.', [ 'resume', 'schedule' ], aLog );
+
+        aLog.length = 0;
+        oUploaderFile.sState = SecureUploaderFile.STATE_FAILED;
+        oUploaderFile.oWorker = null;
+        assertTrue( 'A file whose worker was lost should be resumed.', oUploaderFile.resume() );
+        assertSame( 'The file should go back to the queue.', SecureUploaderFile.STATE_IDLE, oUploaderFile.getState() );
+        assertSame( 'The upload should start over.', 0, oUploaderFile.nOffset );
+        assertEquals( 'Nothing should be scheduled.', [ 'resume' ], aLog );
+    },
+    testCancel: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createStateFile( aLog );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.bStarted = true;
+        oUploaderFile.aRequests = [ this.createQueuedRequest( 0, aLog ) ];
+
+        assertTrue( 'An uploading file should be cancelled.', oUploaderFile.cancel() );
+        assertSame( 'The file should be cancelled.', SecureUploaderFile.STATE_CANCELLED, oUploaderFile.getState() );
+        assertEquals( 'Everything should be stopped, and the server told.',
+            [ 'terminate', 'abort:0', 'transport:cancel', 'cancel', 'complete:false' ], aLog );
+        assertNull( 'The worker should be dropped.', oUploaderFile.oWorker );
+        assertTrue( 'A cancelled file should be finished.', oUploaderFile.isFinished() );
+
+        assertFalse( 'A cancelled file should not be cancelled again.', oUploaderFile.cancel() );
+        assertFalse( 'A cancelled file should not be paused.', oUploaderFile.pause() );
+        assertFalse( 'A cancelled file should not be resumed.', oUploaderFile.resume() );
+
+        oUploaderFile = this.createStateFile( aLog );
+        oUploaderFile.sState = SecureUploaderFile.STATE_FAILED;
+        assertTrue( 'A failed file should be cancelled.', oUploaderFile.cancel() );
+        oUploaderFile.sState = SecureUploaderFile.STATE_DONE;
+        assertFalse( 'A finished file should not be cancelled.', oUploaderFile.cancel() );
+    },
+    createScheduledFile: function( oSettings, aLog )
+    {
+        var oUploaderFile = new SecureUploaderFile( { "name": 'a.bin', "size": oSettings.size }, new SecureUploaderSettings( oSettings ) );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.bThrottled = false;
+        oUploaderFile.oTransport = { "bSequential": false };
+
+        // The worker and the requests only record what they got.
+        oUploaderFile.processNextChunk = function()
+        {
+            if ( this.nOffset >= this.oFile.size )
+            {
+                return false;
+            }
+            aLog.push( 'hash:' + this.nOffset );
+            this.nHashing++;
+            this.nOffset += this.nChunksize;
+            return true;
+        };
+        oUploaderFile.uploadChunk = function( oResult )
+        {
+            var self = this;
+
+            aLog.push( 'upload:' + oResult.offset );
+            this.aRequests.push( {
+                "oResult"   : oResult,
+                isThrottled : function()
+                {
+                    return self.bThrottled;
+                }
+            } );
+        };
+        return oUploaderFile;
+    },
+    returnHashed: function( oUploaderFile, nOffset )
+    {
+        var oResult = { "offset": nOffset };
+
+        if ( nOffset + oUploaderFile.nChunksize >= oUploaderFile.oFile.size )
+        {
+            oResult.entire_hash = 'ffff';
+        }
+        oUploaderFile.nHashing--;
+        oUploaderFile.aHashed.push( oResult );
+        oUploaderFile.schedule();
+    },
+    finishRequest: function( oUploaderFile, nOffset )
+    {
+        for ( var i = 0; i < oUploaderFile.aRequests.length; i++ )
+        {
+            if ( oUploaderFile.aRequests[i].oResult.offset === nOffset )
+            {
+                oUploaderFile.aRequests.splice( i, 1 );
+            }
+        }
+        oUploaderFile.schedule();
+    },
+    countChunksInMemory: function( oUploaderFile )
+    {
+        return oUploaderFile.nHashing + oUploaderFile.aHashed.length + oUploaderFile.aRequests.length;
+    },
+    testScheduleHashAhead: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createScheduledFile( { "size": 1000, "chunk_size": 100, "parallel_chunks": 2, "hash_ahead_chunks": 1 }, aLog );
+
+        oUploaderFile.schedule();
+        assertEquals( 'The chunks of the requests and the ones ahead should be hashed.', [ 'hash:0', 'hash:100', 'hash:200' ], aLog );
+
+        aLog.length = 0;
+        this.returnHashed( oUploaderFile, 0 );
+        this.returnHashed( oUploaderFile, 100 );
+        this.returnHashed( oUploaderFile, 200 );
+        assertEquals( 'The hashed chunks should be sent while there are free requests.', [ 'upload:0', 'upload:100' ], aLog );
+        assertSame( 'The chunk ahead should wait.', 1, oUploaderFile.aHashed.length );
+        assertSame( 'No more chunks should be kept than the requests and the ones ahead.', 3, this.countChunksInMemory( oUploaderFile ) );
+
+        aLog.length = 0;
+        this.finishRequest( oUploaderFile, 0 );
+        assertEquals( 'A finished request should make room for the next chunk.', [ 'upload:200', 'hash:300' ], aLog );
+        assertSame( 'The chunks kept should stay bounded.', 3, this.countChunksInMemory( oUploaderFile ) );
+    },
+    testScheduleWithoutHashAhead: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createScheduledFile( { "size": 1000, "chunk_size": 100, "parallel_chunks": 1, "hash_ahead_chunks": 0 }, aLog );
+
+        oUploaderFile.schedule();
+        this.returnHashed( oUploaderFile, 0 );
+        assertEquals( 'The next chunk should not be hashed while the request runs.', [ 'hash:0', 'upload:0' ], aLog );
+
+        this.finishRequest( oUploaderFile, 0 );
+        assertEquals( 'The next chunk should be hashed after the request.', [ 'hash:0', 'upload:0', 'hash:100' ], aLog );
+    },
+    testScheduleLastChunk: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createScheduledFile( { "size": 300, "chunk_size": 100, "parallel_chunks": 3, "hash_ahead_chunks": 0 }, aLog );
+
+        oUploaderFile.schedule();
+        this.returnHashed( oUploaderFile, 0 );
+        this.returnHashed( oUploaderFile, 100 );
+        this.returnHashed( oUploaderFile, 200 );
+        assertEquals( 'The last chunk should wait for the others.', [ 'hash:0', 'hash:100', 'hash:200', 'upload:0', 'upload:100' ], aLog );
+
+        aLog.length = 0;
+        this.finishRequest( oUploaderFile, 100 );
+        assertEquals( 'The last chunk should wait for every other one.', [], aLog );
+
+        this.finishRequest( oUploaderFile, 0 );
+        assertEquals( 'The last chunk should be sent when the others are confirmed.', [ 'upload:200' ], aLog );
+    },
+    testScheduleStopped: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createScheduledFile( { "size": 1000, "chunk_size": 100 }, aLog );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_PAUSED;
+        oUploaderFile.schedule();
+        oUploaderFile.sState = SecureUploaderFile.STATE_UPLOADING;
+        oUploaderFile.bPreparing = true;
+        oUploaderFile.schedule();
+        assertEquals( 'Nothing should be scheduled while paused or preparing.', [], aLog );
+    },
+    testScheduleThrottled: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createScheduledFile( { "size": 1000, "chunk_size": 100, "parallel_chunks": 1, "hash_ahead_chunks": 2 }, aLog );
+
+        // The first chunk is sent, and held back by the bandwidth limit.
+        oUploaderFile.nOffset = 100;
+        oUploaderFile.uploadChunk( { "offset": 0 } );
+        oUploaderFile.bThrottled = true;
+        oUploaderFile.schedule();
+        assertEquals( 'Nothing should be hashed ahead while the request is held back.', [ 'upload:0' ], aLog );
+        assertSame( 'The file should wait for the limit to change.', oUploaderFile, SecureUploaderThrottle.getInstance().aHeldFiles[0] );
+
+        oUploaderFile.bThrottled = false;
+        SecureUploaderThrottle.getInstance().setLimit( 0 );
+        assertEquals( 'The file should hash ahead when the limit changes.', [ 'upload:0', 'hash:100', 'hash:200' ], aLog );
+        assertSame( 'The file should not be held any more.', 0, SecureUploaderThrottle.getInstance().aHeldFiles.length );
+    },
+    testCheckServerExists: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createCheckedFile( aLog );
+
+        assertSame( 'The server should be asked once.', 1, this.aXhrs.length );
+        assertSame( 'The check url should be asked.', 'check', this.aXhrs[0].sUrl );
+        assertTrue( 'The check should send the hash of the entire file.',
+            -1 !== this.aXhrs[0].sData.indexOf( 'entire_hash=ffff' ) && -1 !== this.aXhrs[0].sData.indexOf( 'check=1' ) );
+        assertSame( 'The file should be verified while waiting for the answer.',
+            SecureUploaderFile.STATUS_HASHING, oUploaderFile.getStatus().state );
+
+        this.respond( this.aXhrs[0], 200, '{"exists": true, "file_id": 7}' );
+        assertEquals( 'The file should succeed as deduplicated without being uploaded.',
+            [ 'worker:entire', 'success:true:7' ], aLog );
+        assertSame( 'The file should be done.', SecureUploaderFile.STATE_DONE, oUploaderFile.sState );
+        assertSame( 'No chunk should be hashed.', 0, oUploaderFile.nChunksIssued );
+        assertSame( 'No chunk should be sent.', 0, oUploaderFile.aRequests.length );
+        assertSame( 'The file should be complete.', 1, oUploaderFile.getProgressPercentage() );
+    },
+    testCheckServerMissing: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createCheckedFile( aLog );
+
+        this.respond( this.aXhrs[0], 200, '{"exists": false}' );
+        assertEquals( 'A file the server does not have should be uploaded.', [ 'worker:entire', 'begin' ], aLog );
+        assertSame( 'The hash of the entire file should be kept for the upload.', 'ffff', oUploaderFile.oEntireResult.entire_hash );
+
+        aLog.length = 0;
+        this.createCheckedFile( aLog );
+        this.respond( this.aXhrs[1], 500, '{"exists": true}' );
+        assertEquals( 'A failed check should not stop the upload.', [ 'worker:entire', 'begin' ], aLog );
+    },
+    testCheckServerCancelled: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.createCheckedFile( aLog );
+
+        oUploaderFile.sState = SecureUploaderFile.STATE_CANCELLED;
+        this.respond( this.aXhrs[0], 200, '{"exists": true}' );
+        assertEquals( 'A cancelled file should not go on after the check.', [ 'worker:entire' ], aLog );
+    }
+} );
@@ -0,0 +1,199 @@
+/**
+ * Testing static helpers, the queue progress and hashing files of SecureUploader.
+ */
+TestCase( "SecureUploaderTestCase", {
+    setUp: function()
+    {
+        var self = this;
+
+        // The worker only records its messages, the test answers them.
+        this.fpWorker = Worker;
+        this.aWorkers = [];
+        Worker = function()
+        {
+            this.aMessages = [];
+            this.bTerminated = false;
+            self.aWorkers.push( this );
+        };
+        Worker.prototype = {
+            postMessage : function( oMessage )
+            {
+                this.aMessages.push( oMessage );
+            },
+            terminate   : function()
+            {
+                this.bTerminated = true;
+            }
+        };
+    },
+    tearDown: function()
+    {
+        Worker = this.fpWorker;
+    },
+    createItem: function( sKind, oFile )
+    {
+        return {
+            "kind"      : sKind,
+            "getAsFile" : function()
+            {
+                return oFile;
+            }
+        };
+    },
+    createQueue: function( aFiles )
+    {
+        // The queue without the input element and the settings.
+        var fpQueue = function()
+        {
+            this.aFiles = aFiles;
+        };
+
+        fpQueue.prototype = SecureUploader.prototype;
+        return new fpQueue();
+    },
+    createFile: function( sGuid, nSize, nProgress, bFinished, sState )
+    {
+        return {
+            "sGuid"                 : sGuid,
+            "oFile"                 : { "size": nSize },
+            "getProgressPercentage" : function()
+            {
+                return nProgress;
+            },
+            "isFinished"            : function()
+            {
+                return bFinished;
+            },
+            "getState"              : function()
+            {
+                return sState || ( bFinished ? SecureUploaderFile.STATE_DONE : SecureUploaderFile.STATE_UPLOADING );
+            }
+        };
+    },
+    testProgressPercentage: function()
+    {
+        var oQueue = this.createQueue( [
+            this.createFile( 'a', 300, 1, true ),
+            this.createFile( 'b', 100, 0.5, false )
+        ] );
+
+        assertSame( 'The progress should be weighted by the file sizes.', 0.875, oQueue.getProgressPercentage() );
+        assertSame( 'The progress of a file should be given by guid.', 0.5, oQueue.getProgressPercentage( 'b' ) );
+        assertSame( 'An unknown file should have no progress.', 0, oQueue.getProgressPercentage( 'c' ) );
+        assertSame( 'An empty queue should have no progress.', 0, this.createQueue( [] ).getProgressPercentage() );
+        assertSame( 'Finished empty files should be done.', 1,
+            this.createQueue( [ this.createFile( 'a', 0, 1, true ) ] ).getProgressPercentage() );
+        assertSame( 'Empty files still uploading should not be done.', 0,
+            this.createQueue( [ this.createFile( 'a', 0, 0, false ) ] ).getProgressPercentage() );
+    },
+    hashFile: function( nSize, aLog )
+    {
+        var oQueue = this.createQueue( [] );
+
+        oQueue.oSettings = new SecureUploaderSettings( { "hashes": { "entire": [ 'sha256', 'md5' ] } } );
+        return oQueue.hashFile( { "name": 'a.bin', "size": nSize }, function( oError, oResult )
+        {
+            aLog.push( { "error": oError, "result": oResult } );
+        }, function( nProgress )
+        {
+            aLog.push( nProgress );
+        } );
+    },
+    testHashFile: function()
+    {
+        var aLog = [];
+        var oUploaderFile = this.hashFile( 1000, aLog );
+        var oWorker = this.aWorkers[0];
+
+        assertSame( 'A worker should hash the file.', 1, this.aWorkers.length );
+        assertSame( 'The entire file should be hashed.', 'entire', oWorker.aMessages[0].action );
+        assertEquals( 'The algorithms of the entire file should be used.', [ 'sha256', 'md5' ], oWorker.aMessages[0].algorithms );
+
+        oWorker.onmessage( { "data": { "action": 'entire_progress', "hashed": 250 } } );
+        oWorker.onmessage( { "data": { "action": 'entire_progress', "hashed": 1000 } } );
+        assertEquals( 'The progress should be the hashed part of the file.', [ 0.25, 1 ], aLog );
+
+        oWorker.onmessage( { "data": {
+            "action"        : 'entire',
+            "entire_size"   : 1000,
+            "entire_hash"   : 'ffff',
+            "entire_hashes" : { "sha256": 'ffff', "md5": 'eeee' },
+            "buffer"        : null
+        } } );
+        assertEquals( 'The hashes of the entire file should be the result.', {
+            "error"     : null,
+            "result"    : { "entire_size": 1000, "entire_hash": 'ffff', "entire_hashes": { "sha256": 'ffff', "md5": 'eeee' } }
+        }, aLog[2] );
+        assertSame( 'The result should be given once.', 3, aLog.length );
+        assertTrue( 'The worker should be stopped.', oWorker.bTerminated );
+        assertNull( 'The file should not keep the worker.', oUploaderFile.oWorker );
+    },
+    testHashFileError: function()
+    {
+        var aLog = [];
+
+        this.hashFile( 1000, aLog );
+        this.aWorkers[0].onerror( { "message": 'NotReadableError' } );
+        assertEquals( 'A failing worker should give the error.',
+            [ { "error": { "message": 'NotReadableError' }, "result": null } ], aLog );
+    },
+    testHashEmptyFile: function()
+    {
+        var aLog = [];
+
+        this.hashFile( 0, aLog );
+        this.aWorkers[0].onmessage( { "data": { "action": 'entire_progress', "hashed": 0 } } );
+        assertEquals( 'An empty file should be hashed entirely at once.', [ 1 ], aLog );
+    },
+    testProgressWithCancelledFile: function()
+    {
+        var oQueue = this.createQueue( [
+            this.createFile( 'a', 300, 1, true ),
+            this.createFile( 'b', 100, 0.2, true, SecureUploaderFile.STATE_CANCELLED ),
+            this.createFile( 'c', 100, 0.5, false )
+        ] );
+
+        assertSame( 'A cancelled file should not count.', 0.875, oQueue.getProgressPercentage() );
+
+        oQueue = this.createQueue( [
+            this.createFile( 'a', 300, 1, true ),
+            this.createFile( 'b', 100, 0.2, true, SecureUploaderFile.STATE_CANCELLED )
+        ] );
+        assertSame( 'The queue should be complete after a cancel.', 1, oQueue.getProgressPercentage() );
+        assertSame( 'Only cancelled files should be complete.', 1,
+            this.createQueue( [ this.createFile( 'b', 100, 0, true, SecureUploaderFile.STATE_CANCELLED ) ] ).getProgressPercentage() );
+        assertSame( 'The progress of the cancelled file should still be given by guid.', 0.2, oQueue.getProgressPercentage( 'b' ) );
+    },
+    testHasFiles: function()
+    {
+        assertTrue( 'Dragged files should be found.', SecureUploader.hasFiles( { "types": [ 'text/uri-list', 'Files' ] } ) );
+        assertFalse( 'Dragged text should not be files.', SecureUploader.hasFiles( { "types": [ 'text/plain' ] } ) );
+        assertFalse( 'No types should not be files.', SecureUploader.hasFiles( { "types": [] } ) );
+        assertFalse( 'Missing types should not be files.', SecureUploader.hasFiles( {} ) );
+        assertFalse( 'No data should not be files.', SecureUploader.hasFiles( null ) );
+    },
+    testClipboardItems: function()
+    {
+        var oImage = { "name": 'image.png' };
+        var aFiles = SecureUploader.getClipboardFiles( {
+            "items" : [
+                this.createItem( 'string', null ),
+                this.createItem( 'file', oImage ),
+                this.createItem( 'file', null )
+            ],
+            "files" : [ { "name": 'ignored.png' } ]
+        } );
+
+        assertSame( 'Only the file items should be taken.', 1, aFiles.length );
+        assertSame( 'The file of the item should be taken.', oImage, aFiles[0] );
+    },
+    testClipboardFiles: function()
+    {
+        var oFile = { "name": 'a.txt' };
+
+        assertEquals( 'Without items the files should be taken.', [ oFile ], SecureUploader.getClipboardFiles( { "files": [ oFile ] } ) );
+        assertEquals( 'Pasted text should give no files.', [], SecureUploader.getClipboardFiles( { "items": [ this.createItem( 'string', null ) ] } ) );
+        assertEquals( 'Nothing pasted should give no files.', [], SecureUploader.getClipboardFiles( {} ) );
+        assertEquals( 'No data should give no files.', [], SecureUploader.getClipboardFiles( null ) );
+    }
+} );
@@ -0,0 +1,92 @@
+/**
+ * Testing the validation rules of SecureUploaderFile.
+ */
+TestCase( "ValidationTestCase", {
+    createFile: function( sName, nSize, sType )
+    {
+        return { "name": sName, "size": nSize, "type": sType };
+    },
+    testValidFile: function()
+    {
+        var oValidation = SecureUploaderSettings.getValidation( {
+            "min_size"      : 1,
+            "max_size"      : 100,
+            "types"         : [ 'image/png' ],
+            "extensions"    : [ 'png' ]
+        } );
+
+        assertNull( 'A file meeting every rule should be valid.',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a.png', 100, 'image/png' ), oValidation ) );
+    },
+    testSize: function()
+    {
+        var oValidation = SecureUploaderSettings.getValidation( { "min_size": 10, "max_size": 20 } );
+
+        assertSame( 'A smaller file should break min_size.', 'min_size',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 9, '' ), oValidation ).rule );
+        assertSame( 'A larger file should break max_size.', 'max_size',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 21, '' ), oValidation ).rule );
+    },
+    testEmptyFile: function()
+    {
+        assertNull( 'An empty file should be valid by default.',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 0, '' ), SecureUploaderSettings.getValidation() ) );
+        assertNull( 'An empty file should be valid with min_size 0.',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 0, '' ), SecureUploaderSettings.getValidation( { "min_size": 0 } ) ) );
+        assertSame( 'An empty file should break min_size 1.', 'min_size',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 0, '' ), SecureUploaderSettings.getValidation( { "min_size": 1 } ) ).rule );
+        assertSame( 'A non-empty file should break max_size 0.', 'max_size',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 1, '' ), SecureUploaderSettings.getValidation( { "max_size": 0 } ) ).rule );
+    },
+    testTypeGlob: function()
+    {
+        var oValidation = SecureUploaderSettings.getValidation( { "types": [ 'Image/*', 'application/pdf' ] } );
+
+        assertNull( 'A subtype should match the wildcard.',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 1, 'image/jpeg' ), oValidation ) );
+        assertNull( 'The type should match regardless of case.',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 1, 'APPLICATION/PDF' ), oValidation ) );
+        assertSame( 'A type only starting like the wildcard should not match.', 'types',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 1, 'imagex/png' ), oValidation ).rule );
+        assertSame( 'An unknown type should not match.', 'types',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'a', 1, '' ), oValidation ).rule );
+    },
+    testExtensions: function()
+    {
+        var oValidation = SecureUploaderSettings.getValidation( { "extensions": [ '.JPG', 'png' ] } );
+
+        assertNull( 'The extension should match regardless of case and dot.',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'photo.jpg', 1, '' ), oValidation ) );
+        assertNull( 'The extension of the file should match regardless of case.',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'PHOTO.PNG', 1, '' ), oValidation ) );
+        assertSame( 'Only the last extension should count.', 'extensions',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'photo.png.exe', 1, '' ), oValidation ).rule );
+        assertSame( 'A file without extension should not match.', 'extensions',
+            SecureUploaderFile.findInvalidRule( this.createFile( 'png', 1, '' ), oValidation ).rule );
+    },
+    testGetExtension: function()
+    {
+        assertSame( 'The extension should be lowercased.', 'png', SecureUploaderFile.getExtension( 'a.PNG' ) );
+        assertSame( 'Only the last extension should be returned.', 'gz', SecureUploaderFile.getExtension( 'a.tar.gz' ) );
+        assertSame( 'A hidden file has no extension.', '', SecureUploaderFile.getExtension( '.htaccess' ) );
+        assertSame( 'A name without dot has no extension.', '', SecureUploaderFile.getExtension( 'README' ) );
+        assertSame( 'A Blob without name has no extension.', '', SecureUploaderFile.getExtension( undefined ) );
+    },
+    testMagicBytes: function()
+    {
+        var aMagicBytes = SecureUploaderSettings.getValidation( {
+            "magic_bytes": [ '89 50 4E 47', '52494646????????57454250' ]
+        } ).magic_bytes;
+
+        assertTrue( 'The signature should match regardless of case and spaces.',
+            SecureUploaderFile.matchMagicBytes( '89504e470d0a1a0a', aMagicBytes ) );
+        assertTrue( 'The wildcards should match any byte.',
+            SecureUploaderFile.matchMagicBytes( '52494646aabbccdd5745425056503820', aMagicBytes ) );
+        assertFalse( 'A different byte should not match.',
+            SecureUploaderFile.matchMagicBytes( '52494646aabbccdd57454251', aMagicBytes ) );
+        assertFalse( 'A header shorter than the signature should not match.',
+            SecureUploaderFile.matchMagicBytes( '8950', aMagicBytes ) );
+        assertFalse( 'An empty file should not match.',
+            SecureUploaderFile.matchMagicBytes( '', aMagicBytes ) );
+    }
+} );